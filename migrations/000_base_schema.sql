@@ -0,0 +1,30 @@
+-- Tabelas base (já existentes nos projetos Supabase; necessárias para o driver postgres local)
+create table if not exists tenants (
+    id                    bigserial   primary key,
+    name                  text        not null,
+    telegram_token        text        not null,
+    owner_chat_id         text,
+    syncpay_client_id     text,
+    syncpay_client_secret text,
+    openai_api_key        text,
+    openai_model          text,
+    system_prompt         text,
+    is_active             boolean     not null default true,
+    expiration_date       timestamptz,
+    subscription_price    numeric(10,2),
+    max_users             integer     not null default 10,
+    created_at            timestamptz not null default now()
+);
+
+create table if not exists bot_sessions (
+    tenant_id  bigint      not null,
+    chat_id    text        not null,
+    data       jsonb       not null default '{}'::jsonb,
+    updated_at timestamptz not null default now(),
+    primary key (tenant_id, chat_id)
+);
+
+create table if not exists system_config (
+    key   text primary key,
+    value text
+);
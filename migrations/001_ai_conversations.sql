@@ -0,0 +1,9 @@
+-- Memória de conversa da IA por tenant + contato (Telegram chat ou WhatsApp JID)
+create table if not exists ai_conversations (
+    tenant_id   bigint      not null,
+    contact_key text        not null, -- "tg:<chatId>" ou "wa:<instId>:<phone>"
+    messages    jsonb       not null default '[]'::jsonb,
+    summary     text,
+    updated_at  timestamptz not null default now(),
+    primary key (tenant_id, contact_key)
+);
@@ -0,0 +1,33 @@
+-- Disparo em Massa: campanhas e status por destinatário
+create table if not exists campaigns (
+    id                  bigserial   primary key,
+    tenant_id           bigint      not null,
+    chat_id             text        not null, -- Usuário (Telegram) dono da campanha
+    message             text        not null default '',
+    media               jsonb,                -- { file, mime, type, fileName }
+    instance_ids        jsonb       not null default '[]'::jsonb,
+    status              text        not null default 'running', -- running | paused | cancelled | completed
+    total_count         integer     not null default 0,
+    sent_count          integer     not null default 0,
+    failed_count        integer     not null default 0,
+    progress_message_id bigint,
+    created_at          timestamptz not null default now(),
+    updated_at          timestamptz not null default now(),
+    finished_at         timestamptz
+);
+
+create index if not exists campaigns_tenant_chat_idx on campaigns (tenant_id, chat_id);
+create index if not exists campaigns_status_idx on campaigns (status);
+
+create table if not exists campaign_recipients (
+    id          bigserial   primary key,
+    campaign_id bigint      not null references campaigns (id) on delete cascade,
+    phone       text        not null,
+    variables   jsonb       not null default '{}'::jsonb,
+    status      text        not null default 'pending', -- pending | sent | failed | cancelled
+    instance_id text,
+    error       text,
+    sent_at     timestamptz
+);
+
+create index if not exists campaign_recipients_pending_idx on campaign_recipients (campaign_id, status, id);
@@ -0,0 +1,28 @@
+-- Rodízio de Leads: grupo por usuário e histórico de atribuições
+create table if not exists rotation_groups (
+    id         bigserial   primary key,
+    tenant_id  bigint      not null,
+    chat_id    text        not null,
+    strategy   text        not null default 'round_robin', -- round_robin | weighted | least_busy
+    members    jsonb       not null default '[]'::jsonb,   -- [{ id, type: instance|phone, instanceId, phone, name, weight, telegramChatId }]
+    rr_index   integer     not null default 0,
+    active     boolean     not null default true,
+    created_at timestamptz not null default now(),
+    unique (tenant_id, chat_id)
+);
+
+create table if not exists lead_assignments (
+    id          bigserial   primary key,
+    tenant_id   bigint      not null,
+    chat_id     text        not null,
+    group_id    bigint      not null references rotation_groups (id) on delete cascade,
+    lead_phone  text        not null,
+    lead_name   text,
+    member_id   text        not null,
+    member_name text,
+    instance_id text,       -- Instância por onde o lead chegou
+    assigned_at timestamptz not null default now(),
+    unique (tenant_id, chat_id, lead_phone)
+);
+
+create index if not exists lead_assignments_group_idx on lead_assignments (group_id, assigned_at desc);
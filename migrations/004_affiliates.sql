@@ -0,0 +1,41 @@
+-- Programa de Afiliados: indicações, extrato (ledger) e pedidos de saque
+alter table tenants add column if not exists affiliate_commission_pct numeric not null default 10;
+
+create table if not exists affiliate_referrals (
+    id                bigserial   primary key,
+    tenant_id         bigint      not null,
+    referrer_chat_id  text        not null,
+    referred_chat_id  text        not null,
+    created_at        timestamptz not null default now(),
+    unique (tenant_id, referred_chat_id)
+);
+
+create index if not exists affiliate_referrals_referrer_idx on affiliate_referrals (tenant_id, referrer_chat_id);
+
+-- Saldo = soma de "amount" (créditos positivos, débitos negativos)
+create table if not exists affiliate_ledger (
+    id              bigserial     primary key,
+    tenant_id       bigint        not null,
+    chat_id         text          not null, -- Afiliado
+    type            text          not null, -- commission | payout | payout_reversal
+    amount          numeric(12,2) not null,
+    reference       text          not null, -- Ex: id do pagamento ou do saque (idempotência)
+    related_chat_id text,                   -- Indicado que gerou a comissão
+    created_at      timestamptz   not null default now(),
+    unique (tenant_id, type, reference)
+);
+
+create index if not exists affiliate_ledger_chat_idx on affiliate_ledger (tenant_id, chat_id);
+
+create table if not exists affiliate_payouts (
+    id         bigserial     primary key,
+    tenant_id  bigint        not null,
+    chat_id    text          not null,
+    amount     numeric(12,2) not null,
+    pix_key    text          not null,
+    status     text          not null default 'pending', -- pending | approved | rejected
+    created_at timestamptz   not null default now(),
+    decided_at timestamptz
+);
+
+create index if not exists affiliate_payouts_status_idx on affiliate_payouts (tenant_id, status);
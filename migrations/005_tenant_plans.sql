@@ -0,0 +1,28 @@
+-- Planos vendidos pelos tenants aos seus usuários finais (Pix via SyncPay do próprio tenant)
+create table if not exists tenant_plans (
+    id            bigserial     primary key,
+    tenant_id     bigint        not null,
+    name          text          not null,
+    price         numeric(12,2) not null,
+    duration_days integer       not null,
+    max_instances integer       not null default 1,
+    features      jsonb         not null default '{}'::jsonb, -- { mass: true, rotation: true }
+    active        boolean       not null default true,
+    created_at    timestamptz   not null default now()
+);
+
+create index if not exists tenant_plans_tenant_idx on tenant_plans (tenant_id, active);
+
+create table if not exists plan_orders (
+    id         text          primary key, -- identifier da cobrança SyncPay
+    tenant_id  bigint        not null,
+    chat_id    text          not null,
+    plan_id    bigint        not null references tenant_plans (id),
+    amount     numeric(12,2) not null,
+    status     text          not null default 'pending', -- pending | paid
+    raw        jsonb,
+    created_at timestamptz   not null default now(),
+    paid_at    timestamptz
+);
+
+create index if not exists plan_orders_tenant_chat_idx on plan_orders (tenant_id, chat_id);
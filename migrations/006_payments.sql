@@ -0,0 +1,13 @@
+-- Ledger de cobranças das assinaturas dos tenants (Webhook MESTRE)
+create table if not exists payments (
+    id             text          primary key, -- identifier da cobrança SyncPay
+    tenant_id      bigint        not null,
+    amount         numeric(12,2) not null,
+    status         text          not null default 'pending', -- pending | paid | <status recebido do gateway>
+    status_history jsonb         not null default '[]'::jsonb, -- [{ status, at }]
+    raw_payload    jsonb,
+    created_at     timestamptz   not null default now(),
+    paid_at        timestamptz
+);
+
+create index if not exists payments_tenant_idx on payments (tenant_id, created_at desc);
@@ -0,0 +1,11 @@
+-- Auditoria de chamadas rejeitadas (auth/assinatura/rate limit)
+create table if not exists security_audit (
+    id         bigserial   primary key,
+    ip         text,
+    route      text        not null,
+    reason     text        not null, -- ex: invalid_api_key | invalid_signature | invalid_webhook_token | rate_limited
+    details    jsonb,
+    created_at timestamptz not null default now()
+);
+
+create index if not exists security_audit_created_idx on security_audit (created_at desc);
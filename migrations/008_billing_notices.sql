@@ -0,0 +1,11 @@
+-- Avisos de cobrança enviados (lembretes, carência, bloqueio) — evita reenvio após restart
+create table if not exists billing_notices (
+    id              bigserial   primary key,
+    tenant_id       bigint      not null,
+    kind            text        not null, -- reminder_7 | reminder_3 | reminder_1 | grace | blocked
+    expiration_date timestamptz not null, -- Vencimento ao qual o aviso se refere
+    sent_at         timestamptz not null default now(),
+    unique (tenant_id, kind, expiration_date)
+);
+
+create index if not exists billing_notices_sent_idx on billing_notices (sent_at desc);
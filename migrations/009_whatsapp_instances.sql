@@ -0,0 +1,22 @@
+-- Instâncias de WhatsApp (antes ficavam em bot_sessions.data.whatsapp.instances)
+alter table tenants add column if not exists max_instances integer; -- null = sem limite no tenant
+
+create table if not exists whatsapp_instances (
+    id                text        primary key, -- Ex: user_<chatId>_<sufixo> (também usado como token no Wuzapi)
+    tenant_id         bigint      not null,
+    chat_id           text        not null,    -- Usuário (Telegram) dono da instância
+    wuzapi_id         text,
+    token             text        not null unique,
+    name              text        not null,
+    phone             text,
+    jid               text,
+    webhook           text,
+    webhook_secret    text,
+    status            text        not null default 'disconnected', -- connected | disconnected
+    last_seen_at      timestamptz,
+    last_error        text,
+    status_updated_at timestamptz,
+    created_at        timestamptz not null default now()
+);
+
+create index if not exists whatsapp_instances_owner_idx on whatsapp_instances (tenant_id, chat_id);
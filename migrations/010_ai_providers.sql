@@ -0,0 +1,4 @@
+-- Provedor de IA por tenant (openai | gemini | compatible)
+-- openai_api_key / openai_model continuam guardando a key e o modelo do provedor escolhido
+alter table tenants add column if not exists ai_provider text not null default 'openai';
+alter table tenants add column if not exists ai_base_url text; -- Só para "compatible" (ex: http://localhost:11434/v1)
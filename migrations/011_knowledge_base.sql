@@ -0,0 +1,24 @@
+-- Base de conhecimento (RAG): documentos do dono do tenant e seus trechos com embedding
+create table if not exists knowledge_documents (
+    id              bigserial   primary key,
+    tenant_id       bigint      not null,
+    name            text        not null,
+    mime            text,
+    chars           integer     not null default 0,
+    chunk_count     integer     not null default 0,
+    embedding_model text        not null, -- Trechos só são comparados com perguntas do mesmo modelo
+    created_at      timestamptz not null default now()
+);
+
+create index if not exists knowledge_documents_tenant_idx on knowledge_documents (tenant_id);
+
+create table if not exists knowledge_chunks (
+    id          bigserial primary key,
+    document_id bigint    not null references knowledge_documents (id) on delete cascade,
+    tenant_id   bigint    not null,
+    chunk_index integer   not null,
+    content     text      not null,
+    embedding   jsonb     not null -- Vetor (float[]); dimensão varia conforme o provedor
+);
+
+create index if not exists knowledge_chunks_tenant_idx on knowledge_chunks (tenant_id);
@@ -0,0 +1,20 @@
+-- Consumo de IA por tenant e contato (uma linha por chamada ao modelo)
+create table if not exists ai_usage (
+    id                bigserial     primary key,
+    tenant_id         bigint        not null,
+    contact_key       text          not null, -- tg:<chatId> | wa:<instanceId>:<telefone>
+    provider          text          not null,
+    model             text          not null,
+    kind              text          not null, -- reply | summary
+    prompt_tokens     integer       not null default 0,
+    completion_tokens integer       not null default 0,
+    cost_usd          numeric(12,6) not null default 0, -- Estimativa no momento da chamada
+    created_at        timestamptz   not null default now()
+);
+
+create index if not exists ai_usage_tenant_created_idx on ai_usage (tenant_id, created_at);
+create index if not exists ai_usage_contact_idx on ai_usage (tenant_id, contact_key, created_at);
+
+-- Limites diários por usuário final (null = sem limite)
+alter table tenants add column if not exists user_daily_message_limit integer;
+alter table tenants add column if not exists user_daily_token_limit integer;
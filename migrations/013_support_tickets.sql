@@ -0,0 +1,33 @@
+-- Atendimento humano: tickets abertos por usuários (Telegram) ou contatos (WhatsApp)
+alter table tenants add column if not exists support_chat_id text; -- Grupo de suporte (null = chat do dono)
+
+create table if not exists support_tickets (
+    id              bigserial   primary key,
+    tenant_id       bigint      not null,
+    contact_key     text        not null, -- tg:<chatId> | wa:<instanceId>:<telefone>
+    channel         text        not null, -- telegram | whatsapp
+    customer_name   text,
+    status          text        not null default 'open', -- open | closed
+    created_at      timestamptz not null default now(),
+    last_message_at timestamptz not null default now(),
+    closed_at       timestamptz
+);
+
+-- No máximo um ticket aberto por contato
+create unique index if not exists support_tickets_one_open_idx
+    on support_tickets (tenant_id, contact_key) where status = 'open';
+create index if not exists support_tickets_tenant_idx on support_tickets (tenant_id, status);
+
+create table if not exists support_messages (
+    id               bigserial   primary key,
+    ticket_id        bigint      not null references support_tickets (id) on delete cascade,
+    tenant_id        bigint      not null,
+    direction        text        not null, -- in (cliente) | out (suporte) | system
+    content          text        not null,
+    relay_chat_id    text,                 -- Chat de suporte onde a mensagem foi espelhada
+    relay_message_id bigint,               -- Usado para casar o "reply" do suporte com o ticket
+    created_at       timestamptz not null default now()
+);
+
+create index if not exists support_messages_ticket_idx on support_messages (ticket_id, created_at);
+create index if not exists support_messages_relay_idx on support_messages (tenant_id, relay_chat_id, relay_message_id);
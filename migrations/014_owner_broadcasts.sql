@@ -0,0 +1,17 @@
+-- Transmissões do dono para os usuários do bot (Telegram)
+create table if not exists owner_broadcasts (
+    id            bigserial   primary key,
+    tenant_id     bigint      not null,
+    content       jsonb       not null, -- { text, media: { type, fileId }, buttons: [{ text, url }] }
+    audience      jsonb       not null, -- { type: all | vip | expired | inactive, days }
+    status        text        not null default 'running', -- running | completed | cancelled
+    cursor        text,                 -- Último chat_id processado (retomada após restart)
+    total         integer     not null default 0,
+    sent_count    integer     not null default 0,
+    failed_count  integer     not null default 0,
+    blocked_count integer     not null default 0,
+    created_at    timestamptz not null default now(),
+    finished_at   timestamptz
+);
+
+create index if not exists owner_broadcasts_tenant_idx on owner_broadcasts (tenant_id, status);
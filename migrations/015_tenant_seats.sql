@@ -0,0 +1,103 @@
+-- Vagas de usuários por tenant (limite max_users garantido pelo banco)
+-- Usuário "ativo" = falou com o bot nos últimos N dias; quem nunca concluiu o /start só segura a vaga por algumas horas
+create table if not exists tenant_users (
+    tenant_id    bigint      not null,
+    chat_id      text        not null,
+    display_name text,
+    status       text        not null default 'active', -- active | waitlist
+    onboarded    boolean     not null default false,    -- Concluiu o /start
+    joined_at    timestamptz not null default now(),
+    last_seen_at timestamptz not null default now(),
+    queued_at    timestamptz,                            -- Entrada na fila de espera
+    primary key (tenant_id, chat_id)
+);
+
+create index if not exists tenant_users_seats_idx on tenant_users (tenant_id, status, last_seen_at);
+create index if not exists tenant_users_queue_idx on tenant_users (tenant_id, queued_at) where status = 'waitlist';
+
+-- Vagas ocupadas (opcionalmente ignorando um chat)
+create or replace function count_tenant_seats(
+    p_tenant_id bigint, p_active_days integer, p_pending_hours integer, p_exclude text default null
+) returns integer language sql stable as $$
+    select count(*)::integer from tenant_users
+    where tenant_id = p_tenant_id
+      and status = 'active'
+      and (p_exclude is null or chat_id <> p_exclude)
+      and last_seen_at >= now() - make_interval(days => p_active_days)
+      and (onboarded or last_seen_at >= now() - make_interval(hours => p_pending_hours));
+$$;
+
+-- Ocupa (ou renova) a vaga do chat; sem vaga, entra na fila. Retorna 'active' ou 'waitlist'.
+-- O advisory lock serializa as chamadas do mesmo tenant: dois primeiros contatos simultâneos não passam do limite
+create or replace function claim_tenant_seat(
+    p_tenant_id bigint, p_chat_id text, p_display_name text,
+    p_max_users integer, p_active_days integer, p_pending_hours integer
+) returns text language plpgsql as $$
+declare
+    v_used integer;
+    v_status text;
+begin
+    perform pg_advisory_xact_lock(p_tenant_id);
+
+    v_used := count_tenant_seats(p_tenant_id, p_active_days, p_pending_hours, p_chat_id);
+    v_status := case when v_used < p_max_users then 'active' else 'waitlist' end;
+
+    -- Quem já tem vaga válida mantém, mesmo que o limite tenha diminuído
+    if v_status = 'waitlist' and exists (
+        select 1 from tenant_users
+        where tenant_id = p_tenant_id and chat_id = p_chat_id and status = 'active'
+          and last_seen_at >= now() - make_interval(days => p_active_days)
+          and (onboarded or last_seen_at >= now() - make_interval(hours => p_pending_hours))
+    ) then
+        v_status := 'active';
+    end if;
+
+    insert into tenant_users as tu (tenant_id, chat_id, display_name, status, queued_at)
+    values (p_tenant_id, p_chat_id, p_display_name, v_status, case when v_status = 'waitlist' then now() end)
+    on conflict (tenant_id, chat_id) do update set
+        display_name = coalesce(excluded.display_name, tu.display_name),
+        status       = v_status,
+        joined_at    = case when tu.status = 'active' then tu.joined_at else now() end,
+        last_seen_at = case when v_status = 'active' then now() else tu.last_seen_at end,
+        queued_at    = case when v_status = 'waitlist' then coalesce(tu.queued_at, now()) end;
+
+    return v_status;
+end;
+$$;
+
+-- Promove a fila (ordem de chegada) para as vagas livres. Retorna os chats promovidos.
+create or replace function promote_tenant_waitlist(
+    p_tenant_id bigint, p_max_users integer, p_active_days integer, p_pending_hours integer
+) returns table (chat_id text) language plpgsql as $$
+declare
+    v_free integer;
+begin
+    perform pg_advisory_xact_lock(p_tenant_id);
+
+    v_free := p_max_users - count_tenant_seats(p_tenant_id, p_active_days, p_pending_hours);
+    if v_free <= 0 then return; end if;
+
+    -- Promovido ganha a janela de "pendente" para voltar e concluir o /start
+    return query
+    update tenant_users tu set
+        status = 'active', onboarded = false, joined_at = now(), last_seen_at = now(), queued_at = null
+    where tu.tenant_id = p_tenant_id and tu.chat_id in (
+        select q.chat_id from tenant_users q
+        where q.tenant_id = p_tenant_id and q.status = 'waitlist'
+          and q.queued_at >= now() - make_interval(days => p_active_days)
+        order by q.queued_at
+        limit v_free
+    )
+    returning tu.chat_id;
+end;
+$$;
+
+-- Usuários existentes já ocupam vaga (exceto o dono)
+insert into tenant_users (tenant_id, chat_id, status, onboarded, joined_at, last_seen_at)
+select s.tenant_id, s.chat_id, 'active', true,
+       coalesce((s.data->>'createdAt')::timestamptz, s.updated_at, now()),
+       coalesce((s.data->>'lastSeenAt')::timestamptz, s.updated_at, now())
+from bot_sessions s
+join tenants t on t.id = s.tenant_id
+where s.chat_id <> coalesce(t.owner_chat_id::text, '')
+on conflict (tenant_id, chat_id) do nothing;
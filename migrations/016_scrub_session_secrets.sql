@@ -0,0 +1,4 @@
+-- Segredos dos wizards agora ficam só em memória: remove os que ficaram gravados nas sessões
+update bot_sessions
+set data = (data - 'temp_sync_id') #- '{temp_ai,key}'
+where data ? 'temp_sync_id' or (data->'temp_ai') ? 'key';
@@ -0,0 +1,72 @@
+-- Várias réplicas: versão das sessões (concorrência otimista) e leases de tenants/líder entre workers
+
+alter table bot_sessions add column if not exists version integer not null default 1;
+
+-- Grava a sessão e retorna a nova versão. p_expected_version:
+--   null -> grava sempre (importações/migrações)
+--   0    -> só cria (falha se já existir)
+--   n    -> só atualiza se a versão no banco ainda for n
+-- Retorna null em conflito
+create or replace function save_bot_session(
+    p_tenant_id bigint, p_chat_id text, p_data jsonb, p_expected_version integer
+) returns integer language plpgsql as $$
+declare
+    v_version integer;
+begin
+    if p_expected_version is null then
+        insert into bot_sessions as s (tenant_id, chat_id, data, version, updated_at)
+        values (p_tenant_id, p_chat_id, p_data, 1, now())
+        on conflict (tenant_id, chat_id) do update set data = excluded.data, version = s.version + 1, updated_at = now()
+        returning s.version into v_version;
+    elsif p_expected_version = 0 then
+        insert into bot_sessions (tenant_id, chat_id, data, version, updated_at)
+        values (p_tenant_id, p_chat_id, p_data, 1, now())
+        on conflict (tenant_id, chat_id) do nothing
+        returning version into v_version;
+    else
+        update bot_sessions set data = p_data, version = version + 1, updated_at = now()
+        where tenant_id = p_tenant_id and chat_id = p_chat_id and version = p_expected_version
+        returning version into v_version;
+    end if;
+    return v_version;
+end;
+$$;
+
+-- Leases: "tenant:<id>" (quem roda o bot) e "leader" (Master Bot e rotinas globais)
+create table if not exists cluster_leases (
+    name       text        primary key,
+    worker_id  text        not null,
+    expires_at timestamptz not null
+);
+
+create table if not exists cluster_workers (
+    worker_id    text        primary key,
+    heartbeat_at timestamptz not null default now()
+);
+
+-- Pega (ou renova) o lease se estiver livre, vencido ou já for do próprio worker
+create or replace function claim_cluster_lease(p_name text, p_worker_id text, p_ttl_seconds integer)
+returns boolean language sql as $$
+    with claimed as (
+        insert into cluster_leases as l (name, worker_id, expires_at)
+        values (p_name, p_worker_id, now() + make_interval(secs => p_ttl_seconds))
+        on conflict (name) do update set worker_id = excluded.worker_id, expires_at = excluded.expires_at
+        where l.worker_id = excluded.worker_id or l.expires_at < now()
+        returning 1
+    )
+    select exists (select 1 from claimed);
+$$;
+
+-- Registra o worker e retorna quantos estão vivos (para dividir os tenants)
+create or replace function cluster_heartbeat(p_worker_id text, p_ttl_seconds integer)
+returns integer language plpgsql as $$
+declare
+    v_alive integer;
+begin
+    insert into cluster_workers (worker_id, heartbeat_at) values (p_worker_id, now())
+    on conflict (worker_id) do update set heartbeat_at = now();
+    delete from cluster_workers where heartbeat_at < now() - make_interval(secs => p_ttl_seconds);
+    select count(*) into v_alive from cluster_workers;
+    return v_alive;
+end;
+$$;
@@ -0,0 +1,5 @@
+-- Token do bot recusado pelo Telegram (401 revogado / 404 inexistente): o supervisor não sobe o bot
+-- até o token mudar ou o Master limpar a marca ("Tentar de novo" em Saúde dos Bots)
+
+alter table tenants add column if not exists token_invalid_at timestamptz;
+alter table tenants add column if not exists token_error text;
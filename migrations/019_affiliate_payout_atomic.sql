@@ -0,0 +1,31 @@
+-- Pedido de saque de afiliado atômico: lê o saldo, cria o saque e debita o extrato na mesma transação.
+-- O advisory lock por (tenant, afiliado) impede que duas mensagens simultâneas saquem o mesmo saldo.
+-- Retorna o saque criado (id, amount) ou nenhuma linha se o saldo não alcança o mínimo.
+create or replace function request_affiliate_payout(
+    p_tenant_id bigint, p_chat_id text, p_pix_key text, p_min_amount numeric
+) returns table (id bigint, amount numeric) language plpgsql as $$
+declare
+    v_balance numeric;
+    v_payout_id bigint;
+begin
+    perform pg_advisory_xact_lock(hashtext('affiliate_payout'), hashtext(p_tenant_id::text || ':' || p_chat_id));
+
+    select coalesce(sum(l.amount), 0) into v_balance
+    from affiliate_ledger l
+    where l.tenant_id = p_tenant_id and l.chat_id = p_chat_id;
+
+    if v_balance < p_min_amount then
+        return;
+    end if;
+
+    insert into affiliate_payouts (tenant_id, chat_id, amount, pix_key)
+    values (p_tenant_id, p_chat_id, v_balance, p_pix_key)
+    returning affiliate_payouts.id into v_payout_id;
+
+    -- Reserva o valor (débito no extrato); estornado se o dono recusar
+    insert into affiliate_ledger (tenant_id, chat_id, type, amount, reference)
+    values (p_tenant_id, p_chat_id, 'payout', -v_balance, v_payout_id::text);
+
+    return query select v_payout_id, v_balance;
+end;
+$$;
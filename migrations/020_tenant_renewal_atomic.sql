@@ -0,0 +1,35 @@
+-- Renovação da assinatura do tenant (Webhook MESTRE) numa transação: estende o vencimento e marca a cobrança
+-- como paga juntos. Se qualquer passo falhar, nada fica gravado e o retry do gateway renova normalmente.
+-- Retorna o novo vencimento, ou null se a cobrança já estava paga (retry duplicado).
+create or replace function renew_tenant_subscription(
+    p_payment_id text, p_days integer, p_payload jsonb
+) returns timestamptz language plpgsql as $$
+declare
+    v_payment payments%rowtype;
+    v_expiration timestamptz;
+begin
+    select * into v_payment from payments where id = p_payment_id for update;
+    if not found or v_payment.status = 'paid' then
+        return null;
+    end if;
+
+    update tenants
+    set expiration_date = greatest(coalesce(expiration_date, now()), now()) + make_interval(days => p_days),
+        is_active = true -- Reativa se estiver bloqueado
+    where id = v_payment.tenant_id
+    returning expiration_date into v_expiration;
+
+    if v_expiration is null then
+        raise exception 'Tenant % não encontrado', v_payment.tenant_id;
+    end if;
+
+    update payments
+    set status = 'paid',
+        paid_at = now(),
+        raw_payload = p_payload,
+        status_history = status_history || jsonb_build_array(jsonb_build_object('status', 'paid', 'at', now()))
+    where id = p_payment_id;
+
+    return v_expiration;
+end;
+$$;
@@ -0,0 +1,27 @@
+-- Consumo de IA somado no banco (painéis do dono e do master), sem trazer as linhas de ai_usage para o servidor.
+-- p_tenant_id null = todos os tenants (uma linha por tenant).
+create or replace function ai_usage_totals(p_since timestamptz, p_tenant_id bigint default null)
+returns table (tenant_id bigint, messages bigint, tokens bigint, cost_usd numeric) language sql stable as $$
+    select u.tenant_id,
+           count(*) filter (where u.kind = 'reply'),
+           coalesce(sum(u.prompt_tokens + u.completion_tokens), 0)::bigint,
+           coalesce(sum(u.cost_usd), 0)
+    from ai_usage u
+    where u.created_at >= p_since
+      and (p_tenant_id is null or u.tenant_id = p_tenant_id)
+    group by u.tenant_id;
+$$;
+
+-- Contatos que mais consumiram tokens no período (ranking do painel do dono)
+create or replace function ai_usage_top_contacts(p_tenant_id bigint, p_since timestamptz, p_limit integer default 5)
+returns table (contact_key text, messages bigint, tokens bigint, cost_usd numeric) language sql stable as $$
+    select u.contact_key,
+           count(*) filter (where u.kind = 'reply'),
+           coalesce(sum(u.prompt_tokens + u.completion_tokens), 0)::bigint,
+           coalesce(sum(u.cost_usd), 0)
+    from ai_usage u
+    where u.tenant_id = p_tenant_id and u.created_at >= p_since
+    group by u.contact_key
+    order by 3 desc
+    limit p_limit;
+$$;
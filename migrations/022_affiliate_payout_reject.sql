@@ -0,0 +1,23 @@
+-- Recusa de saque de afiliado atômica: marca o saque como recusado e estorna o valor reservado no extrato
+-- na mesma transação (sem o estorno, o valor sumiria do saldo do afiliado).
+-- Retorna o saque recusado (chat_id, amount) ou nenhuma linha se ele já tinha sido decidido.
+create or replace function reject_affiliate_payout(p_tenant_id bigint, p_payout_id bigint)
+returns table (chat_id text, amount numeric) language plpgsql as $$
+declare
+    v_payout affiliate_payouts%rowtype;
+begin
+    update affiliate_payouts p
+    set status = 'rejected', decided_at = now()
+    where p.id = p_payout_id and p.tenant_id = p_tenant_id and p.status = 'pending'
+    returning p.* into v_payout;
+
+    if not found then
+        return;
+    end if;
+
+    insert into affiliate_ledger (tenant_id, chat_id, type, amount, reference)
+    values (v_payout.tenant_id, v_payout.chat_id, 'payout_reversal', v_payout.amount, v_payout.id::text);
+
+    return query select v_payout.chat_id, v_payout.amount;
+end;
+$$;
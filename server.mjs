@@ -6,9 +6,20 @@ import { Telegraf, Markup } from "telegraf";
 import QRCode from "qrcode";
 import dotenv from "dotenv";
 import fs from "fs";
-import OpenAI from "openai";
+import crypto from "crypto";
+import zlib from "zlib";
+import OpenAI, { toFile } from "openai";
+import { GoogleGenerativeAI } from "@google/generative-ai";
+import { PDFParse } from "pdf-parse";
 import cors from "cors";
 import { createClient } from "@supabase/supabase-js";
+import pg from "pg";
+import { createClient as createRedisClient } from "redis";
+import os from "os";
+import net from "net";
+import dns from "dns";
+import http from "http";
+import https from "https";
 
 dotenv.config();
 
@@ -17,7 +28,11 @@ const __dirname = path.dirname(__filename);
 
 const app = express();
 app.use(cors());
-app.use(express.json({ limit: "25mb" }));
+app.use(express.json({
+    limit: "25mb",
+    verify: (req, res, buf) => { req.rawBody = buf; } // Necessário para validar assinaturas HMAC
+}));
+app.use(express.urlencoded({ extended: true, limit: "25mb" })); // Wuzapi envia webhooks como form (jsonData)
 const PORT = Number(process.env.PORT || 8788);
 
 // Garantir diretório de uploads
@@ -27,12 +42,230 @@ app.use("/uploads", express.static(UPLOADS_DIR));
 
 // -- Configurações Globais (Serviços Compartilhados) --
 const DEFAULT_MODEL = "gpt-4o-mini";
+const DEFAULT_SYSTEM_PROMPT = "Você é um assistente útil e inteligente.";
+
+// -- Provedores de IA (OpenAI, Gemini e qualquer endpoint compatível com OpenAI) --
+// Colunas usadas no tenant: ai_provider, ai_base_url, openai_api_key (key do provedor) e openai_model
+const AI_PROVIDERS = {
+    openai: { label: "OpenAI", defaultModel: DEFAULT_MODEL, embeddingModel: "text-embedding-3-small", transcriptionModel: "whisper-1", needsKey: true },
+    gemini: { label: "Google Gemini", defaultModel: "gemini-1.5-flash", embeddingModel: "text-embedding-004", transcriptionModel: null, needsKey: true },
+    compatible: { label: "Compatível (Ollama / LM Studio)", defaultModel: null, embeddingModel: "nomic-embed-text", transcriptionModel: "whisper-1", needsKey: false }
+};
+
+const AI_MODEL_BUTTONS = 12; // Limite de botões no seletor de modelos
+
+// Modelos de chat da OpenAI (a listagem traz também embeddings, áudio, imagem...)
+const OPENAI_CHAT_MODEL_RE = /^(gpt-|o\d|chatgpt-)/;
+const OPENAI_NON_CHAT_RE = /(audio|realtime|transcribe|tts|image|search|embedding|instruct)/;
+const MODEL_SNAPSHOT_RE = /-(\d{4}|\d{4}-\d{2}-\d{2}|\d{3})$/; // Versões datadas (ex: gpt-4o-2024-08-06, gemini-1.5-flash-002)
+
+// Ordem decrescente deixa os modelos mais novos no topo do seletor
+const sortModels = (ids) => ids.filter(id => !MODEL_SNAPSHOT_RE.test(id)).sort().reverse();
+
+// -- Endpoints próprios de IA (provedor "compatible") --
+// A URL vem do dono do bot e é chamada pelo servidor: redes internas só com liberação do operador (ex: ollama:11434)
+const AI_ALLOWED_PRIVATE_HOSTS = new Set((process.env.AI_ALLOWED_PRIVATE_HOSTS || "")
+    .split(",").map(h => h.trim().toLowerCase()).filter(Boolean));
+
+const PRIVATE_NETWORKS = new net.BlockList();
+[["0.0.0.0", 8], ["10.0.0.0", 8], ["100.64.0.0", 10], ["127.0.0.0", 8], ["169.254.0.0", 16], ["172.16.0.0", 12],
+ ["192.0.0.0", 24], ["192.168.0.0", 16], ["198.18.0.0", 15], ["224.0.0.0", 4], ["240.0.0.0", 4]]
+    .forEach(([net4, prefix]) => PRIVATE_NETWORKS.addSubnet(net4, prefix, "ipv4"));
+[["::", 128], ["::1", 128], ["64:ff9b::", 96], ["fc00::", 7], ["fe80::", 10], ["ff00::", 8]]
+    .forEach(([net6, prefix]) => PRIVATE_NETWORKS.addSubnet(net6, prefix, "ipv6")); // ::ffff:a.b.c.d o BlockList confere nas faixas IPv4
+
+const isPrivateAddress = (address) => PRIVATE_NETWORKS.check(address, net.isIPv6(address) ? "ipv6" : "ipv4");
+const isAllowedPrivateHost = (url) => AI_ALLOWED_PRIVATE_HOSTS.has(url.hostname.toLowerCase()) || AI_ALLOWED_PRIVATE_HOSTS.has(url.host.toLowerCase());
+const urlHostAddress = (url) => url.hostname.replace(/^\[|\]$/g, ""); // IPv6 literal vem entre colchetes
+
+function blockedEndpointError(host, address) {
+    const error = new Error(`Endpoint em rede interna bloqueado (${host} → ${address}). Peça ao administrador da plataforma para liberá-lo.`);
+    error.code = "AI_ENDPOINT_BLOCKED";
+    return error;
+}
+
+// Checa o IP na hora de conectar (e não só no cadastro), senão um DNS trocado depois aponta para a rede interna
+function publicOnlyLookup(hostname, options, callback) {
+    dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+        if (err) return callback(err);
+        const blocked = addresses.find(a => isPrivateAddress(a.address));
+        if (blocked) return callback(blockedEndpointError(hostname, blocked.address));
+        if (options.all) return callback(null, addresses);
+        callback(null, addresses[0].address, addresses[0].family);
+    });
+}
+
+// Transporte do SDK da OpenAI para URLs de tenant. IP literal não passa pelo lookup e redirect escaparia do filtro
+function createPublicOnlyTransport(baseUrl) {
+    const url = new URL(baseUrl);
+    if (isAllowedPrivateHost(url)) return {};
+
+    const Agent = url.protocol === "https:" ? https.Agent : http.Agent;
+    const literal = urlHostAddress(url);
+    return {
+        httpAgent: new Agent({ lookup: publicOnlyLookup }),
+        fetch: (input, init) => {
+            if (net.isIP(literal) && isPrivateAddress(literal)) return Promise.reject(blockedEndpointError(url.host, literal));
+            return fetch(input, { ...init, redirect: "error" });
+        }
+    };
+}
+
+// Pré-checagem do wizard só para dar uma mensagem clara (null = ok); quem barra de fato é o transporte acima
+async function checkAIEndpoint(baseUrl) {
+    const url = new URL(baseUrl);
+    if (isAllowedPrivateHost(url)) return null;
+
+    const host = urlHostAddress(url);
+    try {
+        const addresses = net.isIP(host) ? [{ address: host }] : await dns.promises.lookup(host, { all: true });
+        const blocked = addresses.find(a => isPrivateAddress(a.address));
+        return blocked ? blockedEndpointError(url.host, blocked.address).message : null;
+    } catch (e) {
+        return `Não foi possível resolver ${host} (${e.code || e.message}).`;
+    }
+}
+
+function createOpenAIClient({ apiKey, baseUrl, provider }) {
+    // Endpoints locais costumam ignorar a key, mas o SDK exige uma
+    const client = new OpenAI({
+        apiKey: apiKey || "not-needed",
+        ...(baseUrl ? { baseURL: baseUrl, ...createPublicOnlyTransport(baseUrl) } : {})
+    });
+
+    return {
+        async chat({ model, messages }) {
+            const response = await client.chat.completions.create({ model, messages });
+            return {
+                text: response.choices[0].message.content,
+                usage: {
+                    input: response.usage?.prompt_tokens || 0,
+                    output: response.usage?.completion_tokens || 0
+                }
+            };
+        },
+        async embed(texts, model) {
+            const response = await client.embeddings.create({ model, input: texts });
+            return response.data.map(d => d.embedding);
+        },
+        // Endpoint /audio/transcriptions (Whisper ou servidor compatível)
+        async transcribe({ buffer, fileName, mime, model }) {
+            const file = await toFile(buffer, fileName, { type: mime });
+            const response = await client.audio.transcriptions.create({ file, model });
+            return { text: response.text, usage: null };
+        },
+        async listModels() {
+            const ids = [];
+            for await (const m of client.models.list()) ids.push(m.id);
+            if (provider !== "openai") return ids.sort();
+            return sortModels(ids.filter(id => OPENAI_CHAT_MODEL_RE.test(id) && !OPENAI_NON_CHAT_RE.test(id)));
+        }
+    };
+}
+
+function createGeminiClient({ apiKey }) {
+    const genAI = new GoogleGenerativeAI(apiKey);
+
+    // Conteúdo no formato OpenAI (texto ou [{type:"text"}, {type:"image_url"}]) -> parts do Gemini
+    const toParts = (content) => {
+        if (!Array.isArray(content)) return [{ text: content }];
+        return content.map(part => {
+            if (part.type !== "image_url") return { text: part.text };
+            const [, mimeType, data] = part.image_url.url.match(/^data:(.+?);base64,(.*)$/) || [];
+            return { inlineData: { mimeType, data } };
+        });
+    };
+
+    return {
+        async chat({ model, messages }) {
+            // Gemini recebe o system prompt à parte e usa "model" no lugar de "assistant"
+            const systemInstruction = messages.filter(m => m.role === "system").map(m => m.content).join("\n\n");
+            const contents = messages
+                .filter(m => m.role !== "system")
+                .map(m => ({ role: m.role === "assistant" ? "model" : "user", parts: toParts(m.content) }));
+            while (contents.length && contents[0].role !== "user") contents.shift(); // Deve começar pelo usuário
+
+            const generative = genAI.getGenerativeModel({ model, ...(systemInstruction ? { systemInstruction } : {}) });
+            const result = await generative.generateContent({ contents });
+            return {
+                text: result.response.text(),
+                usage: {
+                    input: result.response.usageMetadata?.promptTokenCount || 0,
+                    output: result.response.usageMetadata?.candidatesTokenCount || 0
+                }
+            };
+        },
+        // Gemini não tem endpoint de transcrição: o próprio modelo ouve o áudio
+        async transcribe({ buffer, mime, model }) {
+            const result = await genAI.getGenerativeModel({ model }).generateContent([
+                { inlineData: { mimeType: mime, data: buffer.toString("base64") } },
+                { text: "Transcreva este áudio exatamente como foi falado, sem comentários." }
+            ]);
+            return {
+                text: result.response.text(),
+                usage: {
+                    input: result.response.usageMetadata?.promptTokenCount || 0,
+                    output: result.response.usageMetadata?.candidatesTokenCount || 0
+                }
+            };
+        },
+        async embed(texts, model) {
+            const result = await genAI.getGenerativeModel({ model }).batchEmbedContents({
+                requests: texts.map(text => ({ content: { role: "user", parts: [{ text }] } }))
+            });
+            return result.embeddings.map(e => e.values);
+        },
+        async listModels() {
+            // O SDK não expõe a listagem: usa a REST API diretamente
+            const res = await fetch(`https://generativelanguage.googleapis.com/v1beta/models?pageSize=200&key=${encodeURIComponent(apiKey)}`);
+            const data = await res.json().catch(() => ({}));
+            if (!res.ok) throw new Error(data.error?.message || `HTTP ${res.status}`);
+            return sortModels((data.models || [])
+                .filter(m => (m.supportedGenerationMethods || []).includes("generateContent") && m.name.includes("gemini"))
+                .map(m => m.name.replace(/^models\//, "")));
+        }
+    };
+}
+
+function createAIClient({ provider = "openai", apiKey, baseUrl }) {
+    if (provider === "gemini") return createGeminiClient({ apiKey });
+    return createOpenAIClient({ apiKey, baseUrl: provider === "compatible" ? baseUrl : null, provider });
+}
 
-// Helper para pegar a instância da OpenAI correta
-function getOpenAI(tenant) {
+// Cliente de IA do tenant (null = IA desligada)
+function getAIClient(tenant) {
+    const provider = AI_PROVIDERS[tenant.ai_provider] ? tenant.ai_provider : "openai";
     const apiKey = tenant.openai_api_key; // STRICT MODE: Apenas key do tenant
-    if (!apiKey) return null;
-    return new OpenAI({ apiKey });
+
+    if (provider === "compatible") {
+        if (!tenant.ai_base_url) return null;
+    } else if (!apiKey) {
+        return null;
+    }
+    return createAIClient({ provider, apiKey, baseUrl: tenant.ai_base_url });
+}
+
+function getTranscriptionModel(tenant) {
+    return (AI_PROVIDERS[tenant.ai_provider] || AI_PROVIDERS.openai).transcriptionModel || getAIModel(tenant);
+}
+
+function getEmbeddingModel(tenant) {
+    return (AI_PROVIDERS[tenant.ai_provider] || AI_PROVIDERS.openai).embeddingModel;
+}
+
+function getAIModel(tenant) {
+    const provider = AI_PROVIDERS[tenant.ai_provider] || AI_PROVIDERS.openai;
+    return tenant.openai_model || provider.defaultModel || DEFAULT_MODEL;
+}
+
+// Valida as credenciais listando os modelos (falha = key/URL inválida)
+async function validateAICredentials({ provider, apiKey, baseUrl }) {
+    try {
+        const models = await createAIClient({ provider, apiKey, baseUrl }).listModels();
+        return { ok: true, models };
+    } catch (e) {
+        return { ok: false, error: e.status === 401 ? "Key recusada pelo provedor (401)." : e.message };
+    }
 }
 
 const WUZAPI_BASE_URL = process.env.WUZAPI_BASE_URL || "http://localhost:8080";
@@ -84,13 +317,424 @@ console.log("SYNCPAY_MASTER_SECRET:", MASTER_SYNCPAY_SECRET ? "PRESENT (MASKED)"
 console.log("----------------------");
 
 // -- Supabase Setup (Banco SaaS) --
-const supabase = createClient(
-    process.env.SUPABASE_URL,
-    process.env.SUPABASE_SERVICE_ROLE_KEY
-);
+// STORAGE_DRIVER escolhe o banco de TUDO: supabase (padrão) | postgres (DATABASE_URL, sem Supabase).
+// Misturar (sessões no Postgres, pagamentos/vagas/tickets no Supabase) não é suportado.
+const STORAGE_DRIVER = (process.env.STORAGE_DRIVER || "supabase").toLowerCase();
+const CLI_COMMAND = process.argv[2]; // migrate | import-sessions (ver "Storage" abaixo)
+
+if (STORAGE_DRIVER === "postgres" && process.env.SUPABASE_URL) {
+    console.error("❌ STORAGE_DRIVER=postgres com SUPABASE_URL configurada: os dados ficariam divididos entre os dois bancos. Remova SUPABASE_URL (ou use STORAGE_DRIVER=supabase).");
+    process.exit(1);
+}
+
+// -- Storage (Repositórios: sessões, tenants e system_config) --
+// Mesma interface nos dois drivers:
+//   sessions: get ({ data, version }), save (versão esperada -> nova versão, null em conflito), exists,
+//             page (por tenant, em ordem de chat_id), scan (todos os tenants)
+//   tenants:  get, listActive, scan (todos, em ordem de id), updateIf (grava só se os valores esperados não mudaram)
+//   config:   get, set
+//   cluster:  heartbeat (workers vivos), claim/release de leases (ver "Cluster")
+//   migrate:  aplica migrations/*.sql pendentes (só no postgres; no Supabase rodam pelo SQL Editor)
+const MIGRATIONS_DIR = path.join(__dirname, "migrations");
+
+function createSupabaseStorage(client) {
+    const check = ({ data, error }) => {
+        if (error && error.code !== 'PGRST116') throw new Error(error.message);
+        return data;
+    };
+
+    return {
+        driver: "supabase",
+        client,
+        async migrate() {
+            log("Driver supabase: aplique as migrations pelo SQL Editor do projeto.", "SYSTEM");
+        },
+        sessions: {
+            async get(tenantId, chatId) {
+                return check(await client.from('bot_sessions').select('data, version')
+                    .eq('tenant_id', tenantId).eq('chat_id', String(chatId)).single()) || null;
+            },
+            async save(tenantId, chatId, data, expectedVersion = null) {
+                return check(await client.rpc('save_bot_session', {
+                    p_tenant_id: tenantId,
+                    p_chat_id: String(chatId),
+                    p_data: data,
+                    p_expected_version: expectedVersion
+                }));
+            },
+            async exists(tenantId, chatId) {
+                const row = check(await client.from('bot_sessions').select('chat_id')
+                    .eq('tenant_id', tenantId).eq('chat_id', String(chatId)).single());
+                return !!row;
+            },
+            async page(tenantId, { after = null, limit = 500 } = {}) {
+                let query = client.from('bot_sessions').select('chat_id, data, version')
+                    .eq('tenant_id', tenantId).order('chat_id').limit(limit);
+                if (after) query = query.gt('chat_id', after);
+                return check(await query) || [];
+            },
+            async scan({ offset = 0, limit = 1000 } = {}) {
+                return check(await client.from('bot_sessions').select('tenant_id, chat_id, data, version')
+                    .order('tenant_id').order('chat_id').range(offset, offset + limit - 1)) || [];
+            }
+        },
+        tenants: {
+            async get(id) {
+                return check(await client.from('tenants').select('*').eq('id', id).single()) || null;
+            },
+            async listActive() {
+                return check(await client.from('tenants').select('*').eq('is_active', true)) || [];
+            },
+            async scan({ offset = 0, limit = 500 } = {}) {
+                return check(await client.from('tenants').select('*').order('id').range(offset, offset + limit - 1)) || [];
+            },
+            async updateIf(id, expected, changes) {
+                const rows = check(await client.from('tenants').update(changes).match({ ...expected, id }).select('id'));
+                return (rows || []).length > 0;
+            },
+            async update(id, changes) {
+                return this.updateIf(id, {}, changes);
+            }
+        },
+        config: {
+            async get(key) {
+                const row = check(await client.from('system_config').select('value').eq('key', key).single());
+                return row ? row.value : null;
+            },
+            async set(key, value) {
+                check(await client.from('system_config').upsert({ key, value: String(value) }));
+            }
+        },
+        cluster: {
+            async heartbeat(workerId, ttlSeconds) {
+                return check(await client.rpc('cluster_heartbeat', { p_worker_id: workerId, p_ttl_seconds: ttlSeconds }));
+            },
+            async claim(name, workerId, ttlSeconds) {
+                return check(await client.rpc('claim_cluster_lease', { p_name: name, p_worker_id: workerId, p_ttl_seconds: ttlSeconds })) === true;
+            },
+            async release(name, workerId) {
+                check(await client.from('cluster_leases').delete().eq('name', name).eq('worker_id', workerId));
+            }
+        }
+    };
+}
+
+// bigint/numeric como number (igual ao Supabase): ids de tenant são chaves de Map em todo o código
+pg.types.setTypeParser(pg.types.builtins.INT8, Number);
+pg.types.setTypeParser(pg.types.builtins.NUMERIC, parseFloat);
+
+function createPostgresStorage(connectionString) {
+    const pool = new pg.Pool({ connectionString, max: Number(process.env.DATABASE_POOL_SIZE || 5) });
+    const rows = async (sql, params) => (await pool.query(sql, params)).rows;
+
+    return {
+        driver: "postgres",
+        pool,
+        async migrate() {
+            await pool.query(`create table if not exists schema_migrations (
+                name text primary key, applied_at timestamptz not null default now())`);
+            const applied = new Set((await rows("select name from schema_migrations")).map(r => r.name));
+            const files = fs.readdirSync(MIGRATIONS_DIR).filter(f => f.endsWith(".sql")).sort();
+
+            for (const file of files) {
+                if (applied.has(file)) continue;
+                const client = await pool.connect();
+                try {
+                    await client.query("begin");
+                    await client.query(fs.readFileSync(path.join(MIGRATIONS_DIR, file), "utf8"));
+                    await client.query("insert into schema_migrations (name) values ($1)", [file]);
+                    await client.query("commit");
+                    log(`Migration aplicada: ${file}`, "SYSTEM");
+                } catch (e) {
+                    await client.query("rollback").catch(() => { });
+                    throw new Error(`Migration ${file}: ${e.message}`);
+                } finally {
+                    client.release();
+                }
+            }
+        },
+        sessions: {
+            async get(tenantId, chatId) {
+                const [row] = await rows("select data, version from bot_sessions where tenant_id = $1 and chat_id = $2", [tenantId, String(chatId)]);
+                return row || null;
+            },
+            async save(tenantId, chatId, data, expectedVersion = null) {
+                const [row] = await rows("select save_bot_session($1, $2, $3, $4) as version", [tenantId, String(chatId), data, expectedVersion]);
+                return row.version;
+            },
+            async exists(tenantId, chatId) {
+                const [row] = await rows("select 1 from bot_sessions where tenant_id = $1 and chat_id = $2", [tenantId, String(chatId)]);
+                return !!row;
+            },
+            async page(tenantId, { after = null, limit = 500 } = {}) {
+                return rows(
+                    `select chat_id, data, version from bot_sessions
+                     where tenant_id = $1 and ($2::text is null or chat_id > $2)
+                     order by chat_id limit $3`,
+                    [tenantId, after, limit]
+                );
+            },
+            async scan({ offset = 0, limit = 1000 } = {}) {
+                return rows("select tenant_id, chat_id, data, version from bot_sessions order by tenant_id, chat_id offset $1 limit $2", [offset, limit]);
+            }
+        },
+        tenants: {
+            async get(id) {
+                const [row] = await rows("select * from tenants where id = $1", [id]);
+                return row || null;
+            },
+            async listActive() {
+                return rows("select * from tenants where is_active = true order by id");
+            },
+            async scan({ offset = 0, limit = 500 } = {}) {
+                return rows("select * from tenants order by id offset $1 limit $2", [offset, limit]);
+            },
+            async updateIf(id, expected, changes) {
+                const sets = Object.keys(changes);
+                const conds = Object.keys(expected);
+                const params = [...Object.values(changes), ...Object.values(expected), id];
+                const sql = `update tenants set ${sets.map((c, i) => `"${c}" = $${i + 1}`).join(", ")}
+                    where ${conds.map((c, i) => `"${c}" = $${sets.length + i + 1} and `).join("")}id = $${params.length}`;
+                return (await pool.query(sql, params)).rowCount > 0;
+            },
+            async update(id, changes) {
+                return this.updateIf(id, {}, changes);
+            }
+        },
+        config: {
+            async get(key) {
+                const [row] = await rows("select value from system_config where key = $1", [key]);
+                return row ? row.value : null;
+            },
+            async set(key, value) {
+                await pool.query(
+                    "insert into system_config (key, value) values ($1, $2) on conflict (key) do update set value = excluded.value",
+                    [key, String(value)]
+                );
+            }
+        },
+        cluster: {
+            async heartbeat(workerId, ttlSeconds) {
+                const [row] = await rows("select cluster_heartbeat($1, $2) as alive", [workerId, ttlSeconds]);
+                return row.alive;
+            },
+            async claim(name, workerId, ttlSeconds) {
+                const [row] = await rows("select claim_cluster_lease($1, $2, $3) as ok", [name, workerId, ttlSeconds]);
+                return row.ok === true;
+            },
+            async release(name, workerId) {
+                await pool.query("delete from cluster_leases where name = $1 and worker_id = $2", [name, workerId]);
+            }
+        }
+    };
+}
+
+// Cliente com o subconjunto do supabase-js usado pelo servidor, sobre o pool do Postgres:
+// from(...).select/insert/update/upsert/delete, filtros eq/neq/gt/gte/lt/lte/in/match, order/limit/range,
+// single/maybeSingle, count (head) e rpc. Devolve { data, error, count } como o supabase-js (não lança).
+function createPostgresQueryClient(pool) {
+    const quote = (name) => `"${String(name).trim().replace(/"/g, '""')}"`;
+    const columnsSql = (columns) => columns === "*" ? "*" : columns.split(",").map(quote).join(", ");
+    const tableInfo = new Map(); // tabela -> { types: Map(coluna -> data_type), primaryKey: [colunas] }
+    const setReturning = new Map(); // função -> retorna várias linhas (returns table/setof)?
+
+    async function infoOf(table) {
+        if (!tableInfo.has(table)) {
+            const { rows: cols } = await pool.query(
+                "select column_name, data_type from information_schema.columns where table_schema = current_schema() and table_name = $1", [table]);
+            const { rows: pk } = await pool.query(
+                `select a.attname from pg_index i join pg_attribute a on a.attrelid = i.indrelid and a.attnum = any(i.indkey)
+                 where i.indrelid = $1::regclass and i.indisprimary`, [quote(table)]);
+            tableInfo.set(table, { types: new Map(cols.map(c => [c.column_name, c.data_type])), primaryKey: pk.map(r => r.attname) });
+        }
+        return tableInfo.get(table);
+    }
+
+    // Arrays em colunas json(b) vão como JSON (o pg converteria para o formato de array do Postgres)
+    function toParam(info, column, value) {
+        if (value !== null && typeof value === "object" && !(value instanceof Date) && /^json/.test(info.types.get(column) || "")) {
+            return JSON.stringify(value);
+        }
+        return value;
+    }
+
+    function from(table) {
+        const state = { action: "select", columns: "*", returning: null, filters: [], orders: [], limit: null, offset: null, mode: null };
+
+        async function run() {
+            const info = await infoOf(table);
+            const params = [];
+            const param = (column, value) => { params.push(toParam(info, column, value)); return `$${params.length}`; };
+            // Chamado na ordem em que os parâmetros aparecem no SQL (no update, depois do SET)
+            const where = () => state.filters.length ? " where " + state.filters.map(([column, op, value]) => {
+                if (op === "in") { params.push(value); return `${quote(column)} = any($${params.length})`; }
+                if (value === null) return `${quote(column)} is ${op === "=" ? "" : "not "}null`;
+                return `${quote(column)} ${op} ${param(column, value)}`;
+            }).join(" and ") : "";
+            const returning = state.returning ? ` returning ${columnsSql(state.returning)}` : "";
+
+            let sql;
+            if (state.action === "select") {
+                const filters = where();
+                if (state.count) {
+                    const { rows } = await pool.query(`select count(*)::int as count from ${quote(table)}${filters}`, params);
+                    if (state.head) return { data: null, count: rows[0].count };
+                    state.total = rows[0].count;
+                }
+                sql = `select ${columnsSql(state.columns)} from ${quote(table)}${filters}` +
+                    (state.orders.length ? ` order by ${state.orders.map(([c, asc]) => `${quote(c)} ${asc ? "asc" : "desc"}`).join(", ")}` : "") +
+                    (state.limit !== null ? ` limit ${Number(state.limit)}` : "") +
+                    (state.offset !== null ? ` offset ${Number(state.offset)}` : "");
+            } else if (state.action === "insert" || state.action === "upsert") {
+                const list = Array.isArray(state.values) ? state.values : [state.values];
+                const columns = [...new Set(list.flatMap(row => Object.keys(row).filter(c => row[c] !== undefined)))];
+                const values = list.map(row => `(${columns.map(c => row[c] === undefined ? "default" : param(c, row[c])).join(", ")})`);
+                let conflict = "";
+                if (state.action === "upsert") {
+                    const keys = state.onConflict ? state.onConflict.split(",").map(c => c.trim()) : info.primaryKey;
+                    const updates = columns.filter(c => !keys.includes(c));
+                    conflict = ` on conflict (${keys.map(quote).join(", ")}) ` + (state.ignoreDuplicates || updates.length === 0
+                        ? "do nothing"
+                        : `do update set ${updates.map(c => `${quote(c)} = excluded.${quote(c)}`).join(", ")}`);
+                }
+                sql = `insert into ${quote(table)} (${columns.map(quote).join(", ")}) values ${values.join(", ")}${conflict}${returning}`;
+            } else if (state.action === "update") {
+                const sets = Object.keys(state.values).filter(c => state.values[c] !== undefined)
+                    .map(c => `${quote(c)} = ${param(c, state.values[c])}`);
+                sql = `update ${quote(table)} set ${sets.join(", ")}${where()}${returning}`;
+            } else {
+                sql = `delete from ${quote(table)}${where()}${returning}`;
+            }
+
+            if (state.action === "select") return { data: pick((await pool.query(sql, params)).rows), count: state.total ?? null };
+            const { rows } = await pool.query(sql, params);
+            return { data: state.returning ? pick(rows) : null };
+        }
+
+        function pick(rows) {
+            if (!state.mode) return rows;
+            if (rows.length > 1 || (rows.length === 0 && state.mode === "single")) {
+                const error = new Error(`JSON object requested, multiple (or no) rows returned`);
+                error.code = "PGRST116";
+                throw error;
+            }
+            return rows[0] || null;
+        }
+
+        const filter = (column, op, value) => { state.filters.push([column, op, value]); return builder; };
+        const builder = {
+            select(columns = "*", { count, head } = {}) {
+                if (state.action === "select") Object.assign(state, { columns, count, head });
+                else state.returning = columns;
+                return builder;
+            },
+            insert(values) { Object.assign(state, { action: "insert", values }); return builder; },
+            update(values) { Object.assign(state, { action: "update", values }); return builder; },
+            upsert(values, { onConflict, ignoreDuplicates = false } = {}) {
+                Object.assign(state, { action: "upsert", values, onConflict, ignoreDuplicates });
+                return builder;
+            },
+            delete() { state.action = "delete"; return builder; },
+            eq: (column, value) => filter(column, "=", value),
+            neq: (column, value) => filter(column, "<>", value),
+            gt: (column, value) => filter(column, ">", value),
+            gte: (column, value) => filter(column, ">=", value),
+            lt: (column, value) => filter(column, "<", value),
+            lte: (column, value) => filter(column, "<=", value),
+            in: (column, values) => filter(column, "in", values),
+            is: (column, value) => filter(column, "=", value), // Só is(coluna, null) é usado
+            match(values) {
+                for (const [column, value] of Object.entries(values)) filter(column, "=", value);
+                return builder;
+            },
+            order(column, { ascending = true } = {}) { state.orders.push([column, ascending]); return builder; },
+            limit(n) { state.limit = n; return builder; },
+            range(fromRow, toRow) { Object.assign(state, { offset: fromRow, limit: toRow - fromRow + 1 }); return builder; },
+            single() { state.mode = "single"; return builder; },
+            maybeSingle() { state.mode = "maybe"; return builder; },
+            then(resolve, reject) {
+                return run()
+                    .then(r => ({ data: r.data, error: null, count: r.count ?? null }),
+                        e => ({ data: null, error: { message: e.message, code: e.code }, count: null }))
+                    .then(resolve, reject);
+            }
+        };
+        return builder;
+    }
+
+    async function rpc(fn, args = {}) {
+        try {
+            const names = Object.keys(args);
+            const { rows, fields } = await pool.query(
+                `select * from ${quote(fn)}(${names.map((n, i) => `${quote(n)} => $${i + 1}`).join(", ")})`, Object.values(args));
+            if (!setReturning.has(fn)) {
+                const { rows: proc } = await pool.query("select proretset from pg_proc where proname = $1 limit 1", [fn]);
+                setReturning.set(fn, !!proc[0]?.proretset);
+            }
+            if (setReturning.get(fn)) return { data: rows, error: null };
+            // Função escalar: o supabase-js devolve o valor direto
+            if (fields.length === 1 && fields[0].name === fn) return { data: rows[0] ? rows[0][fn] : null, error: null };
+            return { data: rows[0] || null, error: null };
+        } catch (e) {
+            return { data: null, error: { message: e.message, code: e.code } };
+        }
+    }
+
+    return { from, rpc };
+}
+
+function createStorage() {
+    if (STORAGE_DRIVER === "postgres") {
+        if (!process.env.DATABASE_URL) throw new Error("STORAGE_DRIVER=postgres exige DATABASE_URL.");
+        return createPostgresStorage(process.env.DATABASE_URL);
+    }
+    if (STORAGE_DRIVER !== "supabase") throw new Error(`STORAGE_DRIVER inválido: ${STORAGE_DRIVER} (use supabase ou postgres)`);
+    return createSupabaseStorage(createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_ROLE_KEY));
+}
+
+const storage = createStorage();
+// Módulos fora dos repositórios (vagas, tickets, pagamentos, IA...) usam o mesmo banco do storage
+const supabase = storage.driver === "postgres" ? createPostgresQueryClient(storage.pool) : storage.client;
+
+// Importa o sessions.json do servidor antigo (um bot só: { "<chatId>": { ...sessão } }) para um tenant.
+// Sessões que já existem no banco são mantidas, a menos que overwrite = true.
+async function importLegacySessions(file, tenantId, { overwrite = false } = {}) {
+    const legacy = JSON.parse(fs.readFileSync(file, "utf8"));
+    if (!legacy || typeof legacy !== "object" || Array.isArray(legacy)) throw new Error("Formato inválido: esperado { chatId: sessão }.");
+    if (!(await storage.tenants.get(tenantId))) throw new Error(`Tenant ${tenantId} não encontrado.`);
+
+    const result = { imported: 0, skipped: 0 };
+    for (const [chatId, data] of Object.entries(legacy)) {
+        if (!/^-?\d+$/.test(chatId) || !data || typeof data !== "object") {
+            result.skipped++;
+            continue;
+        }
+        if (!overwrite && await storage.sessions.exists(tenantId, chatId)) {
+            result.skipped++;
+            continue;
+        }
+
+        // "history" era a memória da IA no formato antigo (hoje em ai_conversations)
+        const { history, ...session } = data;
+        const version = await storage.sessions.save(tenantId, chatId, {
+            ...session,
+            stage: session.stage || "READY",
+            whatsapp: session.whatsapp || { maxInstances: 1 }
+        }, overwrite ? null : 0);
+        if (version === null) result.skipped++; // Criada enquanto isso
+        else result.imported++;
+    }
+
+    // Instâncias do formato antigo (session.whatsapp.instances) vão para a tabela no próximo boot
+    if (result.imported) await storage.config.set('instances_migrated', "false");
+    return result;
+}
+
 
 // -- Estado Global do SaaS --
 const activeBots = new Map(); // tenant_id -> Telegraf Instance
+const activeTenants = new Map(); // String(tenant_id) -> Objeto tenant em memória (mesmo usado pelo bot)
+let masterBotInstance = null; // Definido quando MASTER_BOT_TOKEN está configurado
 const SERVER_VERSION = "2.0.0-SAAS";
 
 function log(msg, tenantName = "SYSTEM") {
@@ -113,9 +757,321 @@ async function safeEdit(ctx, text, extra = {}) {
     }
 }
 
+// -- Segurança (Auth da API Admin, Tokens de Webhook, Rate Limit, Auditoria) --
+const ADMIN_API_KEY = process.env.ADMIN_API_KEY;         // Header: Authorization: Bearer <key>
+const ADMIN_API_SECRET = process.env.ADMIN_API_SECRET;   // HMAC: X-Timestamp + X-Signature: sha256=<hex>
+const WEBHOOK_SECRET = process.env.WEBHOOK_SECRET;       // Deriva os tokens das URLs de webhook de pagamento
+const SIGNATURE_TOLERANCE = 5 * 60 * 1000;
+
+if (!ADMIN_API_KEY && !ADMIN_API_SECRET) {
+    console.log("⚠️ ADMIN_API_KEY/ADMIN_API_SECRET não configurados: rotas /admin da API ficarão bloqueadas.");
+}
+if (!WEBHOOK_SECRET) {
+    console.log("⚠️ WEBHOOK_SECRET não configurado: webhooks de pagamento ficarão bloqueados (pagamentos não serão confirmados).");
+}
+
+function safeEqual(a, b) {
+    const bufA = Buffer.from(String(a || ""));
+    const bufB = Buffer.from(String(b || ""));
+    return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+}
+
+function auditRejected(req, reason, details = {}) {
+    const ip = req.ip || req.socket?.remoteAddress;
+    log(`Chamada rejeitada (${reason}) em ${req.method} ${req.path} de ${ip}`, "SECURITY");
+    supabase.from('security_audit').insert({
+        ip,
+        route: `${req.method} ${req.path}`,
+        reason,
+        details
+    }).then(({ error }) => {
+        if (error) console.log(`[AUDIT] Falha ao registrar: ${error.message}`);
+    });
+}
+
+// Rate limit simples em memória (janela fixa por IP + grupo de rota)
+const rateLimitHits = new Map(); // "name:ip" -> { count, resetAt }
+
+function rateLimit(name, max, windowMs = 60 * 1000) {
+    return (req, res, next) => {
+        const key = `${name}:${req.ip}`;
+        const now = Date.now();
+        let entry = rateLimitHits.get(key);
+        if (!entry || entry.resetAt <= now) {
+            entry = { count: 0, resetAt: now + windowMs };
+            rateLimitHits.set(key, entry);
+        }
+        entry.count++;
+
+        if (entry.count > max) {
+            if (entry.count === max + 1) auditRejected(req, "rate_limited", { limit: max });
+            res.set("Retry-After", String(Math.ceil((entry.resetAt - now) / 1000)));
+            return res.status(429).json({ error: "Too many requests" });
+        }
+        return next();
+    };
+}
+
+setInterval(() => {
+    const now = Date.now();
+    for (const [key, entry] of rateLimitHits) {
+        if (entry.resetAt <= now) rateLimitHits.delete(key);
+    }
+}, 60 * 1000).unref();
+
+// API Admin: aceita API Key (Bearer) ou assinatura HMAC do corpo
+function requireAdminAuth(req, res, next) {
+    const auth = req.get("authorization") || "";
+    if (ADMIN_API_KEY && auth.startsWith("Bearer ") && safeEqual(auth.slice(7), ADMIN_API_KEY)) {
+        return next();
+    }
+
+    const signature = req.get("x-signature");
+    const timestamp = req.get("x-timestamp");
+    if (ADMIN_API_SECRET && signature && timestamp) {
+        if (Math.abs(Date.now() - Number(timestamp)) > SIGNATURE_TOLERANCE) {
+            auditRejected(req, "expired_signature");
+            return res.status(401).json({ error: "Signature expired" });
+        }
+        const expected = "sha256=" + crypto
+            .createHmac("sha256", ADMIN_API_SECRET)
+            .update(`${timestamp}.${req.rawBody ? req.rawBody.toString("utf8") : ""}`)
+            .digest("hex");
+        if (safeEqual(signature, expected)) return next();
+
+        auditRejected(req, "invalid_signature");
+        return res.status(401).json({ error: "Invalid signature" });
+    }
+
+    auditRejected(req, "invalid_api_key");
+    return res.status(401).json({ error: "Unauthorized" });
+}
+
+// Token das URLs de webhook de pagamento: HMAC(WEBHOOK_SECRET, escopo)
+function webhookToken(scope) {
+    return crypto.createHmac("sha256", WEBHOOK_SECRET || "").update(scope).digest("hex").substring(0, 32);
+}
+
+function signedWebhookUrl(pathname, scope) {
+    const url = `${WEBHOOK_BASE}${pathname}`;
+    return WEBHOOK_SECRET ? `${url}?token=${webhookToken(scope)}` : url;
+}
+
+function requireWebhookToken(getScope) {
+    return (req, res, next) => {
+        // Sem segredo não há como validar: recusa (como o /admin sem chaves), 503 faz o gateway tentar de novo
+        if (!WEBHOOK_SECRET) {
+            auditRejected(req, "webhook_secret_not_configured");
+            return res.status(503).json({ error: "Webhook not configured" });
+        }
+        if (safeEqual(req.query.token, webhookToken(getScope(req)))) return next();
+
+        auditRejected(req, "invalid_webhook_token");
+        return res.status(401).json({ error: "Invalid webhook token" });
+    };
+}
+
+// Segredo por instância do Wuzapi (vai na URL do webhook)
+function generateInstanceSecret() {
+    return crypto.randomBytes(24).toString("hex");
+}
+
+function buildInstanceWebhook(tenantId, chatId, secret) {
+    return `${WEBHOOK_BASE}/webhook/wuzapi/${tenantId}/${chatId}?secret=${secret}`;
+}
+
+// -- Modo de Recebimento dos Bots dos Tenants (polling | webhook) --
+// webhook: cada bot recebe em /telegram/:tenantId/:secret (WEBHOOK_URL precisa ser HTTPS público).
+// O segredo deriva do token do bot: trocar o token invalida a URL antiga.
+const TELEGRAM_MODE = process.env.TELEGRAM_MODE === "webhook" ? "webhook" : "polling";
+
+if (TELEGRAM_MODE === "webhook" && !WEBHOOK_BASE.startsWith("https://")) {
+    console.log("⚠️ TELEGRAM_MODE=webhook exige WEBHOOK_URL com https:// (o Telegram recusa http).");
+}
+
+function telegramWebhookSecret(tenant) {
+    return webhookToken(`telegram:${tenant.id}:${tenant.telegram_token}`);
+}
+
+function telegramWebhookUrl(tenant) {
+    return `${WEBHOOK_BASE}/telegram/${tenant.id}/${telegramWebhookSecret(tenant)}`;
+}
+
+// -- Criptografia dos Segredos dos Tenants (Envelope: AES-256-GCM) --
+// Cada valor tem sua própria chave de dados (DEK), guardada cifrada pela chave mestra do .env.
+// Formato no banco: enc:v1:<id da chave mestra>:<DEK cifrada>:<valor cifrado> (base64url)
+// Rotação: nova chave em SECRETS_MASTER_KEY, anteriores em SECRETS_PREVIOUS_KEYS (vírgula) e /rotacionar_chaves no Master Bot
+const TENANT_SECRET_FIELDS = ["telegram_token", "openai_api_key", "syncpay_client_secret"];
+const SECRET_PREFIX = "enc:v1:";
+
+function deriveMasterKey(secret) {
+    const key = crypto.createHash("sha256").update(secret).digest();
+    const id = crypto.createHash("sha256").update(key).digest("hex").substring(0, 8);
+    return { id, key };
+}
+
+const SECRET_KEYS = (() => {
+    const current = process.env.SECRETS_MASTER_KEY ? deriveMasterKey(process.env.SECRETS_MASTER_KEY) : null;
+    const byId = new Map();
+    for (const secret of (process.env.SECRETS_PREVIOUS_KEYS || "").split(",").map(s => s.trim()).filter(Boolean)) {
+        const k = deriveMasterKey(secret);
+        byId.set(k.id, k.key);
+    }
+    if (current) byId.set(current.id, current.key);
+    return { current, byId };
+})();
+
+if (!SECRET_KEYS.current) {
+    console.log("⚠️ SECRETS_MASTER_KEY não configurada: tokens e keys dos tenants serão gravados sem criptografia.");
+}
+
+function aesGcmEncrypt(key, plain) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv("aes-256-gcm", key, iv);
+    const data = Buffer.concat([cipher.update(plain), cipher.final()]);
+    return Buffer.concat([iv, cipher.getAuthTag(), data]).toString("base64url");
+}
+
+function aesGcmDecrypt(key, encoded) {
+    const buf = Buffer.from(encoded, "base64url");
+    const decipher = crypto.createDecipheriv("aes-256-gcm", key, buf.subarray(0, 12));
+    decipher.setAuthTag(buf.subarray(12, 28));
+    return Buffer.concat([decipher.update(buf.subarray(28)), decipher.final()]);
+}
+
+const isEncryptedSecret = (value) => typeof value === "string" && value.startsWith(SECRET_PREFIX);
+
+function encryptSecret(value) {
+    if (!value || isEncryptedSecret(value) || !SECRET_KEYS.current) return value;
+    const dek = crypto.randomBytes(32);
+    return SECRET_PREFIX + [
+        SECRET_KEYS.current.id,
+        aesGcmEncrypt(SECRET_KEYS.current.key, dek),
+        aesGcmEncrypt(dek, Buffer.from(String(value), "utf8"))
+    ].join(":");
+}
+
+// Valores antigos (texto puro) passam direto: a rotação os criptografa
+function decryptSecret(value) {
+    if (!isEncryptedSecret(value)) return value;
+    const [keyId, wrappedDek, payload] = value.slice(SECRET_PREFIX.length).split(":");
+    const masterKey = SECRET_KEYS.byId.get(keyId);
+    if (!masterKey) throw new Error(`Chave mestra ${keyId} não configurada (SECRETS_MASTER_KEY/SECRETS_PREVIOUS_KEYS)`);
+    const dek = aesGcmDecrypt(masterKey, wrappedDek);
+    return aesGcmDecrypt(dek, payload).toString("utf8");
+}
+
+// Tenant vindo do banco -> segredos em texto puro (só em memória)
+function decryptTenant(tenant) {
+    if (!tenant) return tenant;
+    for (const field of TENANT_SECRET_FIELDS) {
+        if (field in tenant) tenant[field] = decryptSecret(tenant[field]);
+    }
+    return tenant;
+}
+
+function encryptTenantFields(fields) {
+    const out = { ...fields };
+    for (const field of TENANT_SECRET_FIELDS) {
+        if (field in out) out[field] = encryptSecret(out[field]);
+    }
+    return out;
+}
+
+// "sk-...a1b2": nunca mostrar o segredo inteiro em mensagens, logs ou respostas da API
+function maskSecret(value) {
+    if (!value) return "";
+    const str = String(value);
+    return str.length <= 8 ? "••••" : `${str.slice(0, 3)}…${str.slice(-4)}`;
+}
+
+function maskTenant(tenant) {
+    const out = { ...tenant };
+    for (const field of TENANT_SECRET_FIELDS) {
+        if (out[field]) out[field] = maskSecret(decryptSecret(out[field]));
+    }
+    return out;
+}
+
+// Recriptografa com a chave mestra atual: texto puro e chaves antigas sempre; com force, todos (novas DEKs)
+async function rotateTenantSecrets({ force = false } = {}) {
+    if (!SECRET_KEYS.current) throw new Error("SECRETS_MASTER_KEY não configurada.");
+    const result = { tenants: 0, fields: 0, failed: 0 };
+
+    for (let from = 0; ; from += 500) {
+        const rows = await storage.tenants.scan({ offset: from, limit: 500 });
+
+        for (const row of rows) {
+            const changes = {};
+            const previous = {};
+            try {
+                for (const field of TENANT_SECRET_FIELDS) {
+                    const value = row[field];
+                    if (!value) continue;
+                    const stale = !isEncryptedSecret(value) || !value.startsWith(`${SECRET_PREFIX}${SECRET_KEYS.current.id}:`);
+                    if (!stale && !force) continue;
+                    changes[field] = encryptSecret(decryptSecret(value));
+                    previous[field] = value;
+                }
+            } catch (e) {
+                log(`Rotação: tenant ${row.id} não pôde ser lido: ${e.message}`, "SECURITY");
+                result.failed++;
+                continue;
+            }
+            if (Object.keys(changes).length === 0) continue;
+
+            // Só grava se ninguém alterou o segredo enquanto isso
+            const updated = await storage.tenants.updateIf(row.id, previous, changes).catch(() => false);
+            if (!updated) {
+                result.failed++;
+                continue;
+            }
+            result.tenants++;
+            result.fields += Object.keys(changes).length;
+        }
+
+        if (rows.length < 500) break;
+    }
+
+    log(`Rotação de segredos: ${result.tenants} tenant(s), ${result.fields} campo(s), ${result.failed} falha(s)`, "SECURITY");
+    return result;
+}
+
+// Valores do wizard (keys, secrets) ficam só em memória, nunca na sessão persistida
+const wizardSecrets = new Map(); // "tenantId_chatId" -> { values, expiresAt }
+const WIZARD_SECRET_TTL = 15 * 60 * 1000;
+
+function setWizardSecret(tenantId, chatId, name, value) {
+    const key = `${tenantId}_${chatId}`;
+    const entry = wizardSecrets.get(key);
+    const values = entry && entry.expiresAt > Date.now() ? entry.values : {};
+    wizardSecrets.set(key, { values: { ...values, [name]: value }, expiresAt: Date.now() + WIZARD_SECRET_TTL });
+}
+
+// undefined = expirou ou o servidor reiniciou no meio do wizard
+function getWizardSecret(tenantId, chatId, name) {
+    const entry = wizardSecrets.get(`${tenantId}_${chatId}`);
+    if (!entry || entry.expiresAt <= Date.now()) return undefined;
+    return entry.values[name];
+}
+
+function clearWizardSecrets(tenantId, chatId) {
+    wizardSecrets.delete(`${tenantId}_${chatId}`);
+}
+
+setInterval(() => {
+    const now = Date.now();
+    for (const [key, entry] of wizardSecrets) {
+        if (entry.expiresAt <= now) wizardSecrets.delete(key);
+    }
+}, 60 * 1000).unref();
+
 // -- Persistence Layer (Multi-Tenant) --
 const sessionCache = new Map(); // "tenantId_chatId" -> { data, timestamp }
 const CACHE_TTL = 5 * 60 * 1000;
+// Concorrência otimista: versão lida do banco + cópia do que foi lido (para rebase em conflito)
+const sessionMeta = new WeakMap(); // objeto da sessão -> { version, snapshot }
+const SESSION_SAVE_RETRIES = 3;
 
 async function getSession(tenantId, chatId) {
     const cacheKey = `${tenantId}_${chatId}`;
@@ -126,37 +1082,30 @@ async function getSession(tenantId, chatId) {
         if (now - cached.timestamp < CACHE_TTL) return cached.data;
     }
 
-    const { data, error } = await supabase
-        .from('bot_sessions')
-        .select('data')
-        .eq('tenant_id', tenantId)
-        .eq('chat_id', String(chatId))
-        .single();
-
-    if (error && error.code !== 'PGRST116') {
+    let row;
+    try {
+        row = await storage.sessions.get(tenantId, chatId);
+    } catch (error) {
         log(`DB Error: ${error.message}`, tenantId);
         throw error;
     }
 
     let sessionObj;
-    if (data) {
-        sessionObj = data.data;
+    if (row) {
+        sessionObj = row.data;
+        sessionMeta.set(sessionObj, { version: row.version, snapshot: JSON.stringify(row.data) });
         // Auto-healing properties
-        if (!sessionObj.whatsapp) sessionObj.whatsapp = { instances: [], maxInstances: 1 };
-        if (!sessionObj.affiliate) sessionObj.affiliate = { balance: 0, totalEarned: 0, referralsCount: 0 };
+        if (!sessionObj.whatsapp) sessionObj.whatsapp = { maxInstances: 1 };
         if (!sessionObj.stage) sessionObj.stage = "READY";
     } else {
         sessionObj = {
             stage: "START",
             isVip: false,
-            whatsapp: { instances: [], maxInstances: 1 },
-            affiliate: {
-                balance: 0,
-                totalEarned: 0,
-                referralsCount: 0
-            },
-            reports: {}
+            whatsapp: { maxInstances: 1 },
+            reports: {},
+            createdAt: new Date().toISOString()
         };
+        sessionMeta.set(sessionObj, { version: 0, snapshot: null }); // 0 = ainda não existe no banco
         await saveSession(tenantId, chatId, sessionObj);
     }
 
@@ -164,868 +1113,5667 @@ async function getSession(tenantId, chatId) {
     return sessionObj;
 }
 
+// Traz para "local" o que outra réplica gravou, mantendo os campos alterados aqui.
+// Se os dois lados mudaram o mesmo campo para valores diferentes, é conflito de verdade: nada é sobrescrito.
+function rebaseSession(local, meta, remote) {
+    const remoteData = remote?.data || {};
+
+    // Sessão criada em paralelo (ex: duas mensagens do primeiro contato): vale a que chegou primeiro
+    if (meta?.version === 0) {
+        for (const key of Object.keys(local)) delete local[key];
+        Object.assign(local, remoteData);
+    } else {
+        const base = meta?.snapshot ? JSON.parse(meta.snapshot) : {};
+        const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+        for (const key of new Set([...Object.keys(base), ...Object.keys(local), ...Object.keys(remoteData)])) {
+            const mine = !same(local[key], base[key]);
+            const theirs = !same(remoteData[key], base[key]);
+            if (mine && theirs && !same(local[key], remoteData[key])) {
+                throw new Error(`Conflito de sessão: "${key}" foi alterado em paralelo`);
+            }
+            if (!mine && theirs) {
+                if (key in remoteData) local[key] = remoteData[key];
+                else delete local[key];
+            }
+        }
+    }
+
+    sessionMeta.set(local, { version: remote ? remote.version : 0, snapshot: remote ? JSON.stringify(remoteData) : null });
+}
+
 async function saveSession(tenantId, chatId, sessionData) {
     const cacheKey = `${tenantId}_${chatId}`;
-    sessionCache.set(cacheKey, { data: sessionData, timestamp: Date.now() });
 
-    await supabase
-        .from('bot_sessions')
-        .upsert({
-            tenant_id: tenantId,
-            chat_id: String(chatId),
-            data: sessionData,
-            updated_at: new Date().toISOString()
-        }, { onConflict: 'tenant_id,chat_id' });
+    for (let attempt = 0; ; attempt++) {
+        const meta = sessionMeta.get(sessionData);
+        const version = await storage.sessions.save(tenantId, chatId, sessionData, meta ? meta.version : null);
+
+        if (version !== null) {
+            sessionMeta.set(sessionData, { version, snapshot: JSON.stringify(sessionData) });
+            sessionCache.set(cacheKey, { data: sessionData, timestamp: Date.now() });
+            publishClusterEvent({ type: "session", tenantId, chatId: String(chatId) });
+            return;
+        }
+
+        // Outra réplica (ou outro handler) gravou antes: relê, faz o rebase e tenta de novo
+        if (attempt >= SESSION_SAVE_RETRIES) {
+            sessionCache.delete(cacheKey);
+            throw new Error(`Conflito de sessão persistente (${tenantId}/${chatId})`);
+        }
+        try {
+            rebaseSession(sessionData, meta, await storage.sessions.get(tenantId, chatId));
+        } catch (e) {
+            sessionCache.delete(cacheKey); // Próxima leitura vem do banco
+            log(`${e.message} (chat ${chatId})`, tenantId);
+            throw e;
+        }
+    }
 }
 
-// Helper para pegar Preço Global
-async function getGlobalPrice() {
-    const { data } = await supabase.from('system_config').select('value').eq('key', 'default_price').single();
-    return data ? parseFloat(data.value) : 90.90;
+// -- Cluster (Várias réplicas: invalidação de cache, leases de tenants e líder) --
+// CLUSTER_ENABLED=true: cada tenant roda em um só worker (lease "tenant:<id>"), dividido pelos workers vivos;
+// o líder (lease "leader") roda o Master Bot e o resumo diário. Eventos entre réplicas via Redis (REDIS_URL).
+// Sem cluster, tudo roda neste processo como antes (barramento em memória).
+const CLUSTER_ENABLED = process.env.CLUSTER_ENABLED === "true";
+const WORKER_ID = `${os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString("hex")}`;
+const CLUSTER_LEASE_TTL = 45;               // segundos
+const CLUSTER_TICK_INTERVAL = 15 * 1000;    // Renova leases bem antes de vencerem
+const CLUSTER_CHANNEL = "venux:cluster";
+let clusterBus = { driver: "memory", publish: async () => { } }; // Processo único: nada a propagar
+let isClusterLeader = !CLUSTER_ENABLED;
+
+if (CLUSTER_ENABLED && !process.env.REDIS_URL) {
+    console.log("⚠️ CLUSTER_ENABLED sem REDIS_URL: caches não serão invalidados entre réplicas (só a versão da sessão protege as gravações).");
 }
 
-// Helper para contar usuários únicos (instances)
-async function getTenantUserCount(tenantId) {
-    const { count, error } = await supabase
-        .from('bot_sessions')
-        .select('chat_id', { count: 'exact', head: true })
+function publishClusterEvent(event) {
+    clusterBus.publish({ ...event, origin: WORKER_ID })
+        .catch(e => log(`Cluster: erro ao publicar ${event.type}: ${e.message}`, "ERROR"));
+}
+
+// Eventos de outras réplicas
+async function handleClusterEvent(event) {
+    if (event.origin === WORKER_ID) return;
+
+    if (event.type === "session") {
+        sessionCache.delete(`${event.tenantId}_${event.chatId}`);
+    } else if (event.type === "tenant") {
+        // Tenant alterado/bloqueado em outra réplica: quem roda o bot aplica a mudança
+        if (activeBots.has(String(event.tenantId))) await syncTenant(event.tenantId);
+    } else if (event.type === "master_notify") {
+        if (masterBotInstance && isClusterLeader) notifyMaster(event.text);
+    } else if (event.type === "telegram_update") {
+        // Webhook do Telegram caiu em outra réplica (já validado lá)
+        activeBots.get(String(event.tenantId))?.handleUpdate(event.update)
+            .catch(e => log(`Erro no update encaminhado: ${e.message}`, String(event.tenantId)));
+    } else if (event.type === "notify") {
+        // Só quem roda o bot entrega (as demais réplicas republicariam o evento)
+        const tenant = activeBots.has(String(event.tenantId)) && activeTenants.get(String(event.tenantId));
+        if (tenant) notifyTenantUser(tenant, event.chatId, event.text);
+    } else if (["ticket_opened", "ticket_forward", "ticket_reply"].includes(event.type)) {
+        if (!activeBots.has(String(event.tenantId))) return;
+        // Em fila: o aviso do ticket sai antes das mensagens do mesmo atendimento
+        ticketRelayChain = ticketRelayChain.then(() => handleTicketClusterEvent(event))
+            .catch(e => log(`Cluster: erro no evento ${event.type}: ${e.message}`, "ERROR"));
+    }
+}
+
+let ticketRelayChain = Promise.resolve();
+
+// Atendimento que chegou em outra réplica (ex: webhook do Wuzapi): o bot do tenant roda aqui
+async function handleTicketClusterEvent(event) {
+    const tenant = activeTenants.get(String(event.tenantId));
+    if (!tenant) return;
+    const { data: ticket } = await supabase
+        .from('support_tickets')
+        .select('*')
+        .eq('id', event.ticketId)
+        .eq('tenant_id', tenant.id)
+        .maybeSingle();
+    if (!ticket) return;
+
+    if (event.type === "ticket_opened") await announceSupportTicket(tenant, ticket);
+    else if (event.type === "ticket_forward") await forwardToSupport(tenant, ticket, { text: event.text, copyFrom: event.copyFrom });
+    else await sendToTicketCustomer(tenant, ticket, event.text);
+}
+
+async function initClusterBus() {
+    if (!process.env.REDIS_URL) return;
+    try {
+        // Na subida desiste rápido (cai para memória); depois de conectado, reconecta para sempre com backoff
+        let connected = false;
+        const pub = createRedisClient({
+            url: process.env.REDIS_URL,
+            socket: { reconnectStrategy: (retries) => !connected && retries > 3 ? new Error("sem conexão") : Math.min(retries * 500, 5000) }
+        });
+        const sub = pub.duplicate();
+        pub.on("error", e => log(`Redis: ${e.message}`, "ERROR"));
+        sub.on("error", e => log(`Redis: ${e.message}`, "ERROR"));
+        await Promise.all([pub.connect(), sub.connect()]);
+        connected = true;
+
+        await sub.subscribe(CLUSTER_CHANNEL, (message) => {
+            let event;
+            try { event = JSON.parse(message); } catch (e) { return; }
+            handleClusterEvent(event).catch(e => log(`Cluster: erro no evento ${event.type}: ${e.message}`, "ERROR"));
+        });
+
+        clusterBus = { driver: "redis", publish: (event) => pub.publish(CLUSTER_CHANNEL, JSON.stringify(event)) };
+        log(`Cluster: barramento Redis conectado (worker ${WORKER_ID})`, "SYSTEM");
+    } catch (e) {
+        log(`Cluster: Redis indisponível (${e.message}), usando barramento em memória`, "ERROR");
+    }
+}
+
+// Um ciclo: heartbeat, renova o que já roda, divide os tenants pelos workers vivos e disputa o líder
+async function runClusterTick() {
+    const alive = Math.max(1, await storage.cluster.heartbeat(WORKER_ID, CLUSTER_LEASE_TTL));
+    const tenants = (await storage.tenants.listActive()).filter(isTenantRunnable);
+    const target = Math.ceil(tenants.length / alive);
+
+    // 1. Renova os leases dos bots locais (perdeu = outro worker assumiu: para aqui)
+    for (const tenantId of [...activeBots.keys()]) {
+        if (!(await storage.cluster.claim(`tenant:${tenantId}`, WORKER_ID, CLUSTER_LEASE_TTL))) {
+            log(`Cluster: lease do tenant ${tenantId} perdido, parando bot local`, "SYSTEM");
+            await stopTenantBot(tenantId, { release: false });
+        }
+    }
+
+    // 2. Acima da cota (entrou worker novo): libera um por ciclo para não derrubar tudo de uma vez
+    if (activeBots.size > target) {
+        const [tenantId] = activeBots.keys();
+        log(`Cluster: liberando tenant ${tenantId} para rebalancear (${activeBots.size}/${target})`, "SYSTEM");
+        await stopTenantBot(tenantId);
+    }
+
+    // 3. Abaixo da cota: pega tenants sem dono (ou com lease vencido)
+    for (const tenant of tenants) {
+        if (activeBots.size >= target) break;
+        if (activeBots.has(String(tenant.id))) continue;
+        if (await storage.cluster.claim(`tenant:${tenant.id}`, WORKER_ID, CLUSTER_LEASE_TTL)) {
+            await startTenantBot(tenant);
+        }
+    }
+
+    // 4. Líder: Master Bot (long polling só pode rodar em um lugar)
+    const leader = await storage.cluster.claim("leader", WORKER_ID, CLUSTER_LEASE_TTL);
+    if (leader !== isClusterLeader) {
+        isClusterLeader = leader;
+        log(`Cluster: ${leader ? "assumiu" : "perdeu"} a liderança`, "SYSTEM");
+        if (leader) launchMasterBot();
+        else try { masterBotInstance?.stop(); } catch (e) { }
+    }
+}
+
+function startClusterCoordinator() {
+    const tick = () => runClusterTick().catch(e => log(`Cluster: erro no ciclo: ${e.message}`, "ERROR"));
+    tick();
+    setInterval(tick, CLUSTER_TICK_INTERVAL);
+}
+
+// -- Instâncias de WhatsApp (Tabela whatsapp_instances) --
+const INSTANCE_COLUMNS = {
+    wuzapiId: "wuzapi_id",
+    token: "token",
+    name: "name",
+    phone: "phone",
+    jid: "jid",
+    webhook: "webhook",
+    webhookSecret: "webhook_secret",
+    lastSeenAt: "last_seen_at",
+    lastError: "last_error",
+    statusUpdatedAt: "status_updated_at"
+};
+
+function instanceFromRow(row) {
+    const inst = {
+        id: row.id,
+        tenantId: row.tenant_id,
+        chatId: row.chat_id,
+        isConnected: row.status === "connected",
+        createdAt: row.created_at
+    };
+    for (const [field, column] of Object.entries(INSTANCE_COLUMNS)) inst[field] = row[column] ?? null;
+    return inst;
+}
+
+function instanceToRow(fields) {
+    const row = {};
+    for (const [field, column] of Object.entries(INSTANCE_COLUMNS)) {
+        if (field in fields) row[column] = fields[field];
+    }
+    if ("isConnected" in fields) row.status = fields.isConnected ? "connected" : "disconnected";
+    return row;
+}
+
+async function getInstances(tenantId, chatId) {
+    const { data, error } = await supabase
+        .from('whatsapp_instances')
+        .select('*')
+        .eq('tenant_id', tenantId)
+        .eq('chat_id', String(chatId))
+        .order('created_at');
+    if (error) log(`DB Error (instâncias): ${error.message}`, tenantId);
+    return (data || []).map(instanceFromRow);
+}
+
+async function getInstance(tenantId, chatId, instId) {
+    const { data } = await supabase
+        .from('whatsapp_instances')
+        .select('*')
+        .eq('id', instId)
+        .eq('tenant_id', tenantId)
+        .eq('chat_id', String(chatId))
+        .maybeSingle();
+    return data ? instanceFromRow(data) : null;
+}
+
+async function countTenantInstances(tenantId) {
+    const { count } = await supabase
+        .from('whatsapp_instances')
+        .select('id', { count: 'exact', head: true })
         .eq('tenant_id', tenantId);
-    return error ? 0 : count;
+    return count || 0;
+}
+
+async function createInstance(tenantId, chatId, fields) {
+    const row = {
+        id: fields.id,
+        tenant_id: tenantId,
+        chat_id: String(chatId),
+        ...instanceToRow({ isConnected: false, ...fields })
+    };
+    const { data, error } = await supabase.from('whatsapp_instances').insert(row).select().single();
+    if (error) throw new Error(error.message);
+    return instanceFromRow(data);
+}
+
+async function updateInstance(inst, fields) {
+    Object.assign(inst, fields);
+    const { error } = await supabase.from('whatsapp_instances').update(instanceToRow(fields)).eq('id', inst.id);
+    if (error) log(`DB Error (instância ${inst.id}): ${error.message}`, inst.tenantId);
+}
+
+// Instâncias criadas antes do segredo no webhook teriam todos os eventos recusados (401):
+// gera o segredo e re-registra o webhook no Wuzapi. Só grava se o Wuzapi aceitou a URL nova.
+async function ensureInstanceSecret(inst) {
+    if (inst.webhookSecret) return true;
+    const webhookSecret = generateInstanceSecret();
+    const webhook = buildInstanceWebhook(inst.tenantId, inst.chatId, webhookSecret);
+    const res = await callWuzapi("/webhook", "POST", { webhook, events: ["All"] }, inst.token);
+    if (res.success === false || res.error) {
+        log(`Erro ao re-registrar webhook da instância ${inst.id}: ${res.message || res.error || res.text || "Wuzapi recusou"}`, inst.tenantId);
+        return false;
+    }
+    await updateInstance(inst, { webhookSecret, webhook });
+    return true;
+}
+
+// Na subida: todas as instâncias sem segredo (as que falharem, o reconciliador tenta de novo)
+async function backfillInstanceSecrets() {
+    const { data: rows, error } = await supabase.from('whatsapp_instances').select('*').is('webhook_secret', null);
+    if (error) throw new Error(error.message);
+    if (!rows.length) return;
+
+    let updated = 0;
+    for (const row of rows) {
+        if (await ensureInstanceSecret(instanceFromRow(row))) updated++;
+    }
+    log(`Webhooks do Wuzapi: ${updated}/${rows.length} instância(s) antigas receberam segredo`, "SYSTEM");
+}
+
+async function deleteInstance(instId) {
+    await supabase.from('whatsapp_instances').delete().eq('id', instId);
+}
+
+// Limite efetivo: plano do usuário (session.whatsapp.maxInstances) e teto do tenant (tenants.max_instances)
+async function checkInstanceLimits(tenant, session, chatId) {
+    const userMax = session.whatsapp?.maxInstances || 1;
+    const userCount = (await getInstances(tenant.id, chatId)).length;
+    if (userCount >= userMax) return { allowed: false, reason: `Você atingiu o limite de ${userMax} instâncias.` };
+
+    if (tenant.max_instances) {
+        const tenantCount = await countTenantInstances(tenant.id);
+        if (tenantCount >= tenant.max_instances) {
+            return { allowed: false, reason: "O limite de instâncias deste bot foi atingido. Fale com o administrador." };
+        }
+    }
+    return { allowed: true, userMax, userCount };
+}
+
+// Migração única: move session.whatsapp.instances (JSON) para a tabela whatsapp_instances
+async function migrateSessionInstances() {
+    if (await storage.config.get('instances_migrated') === "true") return;
+
+    log("Migrando instâncias das sessões para whatsapp_instances...", "SYSTEM");
+    let migrated = 0;
+    let failed = 0;
+
+    for (let from = 0; ; from += 1000) {
+        const rows = await storage.sessions.scan({ offset: from, limit: 1000 });
+        if (rows.length === 0) break;
+
+        for (const row of rows) {
+            const legacy = row.data?.whatsapp?.instances;
+            if (!Array.isArray(legacy) || legacy.length === 0) continue;
+
+            const instRows = legacy.map(i => ({
+                id: i.id,
+                tenant_id: row.tenant_id,
+                chat_id: String(row.chat_id),
+                wuzapi_id: i.wuzapiId || i.id,
+                token: i.token || i.id,
+                name: i.name || i.id,
+                jid: i.jid || null,
+                webhook: i.webhook || null,
+                webhook_secret: i.webhookSecret || null,
+                status: i.isConnected ? "connected" : "disconnected",
+                last_seen_at: i.lastSeenAt || null,
+                last_error: i.lastError || null
+            }));
+
+            const { error: insErr } = await supabase
+                .from('whatsapp_instances')
+                .upsert(instRows, { onConflict: 'id', ignoreDuplicates: true });
+            if (insErr) {
+                log(`Migração: erro no chat ${row.chat_id}: ${insErr.message}`, "ERROR");
+                failed++;
+                continue;
+            }
+
+            const data = { ...row.data, whatsapp: { maxInstances: row.data.whatsapp.maxInstances || 1 } };
+            // Em conflito (usuário mexeu na sessão) fica o JSON antigo, inofensivo: a tabela já tem as instâncias
+            await storage.sessions.save(row.tenant_id, row.chat_id, data, row.version);
+            sessionCache.delete(`${row.tenant_id}_${row.chat_id}`);
+            migrated += instRows.length;
+        }
+
+        if (rows.length < 1000) break;
+    }
+
+    // Com falhas, o JSON antigo dessas sessões é a única cópia: tenta de novo no próximo boot
+    // (o upsert ignora o que já foi movido e as sessões migradas não têm mais instances)
+    if (failed > 0) {
+        log(`Migração incompleta: ${migrated} instância(s) movidas, ${failed} sessão(ões) com erro. Nova tentativa no próximo boot.`, "ERROR");
+        return;
+    }
+    await storage.config.set('instances_migrated', "true");
+    log(`Migração concluída: ${migrated} instância(s) movidas.`, "SYSTEM");
+}
+
+// Helper para pegar Preço Global
+async function getGlobalPrice() {
+    const value = await storage.config.get('default_price').catch(() => null);
+    return value ? parseFloat(value) : 90.90;
 }
 
 // Helper para verificar se usuário já existe
 async function checkUserExists(tenantId, chatId) {
-    const { data } = await supabase
-        .from('bot_sessions')
-        .select('chat_id')
+    return storage.sessions.exists(tenantId, chatId).catch(() => false);
+}
+
+// -- Vagas de Usuários (limite max_users garantido no banco: tenant_users) --
+// "Ativo" = falou com o bot nos últimos USER_ACTIVE_DAYS dias; sem concluir o /start, só por USER_PENDING_HOURS
+const USER_ACTIVE_DAYS = Number(process.env.USER_ACTIVE_DAYS || 30);
+const USER_PENDING_HOURS = Number(process.env.USER_PENDING_HOURS || 24);
+const SEAT_REFRESH = 10 * 60 * 1000; // Renova a vaga no banco no máximo a cada 10 min por chat
+const seatCache = new Map(); // "tenantId_chatId" -> timestamp da última confirmação
+const SEATS_PAGE_SIZE = 15;
+
+const seatParams = (tenant) => ({
+    p_tenant_id: tenant.id,
+    p_active_days: USER_ACTIVE_DAYS,
+    p_pending_hours: USER_PENDING_HOURS
+});
+
+// Helper para contar usuários ativos (vagas ocupadas)
+async function getTenantUserCount(tenantId) {
+    const { data, error } = await supabase.rpc('count_tenant_seats', seatParams({ id: tenantId }));
+    return error ? 0 : data;
+}
+
+// Ocupa/renova a vaga do chat de forma atômica. Retorna "active" ou "waitlist".
+async function claimTenantSeat(tenant, chatId, displayName = null) {
+    const cacheKey = `${tenant.id}_${chatId}`;
+    const checkedAt = seatCache.get(cacheKey);
+    if (checkedAt && Date.now() - checkedAt < SEAT_REFRESH) return "active";
+
+    const { data, error } = await supabase.rpc('claim_tenant_seat', {
+        ...seatParams(tenant),
+        p_chat_id: String(chatId),
+        p_display_name: displayName,
+        p_max_users: tenant.max_users || 10
+    });
+    if (error) throw new Error(error.message);
+
+    if (data === "active") seatCache.set(cacheKey, Date.now());
+    else seatCache.delete(cacheKey);
+    return data;
+}
+
+async function markSeatOnboarded(tenant, chatId) {
+    await supabase.from('tenant_users').update({ onboarded: true })
+        .eq('tenant_id', tenant.id).eq('chat_id', String(chatId)).eq('status', 'active');
+}
+
+async function getWaitlistPosition(tenant, chatId) {
+    const { data: me } = await supabase.from('tenant_users').select('queued_at')
+        .eq('tenant_id', tenant.id).eq('chat_id', String(chatId)).single();
+    if (!me?.queued_at) return null;
+
+    const { count } = await supabase.from('tenant_users').select('chat_id', { count: 'exact', head: true })
+        .eq('tenant_id', tenant.id).eq('status', 'waitlist').lte('queued_at', me.queued_at);
+    return count;
+}
+
+// Passa os primeiros da fila para as vagas livres e avisa cada um
+async function promoteWaitlist(tenant) {
+    const { data, error } = await supabase.rpc('promote_tenant_waitlist', {
+        ...seatParams(tenant),
+        p_max_users: tenant.max_users || 10
+    });
+    if (error) {
+        log(`Erro ao promover fila de espera: ${error.message}`, tenant.name);
+        return 0;
+    }
+
+    for (const row of data || []) {
+        seatCache.set(`${tenant.id}_${row.chat_id}`, Date.now());
+        notifyTenantUser(tenant, row.chat_id,
+            `🎉 <b>Abriu uma vaga!</b>\n\nVocê saiu da fila de espera. Envie /start em até ${USER_PENDING_HOURS}h para garantir seu acesso.`);
+    }
+    if (data?.length) log(`[${tenant.name}] ${data.length} usuário(s) promovido(s) da fila de espera.`, "INFO");
+    return data?.length || 0;
+}
+
+// Libera a vaga (a sessão do usuário é mantida; se voltar, disputa vaga como novo)
+async function removeTenantSeat(tenant, chatId) {
+    const { data, error } = await supabase.from('tenant_users').delete()
+        .eq('tenant_id', tenant.id).eq('chat_id', String(chatId)).select('chat_id');
+    if (error) throw new Error(error.message);
+    seatCache.delete(`${tenant.id}_${chatId}`);
+    return data?.length > 0;
+}
+
+// Vagas liberam sozinhas com a inatividade: promove a fila de todos os bots periodicamente
+function startSeatSweeper() {
+    const run = async () => {
+        for (const tenant of activeTenants.values()) {
+            await promoteWaitlist(tenant);
+        }
+    };
+    setInterval(() => run().catch(e => log(`Erro na fila de espera: ${e.message}`, "ERROR")), 60 * 60 * 1000);
+}
+
+// -- Memória de Conversa da IA (por Tenant + Contato) --
+// contactKey: "tg:<chatId>" (Telegram) ou "wa:<instId>:<phone>" (WhatsApp)
+const conversationCache = new Map(); // "tenantId|contactKey" -> { data, timestamp }
+const HISTORY_MAX_MESSAGES = 20;   // Acima disso, as mensagens antigas viram resumo
+const HISTORY_KEEP_MESSAGES = 8;   // Mensagens recentes mantidas após resumir
+const HISTORY_TOKEN_BUDGET = 3000; // Orçamento (estimado) de tokens do histórico enviado ao modelo
+
+// Estimativa simples (~4 caracteres por token) para não depender de tokenizer
+function estimateTokens(text) {
+    return Math.ceil(String(text || "").length / 4);
+}
+
+async function getConversation(tenantId, contactKey) {
+    const cacheKey = `${tenantId}|${contactKey}`;
+    const now = Date.now();
+
+    if (conversationCache.has(cacheKey)) {
+        const cached = conversationCache.get(cacheKey);
+        if (now - cached.timestamp < CACHE_TTL) return cached.data;
+    }
+
+    const { data, error } = await supabase
+        .from('ai_conversations')
+        .select('messages, summary')
         .eq('tenant_id', tenantId)
-        .eq('chat_id', String(chatId))
+        .eq('contact_key', contactKey)
         .single();
-    return !!data;
+
+    if (error && error.code !== 'PGRST116') {
+        log(`DB Error (conversa): ${error.message}`, tenantId);
+    }
+
+    const conversation = {
+        messages: data?.messages || [],
+        summary: data?.summary || null
+    };
+
+    conversationCache.set(cacheKey, { data: conversation, timestamp: now });
+    return conversation;
 }
 
-// -- Helper de Pagamento MESTRE (Renovação) --
-async function generateSubscriptionCharge(tenant) {
-    if (!MASTER_SYNCPAY_ID || !MASTER_SYNCPAY_SECRET) {
-        throw new Error("Sistema de cobrança não configurado pelo Admin Mestre.");
+async function saveConversation(tenantId, contactKey, conversation) {
+    const cacheKey = `${tenantId}|${contactKey}`;
+    conversationCache.set(cacheKey, { data: conversation, timestamp: Date.now() });
+
+    await supabase
+        .from('ai_conversations')
+        .upsert({
+            tenant_id: tenantId,
+            contact_key: contactKey,
+            messages: conversation.messages,
+            summary: conversation.summary,
+            updated_at: new Date().toISOString()
+        }, { onConflict: 'tenant_id,contact_key' });
+}
+
+async function resetConversation(tenantId, contactKey) {
+    conversationCache.delete(`${tenantId}|${contactKey}`);
+    await supabase
+        .from('ai_conversations')
+        .delete()
+        .eq('tenant_id', tenantId)
+        .eq('contact_key', contactKey);
+}
+
+// Janela deslizante: pega as mensagens mais recentes que cabem no orçamento de tokens
+function buildHistoryWindow(messages, budget = HISTORY_TOKEN_BUDGET) {
+    const windowMsgs = [];
+    let used = 0;
+    for (let i = messages.length - 1; i >= 0; i--) {
+        const cost = estimateTokens(messages[i].content);
+        if (used + cost > budget) break;
+        used += cost;
+        windowMsgs.unshift(messages[i]);
     }
-    const defaultPrice = await getGlobalPrice();
-    const price = tenant.subscription_price || defaultPrice;
-    const expiryMinutes = 60; // 1 hora para pagar
+    return windowMsgs;
+}
 
-    // 1. Auth no SyncPay (Como MESTRE)
-    // Documentação sugere: POST /api/partner/v1/auth-token
-    const tokenRes = await fetch("https://api.syncpayments.com.br/api/partner/v1/auth-token", {
-        method: "POST",
-        headers: {
-            "Content-Type": "application/json"
-        },
-        body: JSON.stringify({
-            client_id: MASTER_SYNCPAY_ID,
-            client_secret: MASTER_SYNCPAY_SECRET
-        })
+// Resume as mensagens antigas quando passam do limite, mantendo só as recentes
+async function summarizeIfNeeded(ai, model, conversation, onUsage) {
+    if (conversation.messages.length <= HISTORY_MAX_MESSAGES) return;
+
+    const older = conversation.messages.slice(0, -HISTORY_KEEP_MESSAGES);
+    const recent = conversation.messages.slice(-HISTORY_KEEP_MESSAGES);
+
+    const transcript = older.map(m => `${m.role === "user" ? "Cliente" : "Assistente"}: ${m.content}`).join("\n");
+
+    const response = await ai.chat({
+        model: model,
+        messages: [
+            {
+                role: "system",
+                content: "Resuma a conversa abaixo em poucas frases, mantendo nomes, pedidos, valores e decisões importantes. " +
+                    "Se houver um resumo anterior, incorpore-o."
+            },
+            {
+                role: "user",
+                content: (conversation.summary ? `Resumo anterior: ${conversation.summary}\n\n` : "") + transcript
+            }
+        ],
     });
 
-    if (!tokenRes.ok) {
-        const errText = await tokenRes.text();
-        throw new Error(`Falha Auth Master (${tokenRes.status}): ${errText.substring(0, 500)}...`);
+    if (onUsage) await onUsage(response.usage);
+    conversation.summary = response.text;
+    conversation.messages = recent;
+}
+
+// -- Consumo de IA (Métricas, Limites por Usuário e Custo Estimado) --
+// Preço em USD por 1M de tokens [entrada, saída]; casa pelo prefixo mais longo do nome do modelo
+const AI_MODEL_PRICES = {
+    "gpt-4o-mini": [0.15, 0.6],
+    "gpt-4o": [2.5, 10],
+    "gpt-4.1-nano": [0.1, 0.4],
+    "gpt-4.1-mini": [0.4, 1.6],
+    "gpt-4.1": [2, 8],
+    "gpt-4-turbo": [10, 30],
+    "gpt-4": [30, 60],
+    "gpt-3.5-turbo": [0.5, 1.5],
+    "o4-mini": [1.1, 4.4],
+    "o3-mini": [1.1, 4.4],
+    "gemini-1.5-flash": [0.075, 0.3],
+    "gemini-1.5-pro": [1.25, 5],
+    "gemini-2.0-flash": [0.1, 0.4],
+    "gemini-2.5-flash": [0.3, 2.5],
+    "gemini-2.5-pro": [1.25, 10]
+};
+const dailyUsageCounters = new Map(); // `${tenantId}:${contactKey}` -> { day, messages, tokens }
+
+function estimateAICost(provider, model, input, output) {
+    if (provider === "compatible") return 0; // Modelo próprio (Ollama/LM Studio) não tem custo por token
+    const prefix = Object.keys(AI_MODEL_PRICES)
+        .filter(p => model.startsWith(p))
+        .sort((a, b) => b.length - a.length)[0];
+    if (!prefix) return 0;
+    const [inPrice, outPrice] = AI_MODEL_PRICES[prefix];
+    return (input * inPrice + output * outPrice) / 1_000_000;
+}
+
+function startOfToday() {
+    const d = new Date();
+    d.setHours(0, 0, 0, 0);
+    return d;
+}
+
+function startOfMonth() {
+    const d = startOfToday();
+    d.setDate(1);
+    return d;
+}
+
+function formatUSD(value) {
+    return `US$ ${Number(value || 0).toFixed(value >= 1 ? 2 : 4)}`;
+}
+
+// Contador do dia por contato (carregado do banco na primeira consulta após restart).
+// Erro de consulta lança sem cachear: um contador zerado liberaria o limite pelo resto do dia
+async function getDailyUsage(tenantId, contactKey) {
+    const key = `${tenantId}:${contactKey}`;
+    const day = startOfToday().toISOString();
+    const cached = dailyUsageCounters.get(key);
+    if (cached && cached.day === day) return cached;
+
+    const { data: rows, error } = await supabase
+        .from('ai_usage')
+        .select('kind, prompt_tokens, completion_tokens')
+        .eq('tenant_id', tenantId)
+        .eq('contact_key', contactKey)
+        .gte('created_at', day);
+    if (error) throw new Error(`Consumo do dia: ${error.message}`);
+
+    const counter = { day, messages: 0, tokens: 0 };
+    for (const r of rows || []) {
+        if (r.kind === "reply") counter.messages++;
+        counter.tokens += (r.prompt_tokens || 0) + (r.completion_tokens || 0);
     }
-    const { access_token } = await tokenRes.json();
+    dailyUsageCounters.set(key, counter);
+    return counter;
+}
 
-    // 2. Gerar Cobrança Pix
-    // Endpoint oficial: POST /api/partner/v1/cash-in
-    const chargeUrl = "https://api.syncpayments.com.br/api/partner/v1/cash-in";
-    log(`Gerando Pix em: ${chargeUrl}`);
+async function recordAIUsage(tenant, contactKey, { model, kind, usage }) {
+    const provider = AI_PROVIDERS[tenant.ai_provider] ? tenant.ai_provider : "openai";
+    const input = usage?.input || 0;
+    const output = usage?.output || 0;
 
-    const chargeRes = await fetch(chargeUrl, {
-        method: "POST",
-        headers: {
-            "Content-Type": "application/json",
-            "Authorization": `Bearer ${access_token}`,
-            "Accept": "application/json"
-        },
-        body: JSON.stringify({
-            amount: price, // Valor float (ex: 49.90)
-            description: `Renovação SaaS - ${tenant.name}`,
-            webhook_url: `${WEBHOOK_BASE}/webhook/master`, // Webhook do Mestre
-            client: {
-                name: tenant.name,
-                email: `tenant_${tenant.id}@venux.com`,
-                phone: "11999999999", // Placeholder, obrigatório 10-11 digitos
-                cpf: "00000000000"    // Placeholder, obrigatório 11 digitos
+    // Sem contador (banco falhou) a próxima consulta recarrega do banco, já com esta linha
+    const counter = await getDailyUsage(tenant.id, contactKey).catch(e => log(e.message, tenant.name));
+    if (counter) {
+        if (kind === "reply") counter.messages++;
+        counter.tokens += input + output;
+    }
+
+    const { error } = await supabase.from('ai_usage').insert({
+        tenant_id: tenant.id,
+        contact_key: contactKey,
+        provider,
+        model,
+        kind,
+        prompt_tokens: input,
+        completion_tokens: output,
+        cost_usd: estimateAICost(provider, model, input, output)
+    });
+    if (error) log(`DB Error (ai_usage): ${error.message}`, tenant.name);
+}
+
+// Limites diários por usuário definidos pelo dono (null = sem limite)
+async function checkUsageQuota(tenant, contactKey) {
+    const maxMessages = tenant.user_daily_message_limit;
+    const maxTokens = tenant.user_daily_token_limit;
+    if (!maxMessages && !maxTokens) return { allowed: true };
+
+    let usage;
+    try {
+        usage = await getDailyUsage(tenant.id, contactKey);
+    } catch (e) {
+        // Sem como conferir o limite, recusa (falha fechada) em vez de liberar
+        log(e.message, tenant.name);
+        return { allowed: false, reason: "Não consegui verificar seu limite de uso agora. Tente novamente em instantes.", notify: true };
+    }
+    let reason = null;
+    if (maxMessages && usage.messages >= maxMessages) {
+        reason = `Você atingiu o limite de ${maxMessages} mensagens por dia. Volte amanhã! 🙂`;
+    } else if (maxTokens && usage.tokens >= maxTokens) {
+        reason = "Você atingiu o limite diário de uso da IA. Volte amanhã! 🙂";
+    }
+    if (!reason) return { allowed: true };
+
+    // notify: só a primeira recusa do dia (evita responder em loop no WhatsApp)
+    const notify = !usage.quotaNotified;
+    usage.quotaNotified = true;
+    return { allowed: false, reason, notify };
+}
+
+function formatContactKey(contactKey) {
+    const [channel, ...rest] = String(contactKey).split(":");
+    if (channel === "tg") return `Telegram ${rest[0]}`;
+    if (channel === "wa") return `WhatsApp ${rest[rest.length - 1]}`;
+    return contactKey;
+}
+
+// Soma o consumo desde uma data (agregado no banco); tenantId null = todos. Lança erro em falha de consulta
+async function getUsageTotals(since, tenantId = null) {
+    const { data: rows, error } = await supabase.rpc('ai_usage_totals', { p_since: since.toISOString(), p_tenant_id: tenantId });
+    if (error) throw new Error(`Consumo de IA: ${error.message}`);
+
+    const totals = { messages: 0, tokens: 0, cost: 0, byTenant: new Map() };
+    for (const r of rows || []) {
+        const usage = { messages: Number(r.messages) || 0, tokens: Number(r.tokens) || 0, cost: Number(r.cost_usd) || 0 };
+        totals.byTenant.set(String(r.tenant_id), usage);
+        totals.messages += usage.messages;
+        totals.tokens += usage.tokens;
+        totals.cost += usage.cost;
+    }
+    return totals;
+}
+
+async function getTopUsageContacts(tenantId, since, limit = 5) {
+    const { data: rows, error } = await supabase.rpc('ai_usage_top_contacts', { p_tenant_id: tenantId, p_since: since.toISOString(), p_limit: limit });
+    if (error) throw new Error(`Consumo de IA: ${error.message}`);
+    return (rows || []).map(r => ({ contactKey: r.contact_key, tokens: Number(r.tokens) || 0, cost: Number(r.cost_usd) || 0 }));
+}
+
+// -- Base de Conhecimento (RAG por Tenant) --
+// Documentos do dono viram trechos com embedding; os mais parecidos com a pergunta entram no prompt
+const KB_MAX_FILE_SIZE = 10 * 1024 * 1024; // 10MB
+const KB_CHUNK_SIZE = 1200;      // caracteres por trecho
+const KB_CHUNK_OVERLAP = 200;    // sobreposição entre trechos vizinhos
+const KB_MAX_DOC_CHUNKS = 400;
+const KB_EMBED_BATCH = 50;
+const KB_TOP_K = 4;
+const KB_MIN_SCORE = 0.3;        // similaridade mínima (cosseno) para usar um trecho
+const KB_CACHE_TTL = 10 * 60 * 1000;
+const knowledgeCache = new Map(); // tenantId -> { chunks, loadedAt }
+
+// Teto do XML descompactado: sobra para a base de conhecimento (KB_MAX_DOC_CHUNKS) e barra zip bomb
+const ZIP_ENTRY_MAX_BYTES = 16 * 1024 * 1024;
+
+// Lê um arquivo de dentro de um .zip (DOCX é um zip com word/document.xml)
+function readZipEntry(buffer, entryName) {
+    let eocd = -1;
+    for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 65557); i--) {
+        if (buffer.readUInt32LE(i) === 0x06054b50) { eocd = i; break; }
+    }
+    if (eocd < 0) throw new Error("Arquivo DOCX inválido");
+
+    const total = buffer.readUInt16LE(eocd + 10);
+    let ptr = buffer.readUInt32LE(eocd + 16);
+    for (let n = 0; n < total; n++) {
+        if (buffer.readUInt32LE(ptr) !== 0x02014b50) break;
+        const method = buffer.readUInt16LE(ptr + 10);
+        const compSize = buffer.readUInt32LE(ptr + 20);
+        const nameLen = buffer.readUInt16LE(ptr + 28);
+        const extraLen = buffer.readUInt16LE(ptr + 30);
+        const commentLen = buffer.readUInt16LE(ptr + 32);
+        const localOffset = buffer.readUInt32LE(ptr + 42);
+        const name = buffer.toString("utf8", ptr + 46, ptr + 46 + nameLen);
+
+        if (name === entryName) {
+            const start = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+            const data = buffer.subarray(start, start + compSize);
+            if (method !== 8) return data;
+            try {
+                return zlib.inflateRawSync(data, { maxOutputLength: ZIP_ENTRY_MAX_BYTES });
+            } catch (e) {
+                if (e.code === "ERR_BUFFER_TOO_LARGE") throw new Error("Documento muito grande depois de descompactado");
+                throw e;
+            }
+        }
+        ptr += 46 + nameLen + extraLen + commentLen;
+    }
+    throw new Error(`${entryName} não encontrado no arquivo`);
+}
+
+function docxToText(buffer) {
+    const xml = readZipEntry(buffer, "word/document.xml").toString("utf8");
+    return xml
+        .replace(/<w:tab\/>/g, "\t")
+        .replace(/<\/w:p>/g, "\n")
+        .replace(/<[^>]+>/g, "")
+        .replace(/&lt;/g, "<").replace(/&gt;/g, ">").replace(/&quot;/g, '"').replace(/&apos;/g, "'")
+        .replace(/&amp;/g, "&");
+}
+
+async function extractDocumentText(buffer, fileName = "", mime = "") {
+    const ext = path.extname(fileName).toLowerCase();
+
+    if (mime === "application/pdf" || ext === ".pdf") {
+        const parser = new PDFParse({ data: buffer });
+        try {
+            return (await parser.getText()).text;
+        } finally {
+            await parser.destroy();
+        }
+    }
+    if (ext === ".docx" || mime === "application/vnd.openxmlformats-officedocument.wordprocessingml.document") {
+        return docxToText(buffer);
+    }
+    if ([".txt", ".md", ".csv"].includes(ext) || mime.startsWith("text/")) {
+        return buffer.toString("utf8");
+    }
+    throw new Error("Formato não suportado. Envie PDF, DOCX ou TXT.");
+}
+
+// Quebra por parágrafos e junta até KB_CHUNK_SIZE, repetindo o fim do trecho anterior
+function chunkText(text) {
+    const clean = text.replace(/\r/g, "").replace(/[ \t]+/g, " ").replace(/\n{3,}/g, "\n\n").trim();
+    const chunks = [];
+    let current = "";
+
+    for (const para of clean.split(/\n\n/)) {
+        if (current && current.length + para.length + 2 > KB_CHUNK_SIZE) {
+            chunks.push(current);
+            current = current.slice(-KB_CHUNK_OVERLAP);
+        }
+        current = current ? `${current}\n\n${para}` : para;
+
+        // Parágrafo gigante (ex: PDF sem quebras): corta em janelas fixas
+        while (current.length > KB_CHUNK_SIZE) {
+            chunks.push(current.slice(0, KB_CHUNK_SIZE));
+            current = current.slice(KB_CHUNK_SIZE - KB_CHUNK_OVERLAP);
+        }
+    }
+    if (current.trim()) chunks.push(current);
+    return chunks;
+}
+
+function cosineSimilarity(a, b) {
+    let dot = 0, na = 0, nb = 0;
+    for (let i = 0; i < a.length; i++) {
+        dot += a[i] * b[i];
+        na += a[i] * a[i];
+        nb += b[i] * b[i];
+    }
+    return na && nb ? dot / (Math.sqrt(na) * Math.sqrt(nb)) : 0;
+}
+
+async function embedTexts(ai, model, texts) {
+    const vectors = [];
+    for (let i = 0; i < texts.length; i += KB_EMBED_BATCH) {
+        vectors.push(...await ai.embed(texts.slice(i, i + KB_EMBED_BATCH), model));
+    }
+    return vectors;
+}
+
+async function listKnowledgeDocuments(tenantId) {
+    const { data } = await supabase
+        .from('knowledge_documents')
+        .select('*')
+        .eq('tenant_id', tenantId)
+        .order('created_at', { ascending: false });
+    return data || [];
+}
+
+async function ingestKnowledgeDocument(tenant, { name, mime, buffer }) {
+    const ai = getAIClient(tenant);
+    if (!ai) throw new Error("Configure a IA antes de enviar documentos.");
+
+    const text = await extractDocumentText(buffer, name, mime);
+    name = name.replace(/[<>&]/g, "").substring(0, 120); // Nome aparece em mensagens HTML
+    const chunks = chunkText(text || "");
+    if (chunks.length === 0) throw new Error("Não encontrei texto no arquivo (PDF escaneado?).");
+    if (chunks.length > KB_MAX_DOC_CHUNKS) throw new Error(`Documento muito grande (${chunks.length} trechos, máx ${KB_MAX_DOC_CHUNKS}).`);
+
+    const model = getEmbeddingModel(tenant);
+    const vectors = await embedTexts(ai, model, chunks);
+
+    const { data: doc, error } = await supabase
+        .from('knowledge_documents')
+        .insert({ tenant_id: tenant.id, name, mime, chars: text.length, chunk_count: chunks.length, embedding_model: model })
+        .select()
+        .single();
+    if (error) throw new Error(error.message);
+
+    const rows = chunks.map((content, i) => ({
+        document_id: doc.id,
+        tenant_id: tenant.id,
+        chunk_index: i,
+        content,
+        embedding: vectors[i]
+    }));
+    for (let i = 0; i < rows.length; i += 100) {
+        const { error: chunkErr } = await supabase.from('knowledge_chunks').insert(rows.slice(i, i + 100));
+        if (chunkErr) {
+            await supabase.from('knowledge_documents').delete().eq('id', doc.id);
+            throw new Error(chunkErr.message);
+        }
+    }
+
+    knowledgeCache.delete(tenant.id);
+    return doc;
+}
+
+async function deleteKnowledgeDocument(tenantId, docId) {
+    // knowledge_chunks tem on delete cascade
+    await supabase.from('knowledge_documents').delete().eq('id', docId).eq('tenant_id', tenantId);
+    knowledgeCache.delete(tenantId);
+}
+
+async function loadKnowledge(tenantId) {
+    const cached = knowledgeCache.get(tenantId);
+    if (cached && Date.now() - cached.loadedAt < KB_CACHE_TTL) return cached.chunks;
+
+    const docs = await listKnowledgeDocuments(tenantId);
+    const docById = new Map(docs.map(d => [d.id, d]));
+    const chunks = [];
+
+    if (docs.length) {
+        for (let from = 0; ; from += 1000) {
+            const { data: rows, error } = await supabase
+                .from('knowledge_chunks')
+                .select('document_id, content, embedding')
+                .eq('tenant_id', tenantId)
+                .range(from, from + 999);
+            if (error || !rows || rows.length === 0) break;
+
+            for (const row of rows) {
+                const doc = docById.get(row.document_id);
+                if (!doc) continue;
+                chunks.push({ docName: doc.name, model: doc.embedding_model, content: row.content, embedding: row.embedding });
+            }
+            if (rows.length < 1000) break;
+        }
+    }
+
+    knowledgeCache.set(tenantId, { chunks, loadedAt: Date.now() });
+    return chunks;
+}
+
+// Trechos mais relevantes para a pergunta (vazio = sem base ou nada parecido)
+async function retrieveKnowledge(tenant, ai, query) {
+    const model = getEmbeddingModel(tenant);
+    // Trechos indexados com outro provedor têm vetores incompatíveis
+    const chunks = (await loadKnowledge(tenant.id)).filter(c => c.model === model);
+    if (chunks.length === 0) return [];
+
+    const [queryVector] = await ai.embed([query], model);
+    return chunks
+        .map(c => ({ ...c, score: cosineSimilarity(queryVector, c.embedding) }))
+        .filter(c => c.score >= KB_MIN_SCORE)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, KB_TOP_K);
+}
+
+function buildKnowledgePrompt(passages) {
+    const context = passages.map(p => `[Fonte: ${p.docName}]\n${p.content}`).join("\n\n---\n\n");
+    return "Use os trechos da base de conhecimento abaixo quando forem relevantes para a pergunta. " +
+        "Ao usar uma informação deles, cite a fonte no final da resposta no formato (Fonte: nome do documento). " +
+        "Se a resposta não estiver nos trechos, não invente dados como preços ou prazos.\n\n" + context;
+}
+
+// -- Motor de IA (Compartilhado entre Telegram e WhatsApp) --
+// images: [{ mime, data(base64) }] para modelos com visão; historyText substitui o texto salvo no histórico
+async function generateAIReply(tenant, userText, contactKey, { images = [], historyText = null } = {}) {
+    const ai = getAIClient(tenant);
+    if (!ai) return null;
+
+    const model = getAIModel(tenant);
+    const systemPrompt = tenant.system_prompt || DEFAULT_SYSTEM_PROMPT;
+
+    const conversation = await getConversation(tenant.id, contactKey);
+
+    const messages = [{ role: "system", content: systemPrompt }];
+    if (conversation.summary) {
+        messages.push({ role: "system", content: `Resumo da conversa até aqui: ${conversation.summary}` });
+    }
+
+    try {
+        const passages = await retrieveKnowledge(tenant, ai, userText.slice(0, 2000));
+        if (passages.length) messages.push({ role: "system", content: buildKnowledgePrompt(passages) });
+    } catch (e) {
+        // Base de conhecimento indisponível não impede a resposta
+        log(`Erro ao consultar base de conhecimento [${tenant.name}]: ${e.message}`, "ERROR");
+    }
+
+    messages.push(...buildHistoryWindow(conversation.messages));
+    messages.push({
+        role: "user",
+        content: images.length
+            ? [{ type: "text", text: userText }, ...images.map(img => ({ type: "image_url", image_url: { url: `data:${img.mime};base64,${img.data}` } }))]
+            : userText
+    });
+
+    const response = await ai.chat({ model, messages });
+    const answer = response.text;
+    await recordAIUsage(tenant, contactKey, { model, kind: "reply", usage: response.usage });
+
+    conversation.messages.push({ role: "user", content: historyText || userText }, { role: "assistant", content: answer });
+    try {
+        await summarizeIfNeeded(ai, model, conversation,
+            (usage) => recordAIUsage(tenant, contactKey, { model, kind: "summary", usage }));
+    } catch (e) {
+        // Falha no resumo não pode derrubar a resposta: apenas corta o histórico
+        log(`Erro ao resumir conversa [${tenant.name}]: ${e.message}`, "ERROR");
+        conversation.messages = conversation.messages.slice(-HISTORY_MAX_MESSAGES);
+    }
+    await saveConversation(tenant.id, contactKey, conversation);
+
+    return answer;
+}
+
+// -- Mídia no Chat da IA (Áudio, Imagem e Documentos) --
+// Arquivos ficam em CHAT_MEDIA_DIR/<tenantId>/ com retenção e cota por tenant.
+// Fora de uploads/ de propósito: /uploads é público e isto é conteúdo privado dos usuários finais.
+const CHAT_MEDIA_DIR = path.join(__dirname, "chat_media");
+const MEDIA_RETENTION_DAYS = Number(process.env.MEDIA_RETENTION_DAYS || 7);
+const MEDIA_TENANT_QUOTA_MB = Number(process.env.MEDIA_TENANT_QUOTA_MB || 200);
+const MEDIA_MAX_FILE_SIZE = 20 * 1024 * 1024; // Limite de download da Bot API do Telegram
+const MEDIA_DOC_MAX_CHARS = 15000;           // Texto do documento enviado ao modelo
+const MEDIA_SWEEP_INTERVAL = 60 * 60 * 1000;
+
+const MEDIA_EXTENSIONS = {
+    "image/jpeg": ".jpg", "image/png": ".png", "image/webp": ".webp",
+    "audio/ogg": ".ogg", "audio/mpeg": ".mp3", "audio/mp4": ".m4a", "audio/wav": ".wav",
+    "application/pdf": ".pdf", "text/plain": ".txt",
+    "application/vnd.openxmlformats-officedocument.wordprocessingml.document": ".docx"
+};
+
+function listMediaFiles(dir) {
+    if (!fs.existsSync(dir)) return [];
+    return fs.readdirSync(dir, { withFileTypes: true })
+        .filter(e => e.isFile())
+        .map(e => {
+            const stat = fs.statSync(path.join(dir, e.name));
+            return { name: e.name, size: stat.size, mtime: stat.mtimeMs };
+        });
+}
+
+// Salva a mídia do tenant; se passar da cota, apaga as mais antigas primeiro
+function storeChatMedia(tenantId, buffer, mime, fileName) {
+    const quota = MEDIA_TENANT_QUOTA_MB * 1024 * 1024;
+    if (buffer.length > quota) throw new Error("Arquivo maior que a cota de mídia do bot.");
+
+    const dir = path.join(CHAT_MEDIA_DIR, String(tenantId));
+    fs.mkdirSync(dir, { recursive: true });
+
+    const files = listMediaFiles(dir).sort((a, b) => a.mtime - b.mtime);
+    let used = files.reduce((sum, f) => sum + f.size, 0);
+    while (files.length && used + buffer.length > quota) {
+        const oldest = files.shift();
+        fs.rmSync(path.join(dir, oldest.name), { force: true });
+        used -= oldest.size;
+    }
+
+    const ext = MEDIA_EXTENSIONS[mime] || path.extname(fileName || "") || "";
+    const name = `${Date.now()}_${crypto.randomBytes(8).toString("hex")}${ext}`;
+    fs.writeFileSync(path.join(dir, name), buffer);
+    return name;
+}
+
+// Remove mídias vencidas: chat (por idade) e arquivos *_media que nenhuma campanha ativa usa
+async function sweepMediaFiles() {
+    const cutoff = Date.now() - MEDIA_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+    let removed = 0;
+
+    if (fs.existsSync(CHAT_MEDIA_DIR)) {
+        for (const tenantDir of fs.readdirSync(CHAT_MEDIA_DIR)) {
+            const dir = path.join(CHAT_MEDIA_DIR, tenantDir);
+            for (const f of listMediaFiles(dir)) {
+                if (f.mtime < cutoff) {
+                    fs.rmSync(path.join(dir, f.name), { force: true });
+                    removed++;
+                }
+            }
+        }
+    }
+
+    const { data: active, error } = await supabase
+        .from('campaigns')
+        .select('media')
+        .in('status', ['running', 'paused']);
+    if (!error) {
+        const inUse = new Set((active || []).map(c => c.media?.file).filter(Boolean));
+        // uploads/ ainda pode ter *_media antigos, de antes da mídia de campanha ir para CAMPAIGN_MEDIA_DIR
+        for (const dir of [CAMPAIGN_MEDIA_DIR, UPLOADS_DIR]) {
+            for (const f of listMediaFiles(dir)) {
+                if (f.name.endsWith("_media") && f.mtime < cutoff && !inUse.has(f.name)) {
+                    fs.rmSync(path.join(dir, f.name), { force: true });
+                    removed++;
+                }
+            }
+        }
+    }
+
+    if (removed) log(`Limpeza de mídia: ${removed} arquivo(s) removido(s)`, "SYSTEM");
+}
+
+function startMediaSweeper() {
+    const run = () => sweepMediaFiles().catch(e => log(`Limpeza de mídia: erro: ${e.message}`, "ERROR"));
+    run();
+    setInterval(run, MEDIA_SWEEP_INTERVAL);
+}
+
+// Responde a uma mídia (Telegram ou WhatsApp). media: { kind: voice|image|document, buffer, mime, fileName, caption }
+async function generateMediaReply(tenant, contactKey, media) {
+    const ai = getAIClient(tenant);
+    if (!ai) return null;
+    if (media.buffer.length > MEDIA_MAX_FILE_SIZE) throw new Error("Arquivo muito grande (máx 20MB).");
+
+    storeChatMedia(tenant.id, media.buffer, media.mime, media.fileName);
+    const caption = (media.caption || "").trim();
+
+    if (media.kind === "voice") {
+        const model = getTranscriptionModel(tenant);
+        const result = await ai.transcribe({
+            buffer: media.buffer,
+            fileName: media.fileName || "audio.ogg",
+            mime: media.mime || "audio/ogg",
+            model
+        });
+        if (result.usage) await recordAIUsage(tenant, contactKey, { model, kind: "transcription", usage: result.usage });
+
+        const transcript = (result.text || "").trim();
+        if (!transcript) throw new Error("Não consegui entender o áudio.");
+        return generateAIReply(tenant, transcript, contactKey, { historyText: `🎤 ${transcript}` });
+    }
+
+    if (media.kind === "image") {
+        return generateAIReply(tenant, caption || "Descreva esta imagem e diga como posso ajudar com ela.", contactKey, {
+            images: [{ mime: media.mime || "image/jpeg", data: media.buffer.toString("base64") }],
+            historyText: `[Imagem enviada]${caption ? ` ${caption}` : ""}`
+        });
+    }
+
+    // Documento: reaproveita o extrator da base de conhecimento
+    const text = (await extractDocumentText(media.buffer, media.fileName || "", media.mime || "")).trim();
+    if (!text) throw new Error("Não encontrei texto no documento.");
+
+    const truncated = text.length > MEDIA_DOC_MAX_CHARS;
+    const prompt = `O usuário enviou o documento "${media.fileName || "arquivo"}".\n` +
+        (caption ? `Pedido do usuário: ${caption}\n` : "Faça um resumo objetivo com os pontos principais.\n") +
+        (truncated ? "(Conteúdo cortado por ser muito longo.)\n" : "") +
+        `\nConteúdo:\n${text.slice(0, MEDIA_DOC_MAX_CHARS)}`;
+
+    return generateAIReply(tenant, prompt, contactKey, {
+        historyText: `[Documento enviado: ${media.fileName || "arquivo"}]${caption ? ` ${caption}` : ""}`
+    });
+}
+
+// -- Helper SyncPay (Auth + Cobrança Pix) --
+// Usado tanto pelo MESTRE (assinaturas) quanto pelos tenants (planos dos usuários finais)
+const SYNCPAY_BASE_URL = "https://api.syncpayments.com.br";
+
+async function createSyncPayCharge({ clientId, clientSecret, amount, description, webhookUrl, client }) {
+    // 1. Auth no SyncPay
+    // Documentação sugere: POST /api/partner/v1/auth-token
+    const tokenRes = await fetch(`${SYNCPAY_BASE_URL}/api/partner/v1/auth-token`, {
+        method: "POST",
+        headers: {
+            "Content-Type": "application/json"
+        },
+        body: JSON.stringify({
+            client_id: clientId,
+            client_secret: clientSecret
+        })
+    });
+
+    if (!tokenRes.ok) {
+        const errText = await tokenRes.text();
+        throw new Error(`Falha Auth SyncPay (${tokenRes.status}): ${errText.substring(0, 500)}...`);
+    }
+    const { access_token } = await tokenRes.json();
+
+    // 2. Gerar Cobrança Pix
+    // Endpoint oficial: POST /api/partner/v1/cash-in
+    const chargeUrl = `${SYNCPAY_BASE_URL}/api/partner/v1/cash-in`;
+    log(`Gerando Pix em: ${chargeUrl}`);
+
+    const chargeRes = await fetch(chargeUrl, {
+        method: "POST",
+        headers: {
+            "Content-Type": "application/json",
+            "Authorization": `Bearer ${access_token}`,
+            "Accept": "application/json"
+        },
+        body: JSON.stringify({
+            amount: amount, // Valor float (ex: 49.90)
+            description: description,
+            webhook_url: webhookUrl,
+            client: {
+                name: client.name,
+                email: client.email,
+                phone: client.phone || "11999999999", // Placeholder, obrigatório 10-11 digitos
+                cpf: client.cpf || "00000000000"      // Placeholder, obrigatório 11 digitos
+            }
+        })
+    });
+
+    if (!chargeRes.ok) {
+        const err = await chargeRes.text();
+        throw new Error(`Erro ao gerar Pix: ${err.substring(0, 500)}...`);
+    }
+
+    const data = await chargeRes.json();
+    // Retorna formato unificado
+    return {
+        id: data.identifier,
+        value: Number(amount),
+        qrcode_text: data.pix_code,
+        qrcode_image_url: null // API não retorna imagem direta, apenas o código
+    };
+}
+
+// -- Helper de Pagamento MESTRE (Renovação) --
+async function generateSubscriptionCharge(tenant) {
+    if (!MASTER_SYNCPAY_ID || !MASTER_SYNCPAY_SECRET) {
+        throw new Error("Sistema de cobrança não configurado pelo Admin Mestre.");
+    }
+    const defaultPrice = await getGlobalPrice();
+    const price = tenant.subscription_price || defaultPrice;
+
+    const charge = await createSyncPayCharge({
+        clientId: MASTER_SYNCPAY_ID,
+        clientSecret: MASTER_SYNCPAY_SECRET,
+        amount: price,
+        description: `Renovação SaaS - ${tenant.name}`,
+        webhookUrl: signedWebhookUrl("/webhook/master", "master"), // Webhook do Mestre
+        client: {
+            name: tenant.name,
+            email: `tenant_${tenant.id}@venux.com`
+        }
+    });
+
+    // Registra a cobrança: o webhook só aceita ids emitidos aqui
+    const { error } = await supabase.from('payments').insert({
+        id: String(charge.id),
+        tenant_id: tenant.id,
+        amount: price,
+        status: "pending",
+        status_history: [{ status: "pending", at: new Date().toISOString() }]
+    });
+    if (error) throw new Error(`Erro ao registrar cobrança: ${error.message}`);
+
+    return charge;
+}
+
+// -- Ledger de Pagamentos (Assinaturas) --
+async function recordPaymentStatus(payment, status, payload) {
+    const history = [...(payment.status_history || []), { status, at: new Date().toISOString() }];
+    await supabase
+        .from('payments')
+        .update({ status: payment.status === "paid" ? "paid" : status, status_history: history, raw_payload: payload })
+        .eq('id', payment.id);
+}
+
+// -- Helper de Download de Arquivos do Telegram (salva em CAMPAIGN_MEDIA_DIR) --
+// Mídia das campanhas fica fora de uploads/ (servido publicamente); save=false mantém o arquivo só em memória
+const CAMPAIGN_MEDIA_DIR = path.join(__dirname, "campaign_media");
+
+async function downloadTelegramFile(telegram, fileId, { save = true } = {}) {
+    const link = await telegram.getFileLink(fileId);
+    const resp = await fetch(link.href || String(link));
+    if (!resp.ok) throw new Error(`Falha ao baixar arquivo (${resp.status})`);
+
+    const buffer = Buffer.from(await resp.arrayBuffer());
+    if (!save) return { fileName: null, buffer };
+
+    const fileName = `${Date.now()}_${crypto.randomBytes(8).toString("hex")}_media`;
+    fs.mkdirSync(CAMPAIGN_MEDIA_DIR, { recursive: true });
+    fs.writeFileSync(path.join(CAMPAIGN_MEDIA_DIR, fileName), buffer);
+    return { fileName, buffer };
+}
+
+// -- Disparo em Massa (Campanhas via Wuzapi) --
+const campaignRunners = new Map(); // campaign_id -> { restart }
+const instanceSendLog = new Map(); // token da instância -> timestamps dos últimos envios
+const MASS_MIN_DELAY = 8;           // segundos (mínimo entre envios)
+const MASS_MAX_DELAY = 20;          // segundos (máximo entre envios)
+const MASS_RATE_PER_MINUTE = 15;    // limite por instância
+const MASS_MAX_CONTACTS = 5000;
+const MASS_PROGRESS_EVERY = 10;     // atualiza o relatório a cada N envios
+
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+
+// Aceita números com ou sem DDI; assume Brasil (55) para 10-11 dígitos
+function normalizePhone(raw) {
+    const digits = String(raw || "").replace(/\D/g, "");
+    if (digits.length < 10 || digits.length > 15) return null;
+    if (digits.length <= 11) return `55${digits}`;
+    return digits;
+}
+
+// Lista de contatos: um número por linha ou CSV (numero,nome,...). Cabeçalho opcional define as variáveis.
+function parseContactList(text) {
+    const lines = String(text || "").split(/\r?\n/).map(l => l.trim()).filter(Boolean);
+    if (lines.length === 0) return { contacts: [], columns: [] };
+
+    const split = (line) => line.split(/[;,\t]/).map(c => c.trim().replace(/^"|"$/g, ""));
+
+    let columns = ["numero", "nome"];
+    const first = split(lines[0]);
+    if (!normalizePhone(first[0])) {
+        columns = first.map(c => c.toLowerCase());
+        lines.shift();
+    }
+
+    const seen = new Set();
+    const contacts = [];
+    for (const line of lines) {
+        const cells = split(line);
+        const phone = normalizePhone(cells[0]);
+        if (!phone || seen.has(phone)) continue;
+        seen.add(phone);
+
+        const variables = {};
+        columns.forEach((col, idx) => {
+            if (idx > 0 && cells[idx]) variables[col] = cells[idx];
+        });
+        contacts.push({ phone, variables });
+        if (contacts.length >= MASS_MAX_CONTACTS) break;
+    }
+
+    return { contacts, columns: columns.slice(1) };
+}
+
+function renderTemplate(template, variables = {}) {
+    return String(template || "").replace(/\{(\w+)\}/g, (_, key) => variables[key.toLowerCase()] || "");
+}
+
+// Espera até a instância ter "vaga" dentro do limite por minuto
+async function waitInstanceSlot(token) {
+    while (true) {
+        const now = Date.now();
+        const recent = (instanceSendLog.get(token) || []).filter(t => now - t < 60 * 1000);
+        instanceSendLog.set(token, recent);
+        if (recent.length < MASS_RATE_PER_MINUTE) {
+            recent.push(now);
+            return;
+        }
+        await sleep(60 * 1000 - (now - recent[0]) + 250);
+    }
+}
+
+async function sendCampaignMessage(inst, phone, text, media) {
+    if (!media) {
+        return callWuzapi("/chat/send/text", "POST", { Phone: phone, Body: text }, inst.token);
+    }
+
+    const buffer = fs.readFileSync(path.join(CAMPAIGN_MEDIA_DIR, media.file));
+    const dataUrl = `data:${media.mime || "application/octet-stream"};base64,${buffer.toString("base64")}`;
+
+    if (media.type === "photo") {
+        return callWuzapi("/chat/send/image", "POST", { Phone: phone, Image: dataUrl, Caption: text }, inst.token);
+    }
+    if (media.type === "video") {
+        return callWuzapi("/chat/send/video", "POST", { Phone: phone, Video: dataUrl, Caption: text }, inst.token);
+    }
+
+    // Documento não tem legenda no Wuzapi: envia o texto em seguida
+    const res = await callWuzapi("/chat/send/document", "POST", {
+        Phone: phone,
+        Document: dataUrl,
+        FileName: media.fileName || "arquivo"
+    }, inst.token);
+    if (res.success && text) {
+        return callWuzapi("/chat/send/text", "POST", { Phone: phone, Body: text }, inst.token);
+    }
+    return res;
+}
+
+const CAMPAIGN_STATUS_LABELS = {
+    running: "▶️ Em andamento",
+    paused: "⏸️ Pausada",
+    cancelled: "⛔ Cancelada",
+    completed: "✅ Concluída"
+};
+
+function renderCampaignProgress(campaign) {
+    const done = campaign.sent_count + campaign.failed_count;
+    const pct = campaign.total_count ? Math.floor((done / campaign.total_count) * 100) : 0;
+
+    return `📢 <b>Campanha #${campaign.id}</b>\n\n` +
+        `📊 Status: ${CAMPAIGN_STATUS_LABELS[campaign.status] || campaign.status}\n` +
+        `📈 Progresso: ${done}/${campaign.total_count} (${pct}%)\n` +
+        `✅ Enviadas: ${campaign.sent_count}\n` +
+        `❌ Falhas: ${campaign.failed_count}`;
+}
+
+function campaignControlButtons(campaign) {
+    const buttons = [];
+    if (campaign.status === "running") {
+        buttons.push([Markup.button.callback("⏸️ Pausar", `mass_pause_${campaign.id}`), Markup.button.callback("⛔ Cancelar", `mass_cancel_${campaign.id}`)]);
+    } else if (campaign.status === "paused") {
+        buttons.push([Markup.button.callback("▶️ Retomar", `mass_resume_${campaign.id}`), Markup.button.callback("⛔ Cancelar", `mass_cancel_${campaign.id}`)]);
+    }
+    buttons.push([Markup.button.callback("🔄 Atualizar", `mass_view_${campaign.id}`)]);
+    return Markup.inlineKeyboard(buttons);
+}
+
+// Edita a mensagem de progresso no Telegram (se o bot do tenant estiver rodando)
+async function updateCampaignProgress(tenant, campaign) {
+    const botInstance = activeBots.get(String(tenant.id));
+    if (!botInstance || !campaign.progress_message_id) return;
+    try {
+        await botInstance.telegram.editMessageText(
+            campaign.chat_id,
+            campaign.progress_message_id,
+            undefined,
+            renderCampaignProgress(campaign),
+            { parse_mode: "HTML", ...campaignControlButtons(campaign) }
+        );
+    } catch (e) { }
+}
+
+async function runCampaign(tenant, campaignId) {
+    if (campaignRunners.has(campaignId)) {
+        // Já existe um loop rodando: pede para reavaliar ao terminar (ex: pausou e retomou rápido)
+        campaignRunners.get(campaignId).restart = true;
+        return;
+    }
+    const runner = { restart: false };
+    campaignRunners.set(campaignId, runner);
+
+    let turn = 0;
+    try {
+        while (true) {
+            const { data: campaign } = await supabase.from('campaigns').select('*').eq('id', campaignId).single();
+            if (!campaign || campaign.status !== "running") {
+                if (campaign) await updateCampaignProgress(tenant, campaign);
+                break;
+            }
+
+            const { data: pending } = await supabase
+                .from('campaign_recipients')
+                .select('*')
+                .eq('campaign_id', campaignId)
+                .eq('status', 'pending')
+                .order('id')
+                .limit(1);
+
+            if (!pending || pending.length === 0) {
+                campaign.status = "completed";
+                await supabase.from('campaigns').update({
+                    status: "completed",
+                    finished_at: new Date().toISOString(),
+                    updated_at: new Date().toISOString()
+                }).eq('id', campaignId);
+                await updateCampaignProgress(tenant, campaign);
+                notifyTenantUser(tenant, campaign.chat_id, `🏁 <b>Campanha #${campaign.id} finalizada!</b>\n✅ ${campaign.sent_count} enviadas | ❌ ${campaign.failed_count} falhas`);
+                log(`Campanha #${campaignId} concluída`, tenant.name);
+                break;
+            }
+
+            // Instâncias selecionadas que ainda existem
+            const instances = (await getInstances(tenant.id, campaign.chat_id)).filter(i => (campaign.instance_ids || []).includes(i.id));
+            if (instances.length === 0) {
+                await supabase.from('campaigns').update({ status: "paused", updated_at: new Date().toISOString() }).eq('id', campaignId);
+                notifyTenantUser(tenant, campaign.chat_id, `⏸️ <b>Campanha #${campaign.id} pausada:</b> nenhuma das instâncias selecionadas existe mais.`);
+                break;
+            }
+
+            const recipient = pending[0];
+            const inst = instances[turn % instances.length];
+            turn++;
+
+            await waitInstanceSlot(inst.token);
+            const text = renderTemplate(campaign.message, recipient.variables);
+            const res = await sendCampaignMessage(inst, recipient.phone, text, campaign.media);
+            const ok = Boolean(res.success);
+
+            await supabase.from('campaign_recipients').update({
+                status: ok ? "sent" : "failed",
+                instance_id: inst.id,
+                error: ok ? null : String(res.message || res.text || res.error || "Erro desconhecido").substring(0, 500),
+                sent_at: new Date().toISOString()
+            }).eq('id', recipient.id);
+
+            if (ok) campaign.sent_count++; else campaign.failed_count++;
+            await supabase.from('campaigns').update({
+                sent_count: campaign.sent_count,
+                failed_count: campaign.failed_count,
+                updated_at: new Date().toISOString()
+            }).eq('id', campaignId);
+
+            if ((campaign.sent_count + campaign.failed_count) % MASS_PROGRESS_EVERY === 0) {
+                await updateCampaignProgress(tenant, campaign);
+            }
+
+            const delay = MASS_MIN_DELAY + Math.random() * (MASS_MAX_DELAY - MASS_MIN_DELAY);
+            await sleep(delay * 1000);
+        }
+    } catch (e) {
+        log(`Erro na campanha #${campaignId}: ${e.message}`, "ERROR");
+        // Pausa para não ficar "rodando" sem loop ativo; o usuário pode retomar pelo menu
+        await supabase.from('campaigns').update({ status: "paused", updated_at: new Date().toISOString() }).eq('id', campaignId);
+    } finally {
+        campaignRunners.delete(campaignId);
+        if (runner.restart) runCampaign(tenant, campaignId);
+    }
+}
+
+// Retoma campanhas que estavam rodando antes de um restart do servidor
+async function resumeRunningCampaigns(tenant) {
+    const { data: campaigns } = await supabase
+        .from('campaigns')
+        .select('id')
+        .eq('tenant_id', tenant.id)
+        .eq('status', 'running');
+
+    for (const c of campaigns || []) {
+        if (campaignRunners.has(c.id)) continue;
+        log(`Retomando campanha #${c.id}`, tenant.name);
+        runCampaign(tenant, c.id);
+    }
+}
+
+// -- Transmissão do Dono (Mensagem para os Usuários do Bot no Telegram) --
+const broadcastRunners = new Map(); // broadcast_id -> true enquanto o loop roda
+const BROADCAST_DELAY_MS = 50;      // ~20 msgs/s (limite global do Telegram é ~30/s)
+const BROADCAST_PAGE_SIZE = 200;
+const BROADCAST_SAVE_EVERY = 25;    // grava cursor/contadores a cada N envios
+const BROADCAST_MAX_BUTTONS = 5;
+const BROADCAST_BUTTONS_HELP = "🔘 Quer adicionar botões com link? Envie um por linha no formato:\n" +
+    "<code>Ver ofertas | https://seusite.com</code>\n\nOu envie <b>pular</b>.";
+const LAST_SEEN_THROTTLE = 60 * 60 * 1000; // Atualiza session.lastSeenAt no máximo 1x por hora
+
+const BROADCAST_AUDIENCES = {
+    all: "👥 Todos",
+    vip: "💎 VIPs (plano ativo)",
+    expired: "⌛ Plano vencido",
+    inactive: "💤 Inativos há N dias"
+};
+
+function describeAudience(audience) {
+    if (audience.type === "inactive") return `💤 Inativos há ${audience.days}+ dias`;
+    return BROADCAST_AUDIENCES[audience.type] || audience.type;
+}
+
+function matchesAudience(tenant, chatId, data, audience) {
+    if (String(chatId) === String(tenant.owner_chat_id) || String(chatId).startsWith("-")) return false;
+    if (!data || data.blockedAt) return false;
+
+    const now = Date.now();
+    const expiry = data.subscriptionExpiry ? new Date(data.subscriptionExpiry).getTime() : null;
+    switch (audience.type) {
+        case "vip": return Boolean(data.isVip && expiry && expiry > now);
+        case "expired": return Boolean(expiry && expiry <= now);
+        case "inactive": {
+            const last = new Date(data.lastSeenAt || data.createdAt || 0).getTime();
+            return now - last >= audience.days * 24 * 60 * 60 * 1000;
+        }
+        default: return true;
+    }
+}
+
+// Página de destinatários após o cursor (chat_id em ordem, para retomar de onde parou)
+async function fetchAudiencePage(tenant, audience, cursor) {
+    const rows = await storage.sessions.page(tenant.id, { after: cursor, limit: BROADCAST_PAGE_SIZE });
+    return {
+        rows: (rows || []).filter(r => matchesAudience(tenant, r.chat_id, r.data, audience)),
+        nextCursor: rows?.length ? rows[rows.length - 1].chat_id : cursor,
+        done: !rows || rows.length < BROADCAST_PAGE_SIZE
+    };
+}
+
+async function countBroadcastAudience(tenant, audience) {
+    let total = 0;
+    let cursor = null;
+    while (true) {
+        const page = await fetchAudiencePage(tenant, audience, cursor);
+        total += page.rows.length;
+        if (page.done) return total;
+        cursor = page.nextCursor;
+    }
+}
+
+// content: { text, media: { type: photo|video|document|animation, fileId }, buttons: [{ text, url }] }
+async function sendBroadcastContent(telegram, chatId, content) {
+    const extra = content.buttons?.length
+        ? Markup.inlineKeyboard(content.buttons.map(b => [Markup.button.url(b.text, b.url)]))
+        : {};
+
+    if (!content.media) return telegram.sendMessage(chatId, content.text, extra);
+
+    const opts = { caption: content.text || undefined, ...extra };
+    switch (content.media.type) {
+        case "photo": return telegram.sendPhoto(chatId, content.media.fileId, opts);
+        case "video": return telegram.sendVideo(chatId, content.media.fileId, opts);
+        case "animation": return telegram.sendAnimation(chatId, content.media.fileId, opts);
+        default: return telegram.sendDocument(chatId, content.media.fileId, opts);
+    }
+}
+
+// Marca quem bloqueou o bot (sai das próximas transmissões até voltar a interagir)
+async function markUserBlocked(tenant, row) {
+    const data = { ...row.data, blockedAt: new Date().toISOString() };
+    await storage.sessions.save(tenant.id, row.chat_id, data, row.version); // Conflito = usuário voltou a interagir
+    sessionCache.delete(`${tenant.id}_${row.chat_id}`);
+}
+
+async function runOwnerBroadcast(tenant, broadcastId) {
+    if (broadcastRunners.has(broadcastId)) return;
+    broadcastRunners.set(broadcastId, true);
+
+    try {
+        const { data: bc } = await supabase.from('owner_broadcasts').select('*').eq('id', broadcastId).single();
+        if (!bc || bc.status !== "running") return;
+
+        const telegram = activeBots.get(String(tenant.id))?.telegram;
+        if (!telegram) return;
+
+        const counters = { sent_count: bc.sent_count, failed_count: bc.failed_count, blocked_count: bc.blocked_count };
+        let cursor = bc.cursor;
+        let sinceSave = 0;
+
+        const saveProgress = async (extra = {}) => {
+            await supabase.from('owner_broadcasts').update({ ...counters, cursor, ...extra }).eq('id', broadcastId);
+        };
+
+        while (true) {
+            const page = await fetchAudiencePage(tenant, bc.audience, cursor);
+
+            for (const row of page.rows) {
+                while (true) {
+                    try {
+                        await sendBroadcastContent(telegram, row.chat_id, bc.content);
+                        counters.sent_count++;
+                    } catch (e) {
+                        const code = e.response?.error_code;
+                        if (code === 429) {
+                            // Flood control: espera o tempo pedido e tenta o mesmo usuário de novo
+                            const wait = (e.response.parameters?.retry_after || 5) * 1000;
+                            log(`Transmissão #${broadcastId}: 429, aguardando ${wait / 1000}s`, tenant.name);
+                            await sleep(wait);
+                            continue;
+                        }
+                        if (code === 403) {
+                            counters.blocked_count++;
+                            await markUserBlocked(tenant, row);
+                        } else {
+                            counters.failed_count++;
+                        }
+                    }
+                    break;
+                }
+                cursor = row.chat_id;
+
+                if (++sinceSave >= BROADCAST_SAVE_EVERY) {
+                    sinceSave = 0;
+                    await saveProgress();
+                    const { data: current } = await supabase.from('owner_broadcasts').select('status').eq('id', broadcastId).single();
+                    if (current?.status !== "running") return; // Cancelada pelo dono
+                }
+                await sleep(BROADCAST_DELAY_MS);
+            }
+
+            cursor = page.nextCursor;
+            if (page.done) break;
+        }
+
+        await saveProgress({ status: "completed", finished_at: new Date().toISOString() });
+        log(`Transmissão #${broadcastId} concluída: ${counters.sent_count} enviadas`, tenant.name);
+
+        await telegram.sendMessage(tenant.owner_chat_id,
+            `📢 <b>Transmissão #${broadcastId} concluída!</b>\n\n` +
+            `👥 Público: ${describeAudience(bc.audience)}\n` +
+            `✅ Enviadas: ${counters.sent_count}\n` +
+            `❌ Falhas: ${counters.failed_count}\n` +
+            `🚫 Bloquearam o bot: ${counters.blocked_count}`,
+            { parse_mode: "HTML" }
+        ).catch(() => { });
+    } catch (e) {
+        log(`Erro na transmissão #${broadcastId}: ${e.message}`, "ERROR");
+    } finally {
+        broadcastRunners.delete(broadcastId);
+    }
+}
+
+async function resumeOwnerBroadcasts(tenant) {
+    const { data: running } = await supabase
+        .from('owner_broadcasts')
+        .select('id')
+        .eq('tenant_id', tenant.id)
+        .eq('status', 'running');
+
+    for (const bc of running || []) {
+        log(`Retomando transmissão #${bc.id}`, tenant.name);
+        runOwnerBroadcast(tenant, bc.id);
+    }
+}
+
+// -- Rodízio de Leads (Distribuição entre Instâncias/Atendentes) --
+const LEAD_STRATEGIES = {
+    round_robin: "🔁 Sequencial",
+    weighted: "⚖️ Por Peso",
+    least_busy: "📉 Menos Ocupado"
+};
+const LEAD_BUSY_WINDOW_HOURS = 24; // Janela usada pela estratégia "menos ocupado"
+
+async function getRotationGroup(tenantId, chatId) {
+    const { data } = await supabase
+        .from('rotation_groups')
+        .select('*')
+        .eq('tenant_id', tenantId)
+        .eq('chat_id', String(chatId))
+        .single();
+    return data || null;
+}
+
+// Failover: membros do tipo instância só participam se a instância existir e estiver online
+function eligibleRotationMembers(group, instances) {
+    return (group.members || []).filter(m => {
+        if (m.type !== "instance") return true;
+        const inst = instances.find(i => i.id === m.instanceId);
+        return inst && inst.isConnected !== false;
+    });
+}
+
+async function pickRotationMember(group, members) {
+    if (group.strategy === "weighted") {
+        const total = members.reduce((sum, m) => sum + (m.weight || 1), 0);
+        let roll = Math.random() * total;
+        for (const m of members) {
+            roll -= (m.weight || 1);
+            if (roll < 0) return m;
+        }
+        return members[members.length - 1];
+    }
+
+    if (group.strategy === "least_busy") {
+        const since = new Date(Date.now() - LEAD_BUSY_WINDOW_HOURS * 60 * 60 * 1000).toISOString();
+        const { data: recent } = await supabase
+            .from('lead_assignments')
+            .select('member_id')
+            .eq('group_id', group.id)
+            .gte('assigned_at', since);
+
+        const load = {};
+        (recent || []).forEach(a => { load[a.member_id] = (load[a.member_id] || 0) + 1; });
+        return members.reduce((best, m) => ((load[m.id] || 0) < (load[best.id] || 0) ? m : best), members[0]);
+    }
+
+    // round_robin
+    const member = members[group.rr_index % members.length];
+    await supabase.from('rotation_groups').update({ rr_index: group.rr_index + 1 }).eq('id', group.id);
+    return member;
+}
+
+// Chamado pelo webhook do Wuzapi a cada mensagem recebida; só atribui na primeira vez que o lead aparece
+async function assignLeadIfNew(tenant, chatId, inst, msg) {
+    const group = await getRotationGroup(tenant.id, chatId);
+    if (!group || !group.active || !(group.members || []).length) return;
+
+    const { data: existing } = await supabase
+        .from('lead_assignments')
+        .select('id')
+        .eq('tenant_id', tenant.id)
+        .eq('chat_id', String(chatId))
+        .eq('lead_phone', msg.phone)
+        .maybeSingle();
+    if (existing) return;
+
+    const members = eligibleRotationMembers(group, await getInstances(tenant.id, chatId));
+    if (members.length === 0) {
+        notifyTenantUser(tenant, chatId, `⚠️ <b>Rodízio de Leads:</b> novo lead <code>${msg.phone}</code> sem atendente disponível (todas as instâncias offline).`);
+        return;
+    }
+
+    const member = await pickRotationMember(group, members);
+
+    const { error } = await supabase.from('lead_assignments').insert({
+        tenant_id: tenant.id,
+        chat_id: String(chatId),
+        group_id: group.id,
+        lead_phone: msg.phone,
+        lead_name: msg.pushName || null,
+        member_id: member.id,
+        member_name: member.name,
+        instance_id: inst.id
+    });
+
+    // 23505 = outra mensagem do mesmo lead já foi atribuída (corrida)
+    if (error) {
+        if (error.code !== '23505') log(`Erro ao registrar lead: ${error.message}`, tenant.name);
+        return;
+    }
+
+    log(`Lead ${msg.phone} atribuído a ${member.name}`, tenant.name);
+
+    const notice = `🎯 <b>Novo Lead Atribuído!</b>\n\n` +
+        `👤 Nome: <b>${escapeHtml(msg.pushName || "Sem nome")}</b>\n` +
+        `📱 Número: <code>${msg.phone}</code>\n` +
+        `🧑‍💼 Atendente: <b>${escapeHtml(member.name)}</b>\n` +
+        `📥 Chegou por: ${escapeHtml(inst.name)}\n\n` +
+        `💬 https://wa.me/${msg.phone}`;
+
+    notifyTenantUser(tenant, member.telegramChatId || chatId, notice);
+
+    // Atendente por número: avisa também no WhatsApp dele pela instância que recebeu o lead
+    if (member.type === "phone" && member.phone) {
+        await callWuzapi("/chat/send/text", "POST", {
+            Phone: member.phone,
+            Body: `🎯 Novo lead para você!\nNome: ${msg.pushName || "Sem nome"}\nNúmero: ${msg.phone}\nhttps://wa.me/${msg.phone}`
+        }, inst.token);
+    }
+}
+
+// -- Programa de Afiliados (Indicações + Extrato) --
+const DEFAULT_AFFILIATE_COMMISSION = 10; // % padrão sobre pagamentos dos indicados
+const AFFILIATE_MIN_PAYOUT = 20;         // Saque mínimo (R$)
+const AFFILIATE_ATTRIBUTION_WINDOW = 60 * 60 * 1000; // Só atribui indicação a usuários criados há menos de 1h
+
+const formatBRL = (value) => `R$ ${Number(value || 0).toFixed(2).replace('.', ',')}`;
+
+function getAffiliateCommissionPct(tenant) {
+    const pct = tenant.affiliate_commission_pct;
+    return (pct === null || pct === undefined) ? DEFAULT_AFFILIATE_COMMISSION : Number(pct);
+}
+
+// Atribui o novo usuário ao afiliado do link /start ref_<chatId>
+async function attributeReferral(tenant, session, chatId, referrerChatId) {
+    if (!referrerChatId || String(referrerChatId) === String(chatId)) return false;
+
+    const createdAt = session.createdAt ? new Date(session.createdAt).getTime() : 0;
+    if (!createdAt || Date.now() - createdAt > AFFILIATE_ATTRIBUTION_WINDOW) return false;
+
+    if (!(await checkUserExists(tenant.id, referrerChatId))) return false;
+
+    const { error } = await supabase.from('affiliate_referrals').insert({
+        tenant_id: tenant.id,
+        referrer_chat_id: String(referrerChatId),
+        referred_chat_id: String(chatId)
+    });
+
+    // 23505 = já foi indicado antes
+    if (error) {
+        if (error.code !== '23505') log(`Erro ao registrar indicação: ${error.message}`, tenant.name);
+        return false;
+    }
+
+    session.referredBy = String(referrerChatId);
+    log(`Indicação: ${chatId} indicado por ${referrerChatId}`, tenant.name);
+    notifyTenantUser(tenant, referrerChatId, "🎉 <b>Nova indicação!</b>\nUm novo usuário entrou pelo seu link de afiliado.");
+    return true;
+}
+
+async function getAffiliateSummary(tenantId, chatId) {
+    const { data: entries } = await supabase
+        .from('affiliate_ledger')
+        .select('type, amount')
+        .eq('tenant_id', tenantId)
+        .eq('chat_id', String(chatId));
+
+    const { count } = await supabase
+        .from('affiliate_referrals')
+        .select('id', { count: 'exact', head: true })
+        .eq('tenant_id', tenantId)
+        .eq('referrer_chat_id', String(chatId));
+
+    let balance = 0;
+    let totalEarned = 0;
+    for (const e of entries || []) {
+        balance += Number(e.amount);
+        if (e.type === "commission") totalEarned += Number(e.amount);
+    }
+
+    return {
+        balance: Math.round(balance * 100) / 100,
+        totalEarned: Math.round(totalEarned * 100) / 100,
+        referralsCount: count || 0
+    };
+}
+
+// Credita comissão ao afiliado de quem pagou. "reference" (id do pagamento) garante idempotência.
+async function creditAffiliateCommission(tenant, buyerChatId, amount, reference) {
+    const { data: referral } = await supabase
+        .from('affiliate_referrals')
+        .select('referrer_chat_id')
+        .eq('tenant_id', tenant.id)
+        .eq('referred_chat_id', String(buyerChatId))
+        .maybeSingle();
+    if (!referral) return null;
+
+    const pct = getAffiliateCommissionPct(tenant);
+    const commission = Math.round(Number(amount) * pct) / 100;
+    if (commission <= 0) return null;
+
+    const { error } = await supabase.from('affiliate_ledger').insert({
+        tenant_id: tenant.id,
+        chat_id: referral.referrer_chat_id,
+        type: "commission",
+        amount: commission,
+        reference: String(reference),
+        related_chat_id: String(buyerChatId)
+    });
+
+    if (error) {
+        if (error.code === '23505') return null; // Já creditada (retry do webhook)
+        throw new Error(`Erro ao creditar comissão: ${error.message}`); // Pedido fica pendente: o retry credita
+    }
+
+    notifyTenantUser(tenant, referral.referrer_chat_id, `💰 <b>Comissão recebida!</b>\nVocê ganhou <b>${formatBRL(commission)}</b> (${pct}%) pelo pagamento de um indicado.`);
+    return commission;
+}
+
+// -- Planos dos Usuários Finais (Venda pelo Tenant) --
+const PLAN_FEATURES = {
+    mass: "📢 Disparo em Massa",
+    rotation: "🔄 Rodízio de Leads"
+};
+const FREE_MAX_INSTANCES = 1;
+
+async function getTenantPlans(tenantId, onlyActive = true) {
+    let query = supabase.from('tenant_plans').select('*').eq('tenant_id', tenantId).order('price');
+    if (onlyActive) query = query.eq('active', true);
+    const { data } = await query;
+    return data || [];
+}
+
+// Expira o plano do usuário quando passa da data (volta para o limite gratuito)
+function refreshPlanStatus(session) {
+    if (!session.isVip || !session.subscriptionExpiry) return false;
+    if (new Date(session.subscriptionExpiry) > new Date()) return false;
+
+    session.isVip = false;
+    session.plan = null;
+    if (!session.whatsapp) session.whatsapp = {};
+    session.whatsapp.maxInstances = FREE_MAX_INSTANCES;
+    return true;
+}
+
+// Sem planos cadastrados o tenant funciona em modo livre (tudo liberado)
+async function userHasFeature(tenant, session, chatId, feature) {
+    if (String(chatId) === String(tenant.owner_chat_id)) return true;
+    const plans = await getTenantPlans(tenant.id);
+    if (plans.length === 0) return true;
+    return Boolean(session.isVip && session.plan?.features?.[feature]);
+}
+
+async function createPlanCharge(tenant, chatId, plan, buyerName) {
+    if (!tenant.syncpay_client_id || !tenant.syncpay_client_secret) {
+        throw new Error("Pagamentos ainda não configurados pelo administrador.");
+    }
+
+    const charge = await createSyncPayCharge({
+        clientId: tenant.syncpay_client_id,
+        clientSecret: tenant.syncpay_client_secret,
+        amount: Number(plan.price),
+        description: `${plan.name} - ${tenant.name}`,
+        webhookUrl: signedWebhookUrl(`/webhook/tenant/${tenant.id}`, `tenant:${tenant.id}`),
+        client: {
+            name: buyerName || `Usuário ${chatId}`,
+            email: `user_${chatId}@venux.com`
+        }
+    });
+
+    const { error } = await supabase.from('plan_orders').insert({
+        id: String(charge.id),
+        tenant_id: tenant.id,
+        chat_id: String(chatId),
+        plan_id: plan.id,
+        amount: Number(plan.price)
+    });
+    if (error) throw new Error(`Erro ao registrar pedido: ${error.message}`);
+
+    return charge;
+}
+
+// Aplica o plano pago na sessão do comprador (soma dias se ainda estiver ativo)
+// orderId torna a aplicação idempotente: retry do webhook (ex: falhou depois de aplicar) não soma os dias de novo
+const APPLIED_ORDERS_KEPT = 20;
+
+async function applyPlanToSession(tenant, chatId, plan, orderId) {
+    const session = await getSession(tenant.id, chatId);
+    if (orderId && (session.appliedOrders || []).includes(String(orderId))) return session;
+
+    let baseDate = new Date();
+    if (session.isVip && session.subscriptionExpiry && new Date(session.subscriptionExpiry) > baseDate) {
+        baseDate = new Date(session.subscriptionExpiry);
+    }
+    baseDate.setDate(baseDate.getDate() + plan.duration_days);
+
+    session.isVip = true;
+    session.subscriptionExpiry = baseDate.toISOString();
+    session.plan = { id: plan.id, name: plan.name, features: plan.features || {} };
+    if (!session.whatsapp) session.whatsapp = {};
+    session.whatsapp.maxInstances = plan.max_instances;
+    if (orderId) session.appliedOrders = [...(session.appliedOrders || []), String(orderId)].slice(-APPLIED_ORDERS_KEPT);
+
+    await saveSession(tenant.id, chatId, session);
+    return session;
+}
+
+// -- Régua de Cobrança (Lembretes, Carência e Bloqueio Automático) --
+const BILLING_REMINDER_DAYS = [7, 3, 1];
+const BILLING_GRACE_DAYS = Number(process.env.BILLING_GRACE_DAYS || 3);
+const BILLING_SUMMARY_HOUR = Number(process.env.BILLING_SUMMARY_HOUR || 8); // Hora do resumo diário ao Master
+const BILLING_CHECK_INTERVAL = 60 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// active | grace (vencido, mas ainda funcionando) | expired (passou da carência)
+function getBillingState(tenant, now = new Date()) {
+    if (!tenant.expiration_date) return "active";
+    const expiration = new Date(tenant.expiration_date);
+    if (now <= expiration) return "active";
+    if (now - expiration <= BILLING_GRACE_DAYS * DAY_MS) return "grace";
+    return "expired";
+}
+
+function getGraceDeadline(tenant) {
+    return new Date(new Date(tenant.expiration_date).getTime() + BILLING_GRACE_DAYS * DAY_MS);
+}
+
+// Registra o aviso; retorna false se já tinha sido enviado (unique)
+async function claimBillingNotice(tenant, kind) {
+    const { error } = await supabase.from('billing_notices').insert({
+        tenant_id: tenant.id,
+        kind,
+        expiration_date: new Date(tenant.expiration_date).toISOString()
+    });
+    if (error && error.code !== '23505') log(`Erro ao registrar aviso ${kind}: ${error.message}`, "ERROR");
+    return !error;
+}
+
+// Mensagem ao dono pelo próprio bot do tenant, com Pix pronto quando possível
+async function sendBillingMessage(tenant, headline) {
+    const botInstance = activeBots.get(String(tenant.id));
+    if (!botInstance || !tenant.owner_chat_id) return;
+
+    let pixCode = null;
+    let value = null;
+    try {
+        const charge = await generateSubscriptionCharge(tenant);
+        pixCode = charge.qrcode_text;
+        value = charge.value;
+    } catch (e) {
+        log(`Régua: não foi possível gerar Pix para ${tenant.name}: ${e.message}`, "ERROR");
+    }
+
+    try {
+        await botInstance.telegram.sendMessage(tenant.owner_chat_id,
+            headline + (value ? `\n\nValor: <b>${formatBRL(value)}</b>\nCopie o código abaixo e pague no seu banco:` : "\n\nUse /admin → Renovar Assinatura."),
+            { parse_mode: "HTML" });
+        if (pixCode) await botInstance.telegram.sendMessage(tenant.owner_chat_id, `<code>${pixCode}</code>`, { parse_mode: "HTML" });
+    } catch (e) {
+        log(`Régua: erro ao avisar ${tenant.name}: ${e.message}`, "ERROR");
+    }
+}
+
+// Bloqueia primeiro: se o update falhar (lança), nada é registrado e o próximo ciclo tenta de novo
+async function blockExpiredTenant(tenant) {
+    await storage.tenants.update(tenant.id, { is_active: false });
+
+    if (await claimBillingNotice(tenant, "blocked")) {
+        await sendBillingMessage(tenant,
+            `🚫 <b>Assinatura bloqueada</b>\n\nO período de carência terminou e seu bot foi desativado.\n` +
+            `Pague o Pix abaixo para reativar automaticamente.`);
+    }
+
+    await stopTenantBot(tenant.id, { disable: true });
+    log(`Régua: tenant bloqueado por falta de pagamento`, tenant.name);
+}
+
+async function runBillingCycle() {
+    const { data: tenants, error } = await supabase.from('tenants').select('*').eq('is_active', true);
+    if (error) {
+        log(`Régua: erro ao carregar tenants: ${error.message}`, "ERROR");
+        return;
+    }
+
+    const now = new Date();
+    for (const tenant of tenants || []) {
+        if (!tenant.expiration_date) continue;
+        if (CLUSTER_ENABLED && !activeBots.has(String(tenant.id))) continue; // Cada réplica cuida dos bots que roda
+
+        try {
+            const state = getBillingState(tenant, now);
+
+            if (state === "active") {
+                const daysLeft = Math.ceil((new Date(tenant.expiration_date) - now) / DAY_MS);
+                if (BILLING_REMINDER_DAYS.includes(daysLeft) && await claimBillingNotice(tenant, `reminder_${daysLeft}`)) {
+                    await sendBillingMessage(tenant,
+                        `⏰ <b>Sua assinatura vence em ${daysLeft} dia(s)!</b>\n` +
+                        `Vencimento: <b>${new Date(tenant.expiration_date).toLocaleDateString("pt-BR")}</b>\n` +
+                        `Renove agora para não ter o bot interrompido.`);
+                }
+            } else if (state === "grace") {
+                if (await claimBillingNotice(tenant, "grace")) {
+                    await sendBillingMessage(tenant,
+                        `⚠️ <b>Sua assinatura venceu!</b>\n` +
+                        `Seu bot continua funcionando até <b>${getGraceDeadline(tenant).toLocaleDateString("pt-BR")}</b> (carência).\n` +
+                        `Depois disso ele será bloqueado automaticamente.`);
+                }
+            } else {
+                await blockExpiredTenant(tenant);
+            }
+        } catch (e) {
+            log(`Régua: erro processando ${tenant.name}: ${e.message}`, "ERROR");
+        }
+    }
+
+    await sendDailyBillingSummary(now);
+}
+
+// Resumo diário ao Master: vencendo, pagos e bloqueados (uma vez por dia, a partir de BILLING_SUMMARY_HOUR)
+async function sendDailyBillingSummary(now = new Date()) {
+    if (!masterBotInstance || !process.env.MASTER_ADMIN_ID || !isClusterLeader) return;
+    if (now.getHours() < BILLING_SUMMARY_HOUR) return;
+
+    const today = now.toISOString().substring(0, 10);
+    if (await storage.config.get('billing_last_summary') === today) return;
+    await storage.config.set('billing_last_summary', today);
+
+    const since = new Date(now.getTime() - DAY_MS).toISOString();
+    const in7Days = new Date(now.getTime() + 7 * DAY_MS);
+
+    const { data: tenants } = await supabase.from('tenants').select('id, name, expiration_date, is_active');
+    const byId = new Map((tenants || []).map(t => [String(t.id), t]));
+
+    const expiring = (tenants || []).filter(t => t.is_active && t.expiration_date &&
+        new Date(t.expiration_date) > now && new Date(t.expiration_date) <= in7Days);
+    const inGrace = (tenants || []).filter(t => t.is_active && getBillingState(t, now) === "grace");
+
+    const { data: paid } = await supabase.from('payments').select('tenant_id, amount').eq('status', 'paid').gte('paid_at', since);
+    const { data: blocked } = await supabase.from('billing_notices').select('tenant_id').eq('kind', 'blocked').gte('sent_at', since);
+
+    const nameOf = (id) => byId.get(String(id))?.name || `#${id}`;
+    const list = (items, fmt) => items.length ? items.map(fmt).join("\n") : "<i>Nenhum</i>";
+    const totalPaid = (paid || []).reduce((sum, p) => sum + Number(p.amount), 0);
+
+    const text = `📊 <b>Resumo Diário de Cobrança</b> (${now.toLocaleDateString("pt-BR")})\n\n` +
+        `⏰ <b>Vencendo em 7 dias (${expiring.length}):</b>\n` +
+        list(expiring, t => `• ${t.name} — ${new Date(t.expiration_date).toLocaleDateString("pt-BR")}`) + "\n\n" +
+        `⚠️ <b>Em carência (${inGrace.length}):</b>\n` +
+        list(inGrace, t => `• ${t.name} — bloqueio em ${getGraceDeadline(t).toLocaleDateString("pt-BR")}`) + "\n\n" +
+        `💰 <b>Pagaram (24h): ${(paid || []).length} • ${formatBRL(totalPaid)}</b>\n` +
+        list(paid || [], p => `• ${nameOf(p.tenant_id)} — ${formatBRL(p.amount)}`) + "\n\n" +
+        `🚫 <b>Bloqueados (24h): ${(blocked || []).length}</b>\n` +
+        list(blocked || [], b => `• ${nameOf(b.tenant_id)}`);
+
+    masterBotInstance.telegram.sendMessage(process.env.MASTER_ADMIN_ID, text, { parse_mode: "HTML" })
+        .catch(e => log(`Erro ao enviar resumo diário: ${e.message}`, "ERROR"));
+}
+
+function startBillingScheduler() {
+    const tick = () => runBillingCycle().catch(e => log(`Régua: erro no ciclo: ${e.message}`, "ERROR"));
+    setTimeout(tick, 60 * 1000); // Primeiro ciclo após os bots subirem
+    setInterval(tick, BILLING_CHECK_INTERVAL);
+}
+
+// -- Estatísticas do SaaS (Receita, Clientes e Pagamentos) --
+// Usado pelo Master Bot (📊 Estatísticas) e pela API /admin/stats
+const STATS_MONTHS = 6;            // meses no histórico de renovações/churn
+const STATS_EXPIRING_DAYS = 7;     // janela de "vencendo em breve"
+const STATS_RECENT_PAYMENTS = 20;
+const STATS_LIST_LIMIT = 30;       // itens por lista na mensagem do Master Bot (lista completa no CSV)
+
+const monthKey = (date) => new Date(date).toISOString().slice(0, 7); // YYYY-MM
+
+function getTenantStatus(tenant) {
+    if (!tenant.is_active) return "blocked";
+    return getBillingState(tenant); // active | grace | expired
+}
+
+async function listAllPayments(filter = (q) => q) {
+    const payments = [];
+    for (let from = 0; ; from += 1000) {
+        const { data: rows, error } = await filter(supabase.from('payments').select('id, tenant_id, amount, status, created_at, paid_at'))
+            .order('created_at', { ascending: false })
+            .range(from, from + 999);
+        if (error) throw new Error(error.message);
+        payments.push(...(rows || []));
+        if (!rows || rows.length < 1000) break;
+    }
+    return payments;
+}
+
+async function buildRevenueStats() {
+    const now = new Date();
+    const [{ data: tenants, error }, globalPrice] = await Promise.all([
+        supabase.from('tenants').select('id, name, is_active, expiration_date, subscription_price, max_users').order('id'),
+        getGlobalPrice()
+    ]);
+    if (error) throw new Error(error.message);
+
+    const since = new Date(now.getFullYear(), now.getMonth() - (STATS_MONTHS - 1), 1);
+    const [paid, recent] = await Promise.all([
+        listAllPayments(q => q.eq('status', 'paid').gte('paid_at', since.toISOString())),
+        supabase.from('payments').select('id, tenant_id, amount, status, created_at, paid_at')
+            .order('created_at', { ascending: false }).limit(STATS_RECENT_PAYMENTS)
+    ]);
+
+    const names = new Map((tenants || []).map(t => [t.id, t.name]));
+    const counts = { total: 0, active: 0, grace: 0, expired: 0, blocked: 0 };
+    let mrr = 0;
+    const tenantRows = [];
+
+    for (const t of tenants || []) {
+        const status = getTenantStatus(t);
+        const price = t.subscription_price || globalPrice;
+        counts.total++;
+        counts[status]++;
+        // Assinatura é mensal (30 dias): MRR = soma dos preços de quem ainda está pagando/em carência
+        if (status === "active" || status === "grace") mrr += Number(price);
+
+        tenantRows.push({
+            id: t.id,
+            name: t.name,
+            status,
+            price: Number(price),
+            expiration_date: t.expiration_date,
+            users: await getTenantUserCount(t.id),
+            max_users: t.max_users || 10
+        });
+    }
+
+    // Renovações = pagamentos confirmados no mês; churn = clientes hoje vencidos/bloqueados cujo vencimento caiu no mês
+    const months = [];
+    for (let i = 0; i < STATS_MONTHS; i++) {
+        const key = monthKey(new Date(since.getFullYear(), since.getMonth() + i, 15));
+        months.push({ month: key, renewals: 0, revenue: 0, churned: 0 });
+    }
+    const byMonth = new Map(months.map(m => [m.month, m]));
+    for (const p of paid) {
+        const m = byMonth.get(monthKey(p.paid_at));
+        if (!m) continue;
+        m.renewals++;
+        m.revenue += Number(p.amount);
+    }
+    for (const t of tenantRows) {
+        if ((t.status === "expired" || t.status === "blocked") && t.expiration_date) {
+            const m = byMonth.get(monthKey(t.expiration_date));
+            if (m) m.churned++;
+        }
+    }
+
+    const horizon = now.getTime() + STATS_EXPIRING_DAYS * DAY_MS;
+    const upcoming = tenantRows
+        .filter(t => t.status === "active" && t.expiration_date && new Date(t.expiration_date).getTime() <= horizon)
+        .sort((a, b) => new Date(a.expiration_date) - new Date(b.expiration_date))
+        .map(t => ({ id: t.id, name: t.name, expiration_date: t.expiration_date, price: t.price }));
+
+    return {
+        generated_at: now.toISOString(),
+        global_price: globalPrice,
+        mrr,
+        tenants: counts,
+        months,
+        upcoming_expirations: upcoming,
+        users_by_tenant: tenantRows.map(t => ({ id: t.id, name: t.name, users: t.users, max_users: t.max_users })),
+        tenant_list: tenantRows,
+        recent_payments: (recent.data || []).map(p => ({ ...p, amount: Number(p.amount), tenant_name: names.get(p.tenant_id) || null }))
+    };
+}
+
+// CSV com ";" (padrão do Excel em pt-BR)
+function toCsv(columns, rows) {
+    const escape = (value) => {
+        const str = value === null || value === undefined ? "" : String(value);
+        return /[";\n\r]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+    };
+    return [columns.join(";"), ...rows.map(r => columns.map(c => escape(r[c])).join(";"))].join("\n");
+}
+
+async function buildStatsCsv(type) {
+    if (type === "payments") {
+        const [{ data: tenants }, payments] = await Promise.all([
+            supabase.from('tenants').select('id, name'),
+            listAllPayments()
+        ]);
+        const names = new Map((tenants || []).map(t => [t.id, t.name]));
+        return toCsv(
+            ["id", "tenant_id", "tenant_name", "amount", "status", "created_at", "paid_at"],
+            payments.map(p => ({ ...p, tenant_name: names.get(p.tenant_id) || "" }))
+        );
+    }
+
+    const stats = await buildRevenueStats();
+    return toCsv(["id", "name", "status", "price", "expiration_date", "users", "max_users"], stats.tenant_list);
+}
+
+// -- Atendimento Humano (Tickets de Suporte) --
+// Mensagens do cliente vão para o chat do dono (ou grupo de suporte); respostas em "reply" voltam ao cliente
+// Só pedido explícito abre ticket: a palavra sozinha na mensagem ou "falar com/quero/chama" + atendente/humano/pessoa.
+// "Vocês dão suporte a X?" ou "o atendente de ontem..." seguem com a IA
+const HANDOFF_RE = /^\s*(atendente|atendimento humano|humano|suporte|falar com (o |a )?suporte)\s*[.!?]*\s*$|\b(falar|conversar|quero|queria|preciso|chama|chamar|chame|passa|transfere|transfira)\b[^.?!\n]{0,25}?\b(atendente|humano|pessoa( real)?|atendimento humano)\b/i;
+const TICKET_HISTORY_LIMIT = 15;
+
+// Nome e mensagens do cliente aparecem em textos com parse_mode HTML
+function escapeHtml(text) {
+    return String(text ?? "").replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+}
+
+// Corta texto HTML do Telegram em linha inteira (cortar no meio de uma tag faz o parse_mode recusar a mensagem)
+const TELEGRAM_TEXT_LIMIT = 4096;
+function truncateLines(text, note, limit = TELEGRAM_TEXT_LIMIT) {
+    if (text.length <= limit) return text;
+    const cut = text.lastIndexOf("\n", limit - note.length - 1);
+    return `${text.slice(0, Math.max(cut, 0))}\n${note}`;
+}
+
+function getSupportChatId(tenant) {
+    return tenant.support_chat_id || tenant.owner_chat_id;
+}
+
+function formatTicketCustomer(ticket) {
+    const channel = ticket.channel === "whatsapp" ? "WhatsApp" : "Telegram";
+    return `${escapeHtml(ticket.customer_name || formatContactKey(ticket.contact_key))} (${channel})`;
+}
+
+async function getOpenTicket(tenantId, contactKey) {
+    const { data } = await supabase
+        .from('support_tickets')
+        .select('*')
+        .eq('tenant_id', tenantId)
+        .eq('contact_key', contactKey)
+        .eq('status', 'open')
+        .maybeSingle();
+    return data || null;
+}
+
+async function addTicketMessage(ticket, direction, content, relay = {}) {
+    await supabase.from('support_messages').insert({
+        ticket_id: ticket.id,
+        tenant_id: ticket.tenant_id,
+        direction, // in (cliente) | out (suporte) | system
+        content,
+        relay_chat_id: relay.chatId ? String(relay.chatId) : null,
+        relay_message_id: relay.messageId || null
+    });
+    await supabase.from('support_tickets').update({ last_message_at: new Date().toISOString() }).eq('id', ticket.id);
+}
+
+// Abre (ou reaproveita) o ticket do contato e avisa o suporte
+async function openSupportTicket(tenant, { contactKey, channel, customerName }) {
+    const existing = await getOpenTicket(tenant.id, contactKey);
+    if (existing) return { ticket: existing, created: false };
+
+    const { data: ticket, error } = await supabase
+        .from('support_tickets')
+        .insert({ tenant_id: tenant.id, contact_key: contactKey, channel, customer_name: customerName || null, status: 'open' })
+        .select()
+        .single();
+
+    if (error) {
+        // Índice único (1 ticket aberto por contato): outra requisição abriu primeiro
+        if (error.code === '23505') return { ticket: await getOpenTicket(tenant.id, contactKey), created: false };
+        throw new Error(error.message);
+    }
+
+    await announceSupportTicket(tenant, ticket);
+
+    log(`Ticket #${ticket.id} aberto (${contactKey})`, tenant.name);
+    return { ticket, created: true };
+}
+
+async function announceSupportTicket(tenant, ticket) {
+    const botInstance = activeBots.get(String(tenant.id));
+    if (!botInstance) {
+        // Bot rodando em outra réplica: ela avisa o suporte
+        if (CLUSTER_ENABLED) publishClusterEvent({ type: "ticket_opened", tenantId: tenant.id, ticketId: ticket.id });
+        return;
+    }
+
+    const supportChatId = getSupportChatId(tenant);
+    const sent = await botInstance.telegram.sendMessage(supportChatId,
+        `🎫 <b>Novo atendimento #${ticket.id}</b>\nCliente: ${formatTicketCustomer(ticket)}\n\n` +
+        `Responda (reply) às mensagens deste ticket para falar com o cliente. A IA fica pausada até encerrar.`,
+        { parse_mode: "HTML", ...Markup.inlineKeyboard([[Markup.button.callback("✅ Encerrar", `ticket_close_${ticket.id}`)]]) }
+    ).catch(e => log(`Erro ao avisar suporte: ${e.message}`, tenant.name));
+    await addTicketMessage(ticket, "system", "Atendimento aberto", { chatId: supportChatId, messageId: sent?.message_id });
+}
+
+// Mensagem do cliente -> chat de suporte
+async function forwardToSupport(tenant, ticket, { text, copyFrom = null }) {
+    const botInstance = activeBots.get(String(tenant.id));
+    if (!botInstance) {
+        if (CLUSTER_ENABLED) publishClusterEvent({ type: "ticket_forward", tenantId: tenant.id, ticketId: ticket.id, text, copyFrom });
+        return;
+    }
+
+    const supportChatId = getSupportChatId(tenant);
+    const header = await botInstance.telegram.sendMessage(supportChatId,
+        `💬 <b>#${ticket.id}</b> — ${formatTicketCustomer(ticket)}\n\n${escapeHtml(text)}`, { parse_mode: "HTML" });
+    await addTicketMessage(ticket, "in", text, { chatId: supportChatId, messageId: header.message_id });
+
+    // Mídia do Telegram: copia o arquivo original logo abaixo do cabeçalho
+    if (copyFrom) {
+        const copy = await botInstance.telegram.copyMessage(supportChatId, copyFrom.chatId, copyFrom.messageId, { reply_to_message_id: header.message_id });
+        await addTicketMessage(ticket, "system", "[mídia]", { chatId: supportChatId, messageId: copy.message_id });
+    }
+}
+
+async function findTicketByRelay(tenantId, chatId, messageId) {
+    const { data: row } = await supabase
+        .from('support_messages')
+        .select('ticket_id')
+        .eq('tenant_id', tenantId)
+        .eq('relay_chat_id', String(chatId))
+        .eq('relay_message_id', messageId)
+        .maybeSingle();
+    if (!row) return null;
+
+    const { data: ticket } = await supabase.from('support_tickets').select('*').eq('id', row.ticket_id).single();
+    return ticket || null;
+}
+
+// Entrega um texto ao cliente pelo canal de origem do ticket
+async function sendToTicketCustomer(tenant, ticket, text) {
+    const [channel, ...rest] = ticket.contact_key.split(":");
+
+    if (channel === "tg") {
+        const botInstance = activeBots.get(String(tenant.id));
+        if (!botInstance) {
+            if (!CLUSTER_ENABLED) throw new Error("Bot offline");
+            publishClusterEvent({ type: "ticket_reply", tenantId: tenant.id, ticketId: ticket.id, text });
+            return;
+        }
+        await botInstance.telegram.sendMessage(rest[0], text);
+        return;
+    }
+
+    const [instId, phone] = rest;
+    const { data: inst } = await supabase.from('whatsapp_instances').select('token').eq('id', instId).maybeSingle();
+    if (!inst) throw new Error("Instância do WhatsApp não existe mais");
+    const res = await callWuzapi("/chat/send/text", "POST", { Phone: phone, Body: text }, inst.token);
+    if (!res.success) throw new Error(res.message || res.text || "Falha no Wuzapi");
+}
+
+async function closeSupportTicket(tenant, ticketId) {
+    const { data: closed } = await supabase
+        .from('support_tickets')
+        .update({ status: 'closed', closed_at: new Date().toISOString() })
+        .eq('id', ticketId)
+        .eq('tenant_id', tenant.id)
+        .eq('status', 'open')
+        .select();
+    if (!closed || closed.length === 0) return null; // Já estava encerrado
+
+    const ticket = closed[0];
+    await addTicketMessage(ticket, "system", "Atendimento encerrado");
+    await sendToTicketCustomer(tenant, ticket, "✅ Atendimento encerrado. Obrigado pelo contato! Voltei a responder automaticamente 🤖")
+        .catch(e => log(`Erro ao avisar cliente do ticket #${ticket.id}: ${e.message}`, tenant.name));
+
+    log(`Ticket #${ticket.id} encerrado`, tenant.name);
+    return ticket;
+}
+
+// Para o bot local (e libera o lease); se ele roda em outra réplica, avisa para ela reler o tenant.
+// disable: tenant bloqueado/removido -> apaga o webhook para o Telegram parar de entregar updates
+async function stopTenantBot(tenantId, { release = true, disable = false } = {}) {
+    const botInstance = activeBots.get(String(tenantId));
+    if (botInstance) {
+        try { botInstance.stop(); } catch (e) { } // Em modo webhook o bot não está "rodando" (stop lança)
+        if (disable && TELEGRAM_MODE === "webhook") {
+            await botInstance.telegram.deleteWebhook().catch(e => log(`Erro ao remover webhook do tenant ${tenantId}: ${e.message}`, "ERROR"));
+        }
+        activeBots.delete(String(tenantId));
+    } else if (CLUSTER_ENABLED) {
+        publishClusterEvent({ type: "tenant", tenantId });
+    }
+    activeTenants.delete(String(tenantId));
+    botHealth.delete(String(tenantId));
+
+    if (CLUSTER_ENABLED && release) {
+        await storage.cluster.release(`tenant:${tenantId}`, WORKER_ID).catch(e => log(`Cluster: erro ao liberar tenant ${tenantId}: ${e.message}`, "ERROR"));
+    }
+}
+
+// -- Saúde dos Bots --
+// Métricas em memória de cada bot rodando neste processo (em cluster, cada réplica conhece só os seus).
+// Token recusado pelo Telegram (revogado no BotFather / digitado errado) fica marcado no tenant
+// (token_invalid_at) e o bot não sobe de novo até o token mudar ou o Master mandar tentar outra vez.
+const botHealth = new Map(); // String(tenantId) -> { status, mode, startedAt, lastUpdateAt, updates, errors, lastError, lastErrorAt }
+
+function isTenantRunnable(tenant) {
+    return !!tenant?.is_active && !tenant.token_invalid_at;
+}
+
+// 401 = token revogado; 404 no getMe/setWebhook = token que não existe
+function isTokenRejected(err) {
+    return err?.code === 401 || (err?.code === 404 && ["getMe", "setWebhook"].includes(err.on?.method));
+}
+
+function recordBotError(tenant, err) {
+    const health = botHealth.get(String(tenant.id));
+    if (!health) return;
+    health.errors++;
+    health.lastError = String(err?.message || err).substring(0, 200);
+    health.lastErrorAt = new Date();
+}
+
+// Avisa o Master; em cluster o bot master roda só no líder, então a réplica que detectou repassa
+function notifyMaster(text) {
+    if (masterBotInstance && isClusterLeader && MASTER_ADMIN_ID) {
+        masterBotInstance.telegram.sendMessage(MASTER_ADMIN_ID, text, { parse_mode: "HTML" })
+            .catch(e => log(`Erro ao avisar o Master: ${e.message}`, "ERROR"));
+    } else if (CLUSTER_ENABLED) {
+        publishClusterEvent({ type: "master_notify", text });
+    }
+}
+
+async function markTokenInvalid(tenant, err) {
+    const reason = String(err?.description || err?.message || err).substring(0, 200);
+    log(`Token recusado pelo Telegram (${reason}). Bot parado até o token ser corrigido.`, tenant.name);
+
+    const changes = { token_invalid_at: new Date().toISOString(), token_error: reason };
+    await storage.tenants.update(tenant.id, changes).catch(e => log(`Erro ao marcar token inválido: ${e.message}`, "ERROR"));
+    Object.assign(tenant, changes);
+    await stopTenantBot(tenant.id);
+
+    // O dono não pode ser avisado pelo próprio bot (o token não funciona mais)
+    notifyMaster(`🔑 <b>Token inválido</b>\n\nO Telegram recusou o token do bot de <b>${escapeHtml(tenant.name)}</b> (ID ${tenant.id}).\n` +
+        `Motivo: <code>${escapeHtml(reason)}</code>\n\nO bot ficará parado até o token ser trocado ou você tentar de novo em 🩺 Saúde dos Bots.`);
+}
+
+// -- SaaS Bot Factory --
+async function startTenantBot(tenant) {
+    decryptTenant(tenant);
+
+    // Em cluster, só o dono do lease roda o bot; os demais avisam o dono para recarregar
+    if (CLUSTER_ENABLED && !(await storage.cluster.claim(`tenant:${tenant.id}`, WORKER_ID, CLUSTER_LEASE_TTL))) {
+        publishClusterEvent({ type: "tenant", tenantId: tenant.id });
+        return;
+    }
+
+    const previousBot = activeBots.get(String(tenant.id));
+    if (previousBot) {
+        log(`Bot já está rodando. Reiniciando...`, tenant.name);
+        try { previousBot.stop(); } catch (e) { }
+        // Token trocado: o bot antigo continuaria mandando updates para a URL antiga
+        if (previousBot.telegram.token !== tenant.telegram_token) {
+            previousBot.telegram.deleteWebhook().catch(() => { });
+        }
+    }
+
+    const initialUserCount = await getTenantUserCount(tenant.id);
+    log(`Iniciando Bot [${tenant.name}]... (Usuários: ${initialUserCount}/${tenant.max_users || 10})`, "SYSTEM");
+
+    const bot = new Telegraf(tenant.telegram_token);
+    activeTenants.set(String(tenant.id), tenant);
+    const health = { status: "starting", mode: TELEGRAM_MODE, startedAt: new Date(), lastUpdateAt: null, updates: 0, errors: 0, lastError: null, lastErrorAt: null };
+    botHealth.set(String(tenant.id), health);
+
+    // Sem catch o Telegraf relança o erro e o long polling do bot morre
+    bot.catch((err, ctx) => {
+        log(`Erro no update ${ctx?.update?.update_id}: ${err.message}`, tenant.name);
+        recordBotError(tenant, err);
+        if (err?.code === 401 && activeBots.get(String(tenant.id)) === bot) markTokenInvalid(tenant, err);
+    });
+
+    bot.use((ctx, next) => {
+        health.updates++;
+        health.lastUpdateAt = new Date();
+        return next();
+    });
+
+    // Inject Tenant Context Middleware
+    bot.use(async (ctx, next) => {
+        ctx.tenant = tenant;
+
+        // Grupo de suporte (ou o dono configurando um) não conta como usuário nem ganha sessão
+        const isSupportGroup = ctx.chat?.type !== "private" && (
+            String(ctx.chat?.id) === String(tenant.support_chat_id) ||
+            (String(ctx.from?.id) === String(tenant.owner_chat_id) && /^\/definir_suporte/.test(ctx.message?.text || ""))
+        );
+        if (isSupportGroup) {
+            ctx.session = { stage: "READY" };
+            ctx.save = async () => { };
+            return next();
+        }
+
+        // -- VALIDAÇÃO DE VENCIMENTO (libera durante a carência) --
+        if (getBillingState(tenant) === "expired" && String(ctx.chat.id) !== tenant.owner_chat_id) {
+            return ctx.reply("🚫 <b>Seu plano venceu!</b>\nEntre em contato com o suporte para renovar.", { parse_mode: "HTML" });
+        }
+
+        // -- VALIDAÇÃO DE LIMITE DE USUÁRIOS --
+        // Se for o dono, sempre libera. A vaga é reservada no banco (atômico); sem vaga, entra na fila
+        if (String(ctx.chat.id) !== tenant.owner_chat_id) {
+            const displayName = ctx.from?.username ? `@${ctx.from.username}` : ctx.from?.first_name || null;
+            const seat = await claimTenantSeat(tenant, ctx.chat.id, displayName);
+
+            if (seat === "waitlist") {
+                const position = await getWaitlistPosition(tenant, ctx.chat.id);
+                return ctx.reply(`⏳ <b>Limite de Usuários Atingido!</b>\n\nEste bot atingiu o limite de ${tenant.max_users || 10} usuários ativos contratados.\n` +
+                    `Você entrou na <b>fila de espera</b>${position ? ` (posição ${position})` : ""} e será avisado aqui quando abrir uma vaga.`, { parse_mode: "HTML" });
+            }
+        }
+
+        ctx.session = await getSession(tenant.id, ctx.chat.id);
+
+        ctx.save = async () => {
+            await saveSession(tenant.id, ctx.chat.id, ctx.session); // Save session state
+        };
+
+        // Plano do usuário vencido volta para o limite gratuito
+        let dirty = refreshPlanStatus(ctx.session);
+
+        // Última atividade (filtro de inativos da transmissão); quem volta a falar deixa de contar como bloqueado
+        const lastSeen = ctx.session.lastSeenAt ? new Date(ctx.session.lastSeenAt).getTime() : 0;
+        if (Date.now() - lastSeen > LAST_SEEN_THROTTLE || ctx.session.blockedAt) {
+            ctx.session.lastSeenAt = new Date().toISOString();
+            ctx.session.blockedAt = null;
+            dirty = true;
+        }
+        if (dirty) await ctx.save();
+
+        return next();
+    });
+
+    // Recursos do plano conferidos em todo botão/etapa que cria ou altera algo, não só no menu:
+    // botão antigo (plano vencido) ou callback forjado não passam. Listar, pausar e cancelar seguem livres
+    const PLAN_FEATURE_GATES = [
+        { feature: "mass", label: "Disparo em Massa", callback: /^mass_(new|toggle_|confirm|resume_)/, stage: /^MASS_/ },
+        { feature: "rotation", label: "Rodízio de Leads", callback: /^rot_(?!abort$|history$)/, stage: /^ROT_/ }
+    ];
+    bot.use(async (ctx, next) => {
+        const data = ctx.callbackQuery?.data;
+        const stage = ctx.message ? ctx.session?.stage : null;
+        const gate = PLAN_FEATURE_GATES.find(g => (data && g.callback.test(data)) || (stage && g.stage.test(stage)));
+        if (!gate || await userHasFeature(ctx.tenant, ctx.session, ctx.chat.id, gate.feature)) return next();
+
+        const denied = `🔒 Recurso disponível apenas em planos com ${gate.label}. Veja em 💎 Seu Plano.`;
+        if (data) return ctx.answerCbQuery(denied, { show_alert: true });
+        ctx.session.stage = "READY";
+        await ctx.save();
+        return ctx.reply(denied);
+    });
+
+    // Definir Menu de Comandos do Bot (Para o Tenant e Usuários)
+    bot.telegram.setMyCommands([
+        { command: "start", description: "Iniciar atendimento" },
+        { command: "admin", description: "Painel do Dono (Configurações)" },
+        { command: "id", description: "Ver meu ID do Telegram" },
+        { command: "reset", description: "Reiniciar conversa com a IA" },
+        { command: "encerrar", description: "Encerrar atendimento humano" }
+    ]).catch(() => { }); // Token recusado é tratado no launch/setWebhook (sem catch derrubaria o processo)
+
+    // --- OWNER DASHBOARD ---
+    const isOwner = (ctx) => String(ctx.chat.id) === String(ctx.tenant.owner_chat_id);
+
+    // --- ATENDIMENTO HUMANO (Tickets) ---
+    // Registrado antes dos wizards do dono: um "reply" no chat de suporte é sempre resposta ao cliente
+    const isSupportChat = (ctx) => isOwner(ctx) || String(ctx.chat.id) === String(ctx.tenant.support_chat_id);
+
+    async function showTickets(ctx, status = "open") {
+        const { data: tickets } = await supabase
+            .from('support_tickets')
+            .select('*')
+            .eq('tenant_id', ctx.tenant.id)
+            .eq('status', status)
+            .order(status === "open" ? 'last_message_at' : 'closed_at', { ascending: false })
+            .limit(20);
+
+        let text = status === "open" ? "🎧 <b>Atendimentos Abertos</b>\n\n" : "📜 <b>Últimos Atendimentos Encerrados</b>\n\n";
+        if (!tickets || tickets.length === 0) text += "<i>Nenhum atendimento.</i>\n";
+        text += `\n📍 Destino: ${ctx.tenant.support_chat_id ? `grupo <code>${ctx.tenant.support_chat_id}</code>` : "chat do dono"}\n` +
+            "<i>Para usar um grupo da equipe, adicione o bot nele e envie /definir_suporte (no privado, volta para o dono).</i>";
+
+        const buttons = (tickets || []).map(t => [
+            Markup.button.callback(`#${t.id} ${t.customer_name || formatContactKey(t.contact_key)}`.substring(0, 60), `ticket_view_${t.id}`)
+        ]);
+        buttons.push([status === "open"
+            ? Markup.button.callback("📜 Encerrados", "tickets_closed")
+            : Markup.button.callback("🎧 Abertos", "tickets_open")]);
+
+        await safeEdit(ctx, text, Markup.inlineKeyboard(buttons));
+    }
+
+    bot.command("tickets", async (ctx) => {
+        if (!isSupportChat(ctx)) return;
+        await showTickets(ctx);
+    });
+
+    bot.action(/^tickets_(open|closed)$/, async (ctx) => {
+        if (!isSupportChat(ctx)) return;
+        await ctx.answerCbQuery();
+        await showTickets(ctx, ctx.match[1]);
+    });
+
+    bot.action(/^ticket_view_(\d+)$/, async (ctx) => {
+        if (!isSupportChat(ctx)) return;
+        await ctx.answerCbQuery();
+
+        const { data: ticket } = await supabase.from('support_tickets').select('*').eq('id', ctx.match[1]).eq('tenant_id', ctx.tenant.id).single();
+        if (!ticket) return ctx.reply("❌ Atendimento não encontrado.");
+
+        const { data: msgs } = await supabase
+            .from('support_messages')
+            .select('direction, content, created_at')
+            .eq('ticket_id', ticket.id)
+            .neq('direction', 'system')
+            .order('created_at', { ascending: false })
+            .limit(TICKET_HISTORY_LIMIT);
+
+        let text = `🎫 <b>Atendimento #${ticket.id}</b> (${ticket.status === "open" ? "🟢 Aberto" : "⚪ Encerrado"})\n` +
+            `Cliente: ${formatTicketCustomer(ticket)}\n` +
+            `Aberto em: ${new Date(ticket.created_at).toLocaleString("pt-BR")}\n\n`;
+        for (const m of (msgs || []).reverse()) {
+            text += `${m.direction === "in" ? "👤" : "🎧"} ${escapeHtml(m.content).substring(0, 300)}\n`;
+        }
+
+        const buttons = [];
+        if (ticket.status === "open") buttons.push([Markup.button.callback("✅ Encerrar", `ticket_close_${ticket.id}`)]);
+        buttons.push([Markup.button.callback("🔙 Voltar", ticket.status === "open" ? "tickets_open" : "tickets_closed")]);
+
+        await safeEdit(ctx, text, Markup.inlineKeyboard(buttons));
+    });
+
+    bot.action(/^ticket_close_(\d+)$/, async (ctx) => {
+        if (!isSupportChat(ctx)) return;
+        const ticket = await closeSupportTicket(ctx.tenant, ctx.match[1]);
+        await ctx.answerCbQuery(ticket ? "✅ Atendimento encerrado!" : "Já estava encerrado.");
+        if (ticket) await ctx.reply(`✅ Atendimento #${ticket.id} encerrado. A IA voltou a responder esse cliente.`);
+    });
+
+    bot.command("definir_suporte", async (ctx) => {
+        if (String(ctx.from?.id) !== String(ctx.tenant.owner_chat_id)) return;
+
+        const supportChatId = ctx.chat.type === "private" ? null : String(ctx.chat.id);
+        const { error } = await supabase.from('tenants').update({ support_chat_id: supportChatId }).eq('id', ctx.tenant.id);
+        if (error) return ctx.reply(`❌ Erro: ${error.message}`);
+
+        ctx.tenant.support_chat_id = supportChatId;
+        await ctx.reply(supportChatId
+            ? "✅ Este grupo agora recebe os atendimentos. Responda (reply) às mensagens para falar com o cliente."
+            : "✅ Os atendimentos voltaram a chegar no seu chat privado.");
+    });
+
+    // Cliente encerra o próprio atendimento
+    bot.command("encerrar", async (ctx) => {
+        const ticket = await getOpenTicket(ctx.tenant.id, `tg:${ctx.chat.id}`);
+        if (!ticket) return ctx.reply("ℹ️ Você não tem atendimento aberto.");
+        await closeSupportTicket(ctx.tenant, ticket.id);
+        const botInstance = activeBots.get(String(ctx.tenant.id));
+        botInstance?.telegram.sendMessage(getSupportChatId(ctx.tenant), `ℹ️ O cliente encerrou o atendimento #${ticket.id}.`).catch(() => { });
+    });
+
+    // Reply no chat de suporte -> cliente
+    bot.on("message", async (ctx, next) => {
+        if (!isSupportChat(ctx)) return next();
+        const inSupportGroup = String(ctx.chat.id) === String(ctx.tenant.support_chat_id);
+
+        const replyTo = ctx.message.reply_to_message;
+        const ticket = replyTo ? await findTicketByRelay(ctx.tenant.id, ctx.chat.id, replyTo.message_id) : null;
+        if (!ticket) return inSupportGroup ? undefined : next(); // Conversa interna do grupo é ignorada
+
+        if (ticket.status !== "open") return ctx.reply(`⚠️ O atendimento #${ticket.id} já foi encerrado.`);
+        if (!ctx.message.text) return ctx.reply("⚠️ Só mensagens de texto são enviadas ao cliente.");
+
+        try {
+            await sendToTicketCustomer(ctx.tenant, ticket, `🎧 ${ctx.message.text}`);
+            await addTicketMessage(ticket, "out", ctx.message.text);
+            await ctx.react("👍").catch(() => { });
+        } catch (e) {
+            log(`Erro ao responder ticket #${ticket.id}: ${e.message}`, ctx.tenant.name);
+            await ctx.reply(`❌ Não foi possível entregar: ${e.message}`);
+        }
+    });
+
+    async function renderOwnerDashboard(ctx) {
+        if (!isOwner(ctx)) return;
+
+        const tenant = ctx.tenant;
+
+        let status = tenant.is_active ? "✅ Ativo" : "❌ Inativo (Banido)";
+        const billingState = getBillingState(tenant);
+        if (billingState === "grace") {
+            status = `⚠️ Vencido (Carência até ${getGraceDeadline(tenant).toLocaleDateString("pt-BR")})`;
+        } else if (billingState === "expired") {
+            status = "🚫 Vencido (Bloqueado)";
+        }
+
+        const syncPayStatus = (tenant.syncpay_client_id && tenant.syncpay_client_secret) ? "✅ Configurado" : "⚠️ Pendente";
+
+        // Status da IA
+        const aiProvider = AI_PROVIDERS[tenant.ai_provider] || AI_PROVIDERS.openai;
+        let aiKeyStatus = tenant.openai_api_key ? `✅ Própria (<code>${maskSecret(tenant.openai_api_key)}</code>)` : "🔴 Não Configurada (IA Off)";
+        if (tenant.ai_provider === "compatible") {
+            aiKeyStatus = tenant.ai_base_url ? `✅ Endpoint próprio (${tenant.ai_base_url})` : "🔴 Endpoint não configurado (IA Off)";
+        }
+        const aiModel = getAIModel(tenant);
+
+        const maxUsers = tenant.max_users || 10;
+        const currentUsers = await getTenantUserCount(tenant.id);
+
+        // Falha na consulta aparece no painel em vez de mostrar zero
+        const usageLines = await Promise.all([
+            getUsageTotals(startOfToday(), tenant.id),
+            getUsageTotals(startOfMonth(), tenant.id)
+        ]).then(([today, month]) =>
+            `   ├ Hoje: ${today.messages} msgs, ${today.tokens} tokens (~${formatUSD(today.cost)})\n` +
+            `   └ Mês: ${month.messages} msgs, ${month.tokens} tokens (~${formatUSD(month.cost)})\n`
+        ).catch(e => {
+            log(e.message, tenant.name);
+            return `   └ Consumo: ⚠️ indisponível no momento\n`;
+        });
+
+        const text = `👑 <b>Painel do Dono (${tenant.name})</b>\n\n` +
+            `📊 <b>Status:</b> ${status}\n` +
+            `👥 <b>Usuários:</b> ${currentUsers}/${maxUsers}\n` +
+            `💳 <b>Pagamento (SyncPay):</b> ${syncPayStatus}\n` +
+            `🧠 <b>Inteligência Artificial:</b>\n` +
+            `   ├ Provedor: ${aiProvider.label}\n` +
+            `   ├ Key: ${aiKeyStatus}\n` +
+            `   ├ Modelo: ${aiModel}\n` +
+            usageLines +
+            `🔑 <b>Token Bot:</b> <code>${maskSecret(tenant.telegram_token)}</code>\n\n` +
+            `<i>Configure suas credenciais abaixo:</i>`;
+
+        const buttons = [
+            [Markup.button.callback("💳 Configurar SyncPay", "owner_setup_syncpay")],
+            [Markup.button.callback("🧠 Configurar IA", "owner_setup_ai")],
+            [Markup.button.callback("🎭 Personalizar Prompt", "owner_setup_prompt")],
+            [Markup.button.callback("📚 Base de Conhecimento", "owner_kb"), Markup.button.callback("📈 Consumo da IA", "owner_usage")],
+            [Markup.button.callback("💎 Planos à Venda", "owner_plans"), Markup.button.callback("🤝 Afiliados", "owner_affiliates")],
+            [Markup.button.callback("🎧 Atendimentos", "tickets_open"), Markup.button.callback("📢 Transmissão", "owner_broadcast")],
+            [Markup.button.callback("👥 Usuários e Vagas", "owner_users_0")],
+            [Markup.button.callback("💸 Renovar Assinatura", "owner_renew_sub")],
+            [Markup.button.callback("🔄 Recarregar Bot", "owner_reload_bot")]
+        ];
+
+        await ctx.reply(text, { parse_mode: "HTML", ...Markup.inlineKeyboard(buttons) });
+    }
+
+    bot.command("admin", async (ctx) => {
+        if (!isOwner(ctx)) return ctx.reply("⛔ Acesso restrito ao dono do bot.");
+        await renderOwnerDashboard(ctx);
+    });
+
+    bot.action("owner_menu", async (ctx) => {
+        if (!isOwner(ctx)) return;
+        await ctx.answerCbQuery();
+        await renderOwnerDashboard(ctx);
+    });
+
+    // --- SETUP SYNCPAY ---
+    bot.action("owner_setup_syncpay", async (ctx) => {
+        if (!isOwner(ctx)) return;
+        ctx.session.stage = "OWNER_WAIT_SYNCPAY_ID";
+        await ctx.save();
+        await ctx.reply("💳 <b>Configuração SyncPay (Passo 1/2)</b>\n\nPor favor, envie o seu <b>Client ID</b> da SyncPay:", { parse_mode: "HTML" });
+    });
+
+    // --- SETUP IA ---
+    bot.action("owner_setup_ai", async (ctx) => {
+        if (!isOwner(ctx)) return;
+        await ctx.answerCbQuery();
+        const buttons = Object.entries(AI_PROVIDERS).map(([id, p]) => [Markup.button.callback(p.label, `ai_provider_${id}`)]);
+        buttons.push([Markup.button.callback("🔙 Voltar", "owner_menu")]);
+        await ctx.reply("🧠 <b>Configurar IA</b>\n\nEscolha o provedor:", { parse_mode: "HTML", ...Markup.inlineKeyboard(buttons) });
+    });
+
+    bot.action(/^ai_provider_(openai|gemini|compatible)$/, async (ctx) => {
+        if (!isOwner(ctx)) return;
+        const provider = ctx.match[1];
+        await ctx.answerCbQuery();
+
+        ctx.session.temp_ai = { provider };
+        if (provider === "compatible") {
+            ctx.session.stage = "OWNER_WAIT_AI_BASE_URL";
+            await ctx.save();
+            return ctx.reply(
+                "🌐 <b>Endpoint Compatível com OpenAI</b>\n\n" +
+                "Envie a URL base da API (ex: <code>http://localhost:11434/v1</code> no Ollama ou <code>http://localhost:1234/v1</code> no LM Studio).",
+                { parse_mode: "HTML" }
+            );
+        }
+
+        ctx.session.stage = "OWNER_WAIT_AI_KEY";
+        await ctx.save();
+        await ctx.reply(
+            "⚠️ <b>Atenção:</b> Para a IA funcionar, você precisa usar a <b>SUA</b> API Key.\n\n" +
+            (provider === "gemini"
+                ? "Envie agora a sua chave do Google AI Studio (começa com AIza...).\n"
+                : "Envie agora a sua chave (começa com sk-...).\n") +
+            "Se não enviar, a inteligência do bot ficará desligada.",
+            { parse_mode: "HTML" }
+        );
+    });
+
+    // --- BASE DE CONHECIMENTO (RAG) ---
+    async function showKnowledgeMenu(ctx) {
+        const docs = await listKnowledgeDocuments(ctx.tenant.id);
+        const model = getEmbeddingModel(ctx.tenant);
+
+        let text = "📚 <b>Base de Conhecimento</b>\n\n" +
+            "Envie catálogos, tabelas de preço e FAQs (PDF, DOCX ou TXT). A IA consulta esses documentos para responder e cita a fonte.\n\n";
+        if (docs.length === 0) text += "<i>Nenhum documento enviado.</i>";
+
+        const buttons = [];
+        for (const d of docs) {
+            const outdated = d.embedding_model !== model ? " ⚠️ outro provedor, reenvie" : "";
+            text += `📄 <b>${d.name}</b> (${d.chunk_count} trechos)${outdated}\n`;
+            buttons.push([Markup.button.callback(`🗑️ ${d.name}`.substring(0, 60), `owner_kb_del_${d.id}`)]);
+        }
+        buttons.push([Markup.button.callback("➕ Enviar Documento", "owner_kb_add")]);
+        buttons.push([Markup.button.callback("🔙 Voltar", "owner_menu")]);
+
+        await safeEdit(ctx, text, { parse_mode: "HTML", ...Markup.inlineKeyboard(buttons) });
+    }
+
+    bot.action("owner_kb", async (ctx) => {
+        if (!isOwner(ctx)) return;
+        await ctx.answerCbQuery();
+        await showKnowledgeMenu(ctx);
+    });
+
+    bot.action("owner_kb_add", async (ctx) => {
+        if (!isOwner(ctx)) return;
+        await ctx.answerCbQuery();
+        if (!getAIClient(ctx.tenant)) return ctx.reply("⚠️ Configure a IA antes de enviar documentos.");
+
+        ctx.session.stage = "OWNER_KB_WAIT_DOC";
+        await ctx.save();
+        await ctx.reply("📎 Envie o arquivo (PDF, DOCX ou TXT, até 10MB).\nUse /cancelar para voltar.");
+    });
+
+    bot.action(/^owner_kb_del_(\d+)$/, async (ctx) => {
+        if (!isOwner(ctx)) return;
+        await deleteKnowledgeDocument(ctx.tenant.id, ctx.match[1]);
+        await ctx.answerCbQuery("🗑️ Documento removido!");
+        await showKnowledgeMenu(ctx);
+    });
+
+    bot.on("document", async (ctx, next) => {
+        if (ctx.session?.stage !== "OWNER_KB_WAIT_DOC" || !isOwner(ctx)) return next();
+
+        const doc = ctx.message.document;
+        if (doc.file_size > KB_MAX_FILE_SIZE) return ctx.reply("❌ Arquivo maior que 10MB.");
+
+        await ctx.reply("⏳ Lendo e indexando o documento...");
+        try {
+            const { buffer } = await downloadTelegramFile(ctx.telegram, doc.file_id, { save: false });
+            const saved = await ingestKnowledgeDocument(ctx.tenant, {
+                name: doc.file_name || "documento",
+                mime: doc.mime_type || "",
+                buffer
+            });
+
+            ctx.session.stage = "READY";
+            await ctx.save();
+            log(`Documento indexado: ${saved.name} (${saved.chunk_count} trechos)`, ctx.tenant.name);
+            await ctx.reply(`✅ <b>${saved.name}</b> adicionado (${saved.chunk_count} trechos).`, { parse_mode: "HTML" });
+            return showKnowledgeMenu(ctx);
+        } catch (e) {
+            log(`Erro ao indexar documento: ${e.message}`, ctx.tenant.name);
+            return ctx.reply(`❌ ${e.message}\nEnvie outro arquivo ou /cancelar.`);
+        }
+    });
+
+    // --- USUÁRIOS E VAGAS (Libera vagas removendo usuários) ---
+    async function showSeats(ctx, page = 0) {
+        const tenant = ctx.tenant;
+        const maxUsers = tenant.max_users || 10;
+        const [used, { count: waiting }, { data: seats }] = await Promise.all([
+            getTenantUserCount(tenant.id),
+            supabase.from('tenant_users').select('chat_id', { count: 'exact', head: true }).eq('tenant_id', tenant.id).eq('status', 'waitlist'),
+            // Menos ativos primeiro: são os candidatos naturais a liberar vaga
+            supabase.from('tenant_users').select('chat_id, display_name, onboarded, last_seen_at')
+                .eq('tenant_id', tenant.id).eq('status', 'active')
+                .order('last_seen_at', { ascending: true })
+                .range(page * SEATS_PAGE_SIZE, page * SEATS_PAGE_SIZE + SEATS_PAGE_SIZE)
+        ]);
+
+        const rows = (seats || []).slice(0, SEATS_PAGE_SIZE);
+        const text = "👥 <b>Usuários e Vagas</b>\n\n" +
+            `🪑 Vagas ocupadas: <b>${used}/${maxUsers}</b>\n` +
+            `⏳ Fila de espera: <b>${waiting || 0}</b>\n\n` +
+            `<i>Conta como ativo quem falou com o bot nos últimos ${USER_ACTIVE_DAYS} dias (sem concluir o /start: ${USER_PENDING_HOURS}h). ` +
+            "Toque em um usuário para liberar a vaga dele; a fila é promovida na hora.</i>";
+
+        const buttons = rows.map(u => [Markup.button.callback(
+            `❌ ${u.display_name || u.chat_id} · ${new Date(u.last_seen_at).toLocaleDateString("pt-BR")}${u.onboarded ? "" : " (pendente)"}`.substring(0, 60),
+            `owner_user_rm_${u.chat_id}_${page}`
+        )]);
+        const nav = [];
+        if (page > 0) nav.push(Markup.button.callback("⬅️", `owner_users_${page - 1}`));
+        if ((seats || []).length > SEATS_PAGE_SIZE) nav.push(Markup.button.callback("➡️", `owner_users_${page + 1}`));
+        if (nav.length) buttons.push(nav);
+        buttons.push([Markup.button.callback("🔙 Voltar", "owner_menu")]);
+
+        await safeEdit(ctx, text, Markup.inlineKeyboard(buttons));
+    }
+
+    bot.command("usuarios", async (ctx) => {
+        if (!isOwner(ctx)) return;
+        await showSeats(ctx);
+    });
+
+    bot.action(/^owner_users_(\d+)$/, async (ctx) => {
+        if (!isOwner(ctx)) return;
+        await ctx.answerCbQuery();
+        await showSeats(ctx, Number(ctx.match[1]));
+    });
+
+    bot.action(/^owner_user_rm_(-?\d+)_(\d+)$/, async (ctx) => {
+        if (!isOwner(ctx)) return;
+        const removed = await removeTenantSeat(ctx.tenant, ctx.match[1]);
+        const promoted = removed ? await promoteWaitlist(ctx.tenant) : 0;
+        await ctx.answerCbQuery(removed ? `✅ Vaga liberada!${promoted ? ` ${promoted} da fila entrou.` : ""}` : "Usuário já não ocupava vaga.");
+        await showSeats(ctx, Number(ctx.match[2]));
+    });
+
+    // --- TRANSMISSÃO PARA OS USUÁRIOS (Wizard: Conteúdo -> Botões -> Público -> Prévia) ---
+    const BROADCAST_STATUS_LABELS = { running: "▶️ Enviando", completed: "✅ Concluída", cancelled: "⛔ Cancelada" };
+
+    async function showBroadcastMenu(ctx) {
+        const { data: recent } = await supabase
+            .from('owner_broadcasts')
+            .select('*')
+            .eq('tenant_id', ctx.tenant.id)
+            .order('created_at', { ascending: false })
+            .limit(5);
+
+        let text = "📢 <b>Transmissão</b>\n\nEnvie um aviso para os usuários do seu bot.\n\n";
+        const buttons = [[Markup.button.callback("➕ Nova Transmissão", "owner_bc_new")]];
+        for (const bc of recent || []) {
+            text += `<b>#${bc.id}</b> ${BROADCAST_STATUS_LABELS[bc.status] || bc.status} — ${describeAudience(bc.audience)}\n` +
+                `   ✅ ${bc.sent_count}/${bc.total} | ❌ ${bc.failed_count} | 🚫 ${bc.blocked_count}\n`;
+            if (bc.status === "running") buttons.push([Markup.button.callback(`⛔ Cancelar #${bc.id}`, `owner_bc_cancel_${bc.id}`)]);
+        }
+        buttons.push([Markup.button.callback("🔄 Atualizar", "owner_broadcast"), Markup.button.callback("🔙 Voltar", "owner_menu")]);
+
+        await safeEdit(ctx, text, Markup.inlineKeyboard(buttons));
+    }
+
+    async function showBroadcastAudiencePicker(ctx) {
+        const buttons = Object.entries(BROADCAST_AUDIENCES).map(([id, label]) => [Markup.button.callback(label, `owner_bc_aud_${id}`)]);
+        buttons.push([Markup.button.callback("❌ Cancelar", "owner_bc_abort")]);
+        return ctx.reply("👥 <b>Para quem enviar?</b>", { parse_mode: "HTML", ...Markup.inlineKeyboard(buttons) });
+    }
+
+    async function showBroadcastPreview(ctx) {
+        const draft = ctx.session.bcDraft;
+        const total = await countBroadcastAudience(ctx.tenant, draft.audience);
+        draft.total = total;
+        ctx.session.stage = "READY";
+        await ctx.save();
+
+        await ctx.reply("👀 <b>Prévia da mensagem:</b>", { parse_mode: "HTML" });
+        try {
+            await sendBroadcastContent(ctx.telegram, ctx.chat.id, draft.content);
+        } catch (e) {
+            return ctx.reply(`❌ A mensagem não pôde ser enviada: ${e.message}\nComece de novo.`);
+        }
+
+        const buttons = [[Markup.button.callback(`🚀 Enviar para ${total}`, "owner_bc_confirm")], [Markup.button.callback("❌ Cancelar", "owner_bc_abort")]];
+        if (total === 0) buttons.shift();
+        return ctx.reply(
+            `👥 Público: <b>${describeAudience(draft.audience)}</b>\n📊 Destinatários: <b>${total}</b>` +
+            (total === 0 ? "\n\n⚠️ Nenhum usuário nesse filtro." : ""),
+            { parse_mode: "HTML", ...Markup.inlineKeyboard(buttons) }
+        );
+    }
+
+    bot.action("owner_broadcast", async (ctx) => {
+        if (!isOwner(ctx)) return;
+        await ctx.answerCbQuery();
+        await showBroadcastMenu(ctx);
+    });
+
+    bot.action("owner_bc_new", async (ctx) => {
+        if (!isOwner(ctx)) return;
+        await ctx.answerCbQuery();
+        ctx.session.bcDraft = { content: null, audience: null };
+        ctx.session.stage = "OWNER_BC_WAIT_CONTENT";
+        await ctx.save();
+        await ctx.reply("📝 Envie o <b>texto</b> da transmissão, ou uma <b>foto/vídeo/arquivo</b> com legenda.\nUse /cancelar para desistir.", { parse_mode: "HTML" });
+    });
+
+    bot.on(["photo", "video", "document", "animation"], async (ctx, next) => {
+        if (ctx.session?.stage !== "OWNER_BC_WAIT_CONTENT" || !isOwner(ctx)) return next();
+
+        const msg = ctx.message;
+        let media;
+        if (msg.photo) media = { type: "photo", fileId: msg.photo[msg.photo.length - 1].file_id };
+        else if (msg.video) media = { type: "video", fileId: msg.video.file_id };
+        else if (msg.animation) media = { type: "animation", fileId: msg.animation.file_id };
+        else media = { type: "document", fileId: msg.document.file_id };
+
+        ctx.session.bcDraft.content = { text: msg.caption || "", media, buttons: [] };
+        ctx.session.stage = "OWNER_BC_WAIT_BUTTONS";
+        await ctx.save();
+        return ctx.reply(BROADCAST_BUTTONS_HELP, { parse_mode: "HTML" });
+    });
+
+    bot.action(/^owner_bc_aud_(all|vip|expired|inactive)$/, async (ctx) => {
+        if (!isOwner(ctx) || !ctx.session.bcDraft?.content) return ctx.answerCbQuery("❌ Sessão expirada.");
+        await ctx.answerCbQuery();
+
+        const type = ctx.match[1];
+        if (type === "inactive") {
+            ctx.session.stage = "OWNER_BC_WAIT_DAYS";
+            await ctx.save();
+            return ctx.reply("💤 Inativos há quantos dias? (ex: 15)");
+        }
+        ctx.session.bcDraft.audience = { type };
+        return showBroadcastPreview(ctx);
+    });
+
+    bot.action("owner_bc_confirm", async (ctx) => {
+        if (!isOwner(ctx)) return;
+        const draft = ctx.session.bcDraft;
+        if (!draft?.content || !draft.audience) return ctx.answerCbQuery("❌ Sessão expirada. Comece de novo.");
+
+        const { data: bc, error } = await supabase.from('owner_broadcasts').insert({
+            tenant_id: ctx.tenant.id,
+            content: draft.content,
+            audience: draft.audience,
+            total: draft.total || 0,
+            status: "running"
+        }).select().single();
+        if (error) return ctx.reply(`❌ Erro: ${error.message}`);
+
+        ctx.session.bcDraft = null;
+        await ctx.save();
+        await ctx.answerCbQuery("🚀 Enviando!");
+
+        runOwnerBroadcast(ctx.tenant, bc.id);
+        await ctx.reply(`🚀 <b>Transmissão #${bc.id} iniciada!</b>\nVocê receberá o relatório ao final.`, { parse_mode: "HTML" });
+    });
+
+    bot.action("owner_bc_abort", async (ctx) => {
+        if (!isOwner(ctx)) return;
+        ctx.session.bcDraft = null;
+        ctx.session.stage = "READY";
+        await ctx.save();
+        await ctx.answerCbQuery("Cancelado");
+        await showBroadcastMenu(ctx);
+    });
+
+    bot.action(/^owner_bc_cancel_(\d+)$/, async (ctx) => {
+        if (!isOwner(ctx)) return;
+        await supabase.from('owner_broadcasts')
+            .update({ status: "cancelled", finished_at: new Date().toISOString() })
+            .eq('id', ctx.match[1])
+            .eq('tenant_id', ctx.tenant.id)
+            .eq('status', 'running');
+        await ctx.answerCbQuery("⛔ Transmissão cancelada");
+        await showBroadcastMenu(ctx);
+    });
+
+    // --- SETUP PROMPT ---
+    bot.action("owner_setup_prompt", async (ctx) => {
+        if (!isOwner(ctx)) return;
+        ctx.session.stage = "OWNER_WAIT_PROMPT";
+        await ctx.save();
+        await ctx.reply(
+            "🎭 <b>Personalizar Personalidade (Prompt)</b>\n\n" +
+            "Como você quer que o bot aja? (Vendedor, Suporte, Amigo...)\n\n" +
+            "<i>Atual:</i> " + (ctx.tenant.system_prompt || 'Padrão') + "\n\n" +
+            "Envie o novo texto de instrução agora:",
+            { parse_mode: "HTML" }
+        );
+    });
+
+    bot.action("owner_reload_bot", async (ctx) => {
+        if (!isOwner(ctx)) return;
+        await ctx.answerCbQuery("🔄 Reiniciando...", { show_alert: true });
+        // Recarrega do banco para pegar mudanças de API Key/Model confirmadas
+        try {
+            const data = await storage.tenants.get(tenant.id);
+            if (data) {
+                Object.assign(tenant, decryptTenant(data)); // Atualiza objeto em memória
+                await ctx.reply("✅ Configurações recarregadas com sucesso!");
+                return renderOwnerDashboard(ctx);
+            }
+        } catch (e) {
+            await ctx.reply("❌ Erro ao recarregar.");
+        }
+    });
+
+    // Capture Text Handling for Wizard
+    bot.on("text", async (ctx, next) => {
+        // Ignorar se não for dono
+        if (!isOwner(ctx)) return next();
+
+        const text = ctx.message.text;
+
+        // Se for comando (começa com /), deixa passar para os handlers de comando
+        // EXCETO /cancelar, que queremos que resete o wizard aqui mesmo
+        if (text.startsWith("/") && text !== "/cancelar") {
+            return next();
+        }
+
+        if (text === "/cancelar") {
+            ctx.session.stage = "READY";
+            clearWizardSecrets(ctx.tenant.id, ctx.chat.id);
+            await ctx.save();
+            await ctx.reply("❌ Operação cancelada.");
+            return renderOwnerDashboard(ctx);
+        }
+
+        const stage = ctx.session.stage;
+
+        // --- SYNCPAY FLOW ---
+        if (stage === "OWNER_WAIT_SYNCPAY_ID") {
+            setWizardSecret(ctx.tenant.id, ctx.chat.id, "syncpay_id", ctx.message.text.trim());
+            ctx.session.stage = "OWNER_WAIT_SYNCPAY_SECRET";
+            await ctx.save();
+            return ctx.reply("💳 <b>Passo 2/2</b>\n\nAgora envie o seu <b>Client Secret</b> da SyncPay:", { parse_mode: "HTML" });
+        }
+
+        if (stage === "OWNER_WAIT_SYNCPAY_SECRET") {
+            const secret = ctx.message.text.trim();
+            await ctx.deleteMessage().catch(() => { }); // Não deixa o segredo no histórico do chat
+            const clientId = getWizardSecret(ctx.tenant.id, ctx.chat.id, "syncpay_id");
+            if (!clientId) {
+                ctx.session.stage = "READY";
+                await ctx.save();
+                return ctx.reply("❌ Sessão expirada. Comece de novo em Configurar SyncPay.");
+            }
+
+            // Salvar no Banco SaaS (Tabela tenants), secret criptografado
+            const { error } = await supabase
+                .from('tenants')
+                .update(encryptTenantFields({
+                    syncpay_client_id: clientId,
+                    syncpay_client_secret: secret
+                }))
+                .eq('id', ctx.tenant.id);
+
+            if (error) return ctx.reply(`❌ Erro: ${error.message}`);
+
+            ctx.session.stage = "READY";
+            clearWizardSecrets(ctx.tenant.id, ctx.chat.id);
+            await ctx.save();
+
+            // Atualizar memória
+            ctx.tenant.syncpay_client_id = clientId;
+            ctx.tenant.syncpay_client_secret = secret;
+
+            await ctx.reply(`✅ SyncPay configurado! (Secret: <code>${maskSecret(secret)}</code>)`, { parse_mode: "HTML" });
+            return renderOwnerDashboard(ctx);
+        }
+
+        // --- TRANSMISSÃO ---
+        if (stage === "OWNER_BC_WAIT_CONTENT") {
+            ctx.session.bcDraft = { ...ctx.session.bcDraft, content: { text, media: null, buttons: [] } };
+            ctx.session.stage = "OWNER_BC_WAIT_BUTTONS";
+            await ctx.save();
+            return ctx.reply(BROADCAST_BUTTONS_HELP, { parse_mode: "HTML" });
+        }
+
+        if (stage === "OWNER_BC_WAIT_BUTTONS") {
+            if (text.trim().toLowerCase() !== "pular") {
+                const buttons = [];
+                for (const line of text.split("\n").map(l => l.trim()).filter(Boolean)) {
+                    const [label, url] = line.split("|").map(p => p.trim());
+                    if (!label || !/^https?:\/\/\S+$/.test(url || "")) {
+                        return ctx.reply(`❌ Linha inválida: "${line}"\nUse <code>Texto | https://link</code> ou envie "pular".`, { parse_mode: "HTML" });
+                    }
+                    buttons.push({ text: label.substring(0, 40), url });
+                }
+                if (buttons.length > BROADCAST_MAX_BUTTONS) return ctx.reply(`❌ Máximo de ${BROADCAST_MAX_BUTTONS} botões.`);
+                ctx.session.bcDraft.content.buttons = buttons;
+            }
+            ctx.session.stage = "OWNER_BC_WAIT_AUDIENCE";
+            await ctx.save();
+            return showBroadcastAudiencePicker(ctx);
+        }
+
+        if (stage === "OWNER_BC_WAIT_AUDIENCE") return showBroadcastAudiencePicker(ctx);
+
+        if (stage === "OWNER_BC_WAIT_DAYS") {
+            const days = parseInt(text);
+            if (isNaN(days) || days < 1) return ctx.reply("❌ Valor inválido. Digite um número de dias (ex: 15).");
+            ctx.session.bcDraft.audience = { type: "inactive", days };
+            return showBroadcastPreview(ctx);
+        }
+
+        if (stage === "OWNER_KB_WAIT_DOC") {
+            return ctx.reply("📎 Envie o arquivo como documento (PDF, DOCX ou TXT) ou /cancelar.");
+        }
+
+        // --- IA FLOW (Provedor -> [URL] -> Key -> Modelo) ---
+        if (stage === "OWNER_WAIT_AI_BASE_URL") {
+            const baseUrl = text.trim().replace(/\/$/, "");
+            if (!/^https?:\/\/\S+$/.test(baseUrl)) return ctx.reply("❌ URL inválida. Deve começar com http:// ou https://. Tente novamente ou /cancelar.");
+            const endpointError = await checkAIEndpoint(baseUrl).catch(() => "URL inválida.");
+            if (endpointError) return ctx.reply(`❌ ${endpointError}\nEnvie outra URL ou /cancelar.`);
+
+            ctx.session.temp_ai = { ...ctx.session.temp_ai, baseUrl };
+            ctx.session.stage = "OWNER_WAIT_AI_KEY";
+            await ctx.save();
+            return ctx.reply("🔑 Envie a API Key do endpoint.\nSe ele não exige key, envie <b>-</b>.", { parse_mode: "HTML" });
+        }
+
+        if (stage === "OWNER_WAIT_AI_KEY") {
+            const temp = ctx.session.temp_ai;
+            if (!temp?.provider) {
+                ctx.session.stage = "READY";
+                await ctx.save();
+                return ctx.reply("❌ Sessão expirada. Comece de novo.");
+            }
+
+            let key = text.trim();
+            await ctx.deleteMessage().catch(() => { }); // Não deixa a key no histórico do chat
+            if (temp.provider === "compatible" && key === "-") key = null;
+            if (temp.provider === "openai" && !key.startsWith("sk-")) return ctx.reply("❌ Key inválida. Deve começar com 'sk-'. Tente novamente ou /cancelar.");
+
+            await ctx.reply("⏳ Validando credenciais...");
+            const check = await validateAICredentials({ provider: temp.provider, apiKey: key, baseUrl: temp.baseUrl });
+            if (!check.ok) return ctx.reply(`❌ Não foi possível validar: ${check.error}\nEnvie outra key ou /cancelar.`);
+
+            setWizardSecret(ctx.tenant.id, ctx.chat.id, "ai_key", key);
+            ctx.session.temp_ai = { ...temp, models: check.models.slice(0, AI_MODEL_BUTTONS) };
+            ctx.session.stage = "OWNER_WAIT_AI_MODEL";
+            await ctx.save();
+            return showAIModelPicker(ctx);
+        }
+
+        if (stage === "OWNER_WAIT_AI_MODEL") {
+            const model = text.trim();
+            if (!model || model.length > 100) return ctx.reply("❌ Nome de modelo inválido. Tente novamente ou /cancelar.");
+            return saveAIConfig(ctx, model);
+        }
+
+        // --- NOVO PLANO (Wizard) ---
+        if (stage === "OWNER_WAIT_PLAN_NAME") {
+            ctx.session.temp_plan.name = text.trim().substring(0, 60);
+            ctx.session.stage = "OWNER_WAIT_PLAN_PRICE";
+            await ctx.save();
+            return ctx.reply("💲 <b>Passo 2/5:</b> Digite o <b>preço</b> (ex: 49.90):", { parse_mode: "HTML" });
+        }
+
+        if (stage === "OWNER_WAIT_PLAN_PRICE") {
+            const price = parseFloat(text.replace(",", "."));
+            if (isNaN(price) || price <= 0) return ctx.reply("❌ Valor inválido. Digite um número (ex: 49.90).");
+            ctx.session.temp_plan.price = price;
+            ctx.session.stage = "OWNER_WAIT_PLAN_DAYS";
+            await ctx.save();
+            return ctx.reply("⏳ <b>Passo 3/5:</b> Quantos <b>dias</b> dura o plano? (ex: 30)", { parse_mode: "HTML" });
+        }
+
+        if (stage === "OWNER_WAIT_PLAN_DAYS") {
+            const days = parseInt(text);
+            if (isNaN(days) || days <= 0) return ctx.reply("❌ Valor inválido. Digite um número inteiro (ex: 30).");
+            ctx.session.temp_plan.duration_days = days;
+            ctx.session.stage = "OWNER_WAIT_PLAN_INSTANCES";
+            await ctx.save();
+            return ctx.reply("📱 <b>Passo 4/5:</b> Quantas <b>instâncias de WhatsApp</b> o plano permite? (ex: 3)", { parse_mode: "HTML" });
+        }
+
+        if (stage === "OWNER_WAIT_PLAN_INSTANCES") {
+            const max = parseInt(text);
+            if (isNaN(max) || max <= 0) return ctx.reply("❌ Valor inválido. Digite um número inteiro (ex: 3).");
+            ctx.session.temp_plan.max_instances = max;
+            ctx.session.stage = "OWNER_WAIT_PLAN_FEATURES";
+            await ctx.save();
+
+            const { text: pickerText, keyboard } = renderPlanFeaturePicker(ctx.session.temp_plan);
+            return ctx.reply(pickerText, { parse_mode: "HTML", ...keyboard });
+        }
+
+        // --- LIMITES DE CONSUMO DA IA ---
+        if (stage === "OWNER_WAIT_MSG_CAP" || stage === "OWNER_WAIT_TOKEN_CAP") {
+            const value = parseInt(text);
+            if (isNaN(value) || value < 0) return ctx.reply("❌ Valor inválido. Digite um número inteiro (0 = sem limite).");
+
+            const column = stage === "OWNER_WAIT_MSG_CAP" ? "user_daily_message_limit" : "user_daily_token_limit";
+            const finalValue = value === 0 ? null : value;
+            const { error } = await supabase.from('tenants').update({ [column]: finalValue }).eq('id', ctx.tenant.id);
+            if (error) return ctx.reply(`❌ Erro: ${error.message}`);
+
+            ctx.tenant[column] = finalValue;
+            ctx.session.stage = "READY";
+            await ctx.save();
+
+            await ctx.reply(`✅ Limite atualizado: <b>${finalValue || "sem limite"}</b>`, { parse_mode: "HTML" });
+            return showOwnerUsage(ctx);
+        }
+
+        // --- COMISSÃO DE AFILIADOS ---
+        if (stage === "OWNER_WAIT_COMMISSION") {
+            const pct = parseFloat(text.replace(",", "."));
+            if (isNaN(pct) || pct < 0 || pct > 100) return ctx.reply("❌ Valor inválido. Digite um número de 0 a 100.");
+
+            const { error } = await supabase.from('tenants').update({ affiliate_commission_pct: pct }).eq('id', ctx.tenant.id);
+            if (error) return ctx.reply(`❌ Erro: ${error.message}`);
+
+            ctx.tenant.affiliate_commission_pct = pct;
+            ctx.session.stage = "READY";
+            await ctx.save();
+
+            await ctx.reply(`✅ Comissão de afiliados definida em <b>${pct}%</b>.`, { parse_mode: "HTML" });
+            return renderOwnerDashboard(ctx);
+        }
+
+        // --- PROMPT FLOW ---
+        if (stage === "OWNER_WAIT_PROMPT") {
+            const prompt = ctx.message.text.trim();
+
+            const { error } = await supabase.from('tenants').update({ system_prompt: prompt }).eq('id', ctx.tenant.id);
+
+            if (error) return ctx.reply(`❌ Erro: ${error.message}`);
+
+            ctx.tenant.system_prompt = prompt; // Atualiza memória rápida
+            ctx.session.stage = "READY";
+            await ctx.save();
+
+            await ctx.reply("✅ <b>Personalidade definida!</b>\nA IA agora seguirá suas novas instruções.", { parse_mode: "HTML" });
+            return renderOwnerDashboard(ctx);
+        }
+
+        return next();
+    });
+
+    // --- MODEL SELECTION ACTIONS ---
+    // Modelos vêm do provedor; o índice vai no callback (nomes podem passar de 64 bytes)
+    async function showAIModelPicker(ctx) {
+        const models = ctx.session.temp_ai?.models || [];
+        const buttons = models.map((m, i) => [Markup.button.callback(m, `ai_model_${i}`)]);
+
+        let text = "🤖 <b>Escolha o Modelo de IA:</b>";
+        if (models.length === 0) text += "\n\nO provedor não listou modelos. Digite o nome do modelo (ex: <code>llama3.1</code>).";
+        else text += "\n\nOu digite o nome de outro modelo.";
+
+        return ctx.reply(text, { parse_mode: "HTML", ...Markup.inlineKeyboard(buttons) });
+    }
+
+    const saveAIConfig = async (ctx, modelName) => {
+        const temp = ctx.session.temp_ai;
+        const key = getWizardSecret(ctx.tenant.id, ctx.chat.id, "ai_key");
+        if (!temp?.provider || key === undefined) return ctx.reply("❌ Sessão expirada. Comece de novo.");
+
+        const fields = {
+            ai_provider: temp.provider,
+            ai_base_url: temp.provider === "compatible" ? temp.baseUrl : null,
+            openai_api_key: key,
+            openai_model: modelName
+        };
+
+        const { error } = await supabase
+            .from('tenants')
+            .update(encryptTenantFields(fields))
+            .eq('id', ctx.tenant.id);
+
+        if (error) return ctx.reply(`❌ Erro ao salvar: ${error.message}`);
+
+        ctx.session.stage = "READY";
+        ctx.session.temp_ai = null;
+        clearWizardSecrets(ctx.tenant.id, ctx.chat.id);
+        await ctx.save();
+
+        // Atualizar memória
+        Object.assign(ctx.tenant, fields);
+
+        await ctx.reply(`✅ <b>IA Configurada!</b>\nProvedor: ${AI_PROVIDERS[temp.provider].label}\nModelo: ${modelName}`, { parse_mode: "HTML" });
+        return renderOwnerDashboard(ctx);
+    };
+
+    // --- RENOVAÇÃO DE ASSINATURA ---
+    bot.action("owner_renew_sub", async (ctx) => {
+        if (!isOwner(ctx)) return;
+        await ctx.answerCbQuery("Gerando Pix...");
+        await ctx.reply("⏳ <b>Gerando cobrança...</b> Aguarde um momento.", { parse_mode: "HTML" });
+
+        try {
+            const charge = await generateSubscriptionCharge(ctx.tenant);
+
+            const pixCode = charge.qrcode_text;
+            // const qrImage = charge.qrcode_image_url; // Removido a pedido
+
+            // Envia Copia e Cola
+            await ctx.reply(
+                `💰 <b>Renovação de Assinatura</b>\n` +
+                `Valor: R$ ${charge.value.toFixed(2).replace('.', ',')}\n` +
+                `Cliente: <b>${ctx.tenant.name}</b>\n\n` +
+                `Copie o código abaixo e pague no seu banco:`,
+                { parse_mode: "HTML" }
+            );
+            await ctx.reply(`<code>${pixCode}</code>`, { parse_mode: "HTML" });
+
+            await ctx.reply("ℹ️ Assim que o pagamento for confirmado, seu plano será renovado automaticamente por +30 dias.");
+
+        } catch (e) {
+            log(`Erro renovação [${ctx.tenant.name}]: ${e.message}`, "ERROR");
+            await ctx.reply(`❌ Erro ao gerar cobrança: ${e.message}`);
+        }
+    });
+
+    bot.action(/^ai_model_(\d+)$/, async (ctx) => {
+        if (!isOwner(ctx)) return;
+        const model = ctx.session.temp_ai?.models?.[Number(ctx.match[1])];
+        if (!model) return ctx.answerCbQuery("❌ Sessão expirada. Comece de novo.");
+        await ctx.answerCbQuery();
+        return saveAIConfig(ctx, model);
+    });
+
+
+    // --- END USER DASHBOARD ---
+    async function renderUserMenu(ctx) {
+        const session = await getSession(ctx.tenant.id, ctx.chat.id);
+        const userFirstName = ctx.from.first_name || "Parceiro";
+
+        const text = `👋 <b>Olá, ${userFirstName}! Bem-vindo ao Sistema</b> 🚀\n\n` +
+            `Automação de WhatsApp com IA e Rodízio de Leads.\n\n` +
+            `👇 <b>Escolha uma opção no menu abaixo:</b>`;
+
+        const buttons = [
+            [Markup.button.callback("🚀 Minhas Instâncias", "cmd_instancias_menu"), Markup.button.callback("🔄 Rodízio de Leads", "cmd_rodizio")],
+            [Markup.button.callback("📢 Disparo em Massa", "cmd_shortcuts_disparos"), Markup.button.callback("🤝 Afiliados", "cmd_afiliados")],
+            [Markup.button.callback("💎 Seu Plano (Ativo)", "cmd_planos_menu"), Markup.button.callback("👤 Suporte / Ajuda", "cmd_suporte")]
+        ];
+
+        // Se tiver tutoriais configurados no futuro
+        // buttons.push([Markup.button.callback("📺 Área de Tutoriais", "cmd_tutoriais")]);
+
+        if (String(ctx.chat.id) === String(ctx.tenant.owner_chat_id)) {
+            buttons.push([Markup.button.callback("👑 Painel Admin (Dono)", "owner_menu")]);
+        }
+
+        await safeEdit(ctx, text, Markup.inlineKeyboard(buttons));
+    }
+
+    // --- ACTIONS: Gestão de Instâncias (Wuzapi) ---
+
+    // 1. Menu de Instâncias
+    async function showInstances(ctx) {
+        const session = await getSession(ctx.tenant.id, ctx.chat.id);
+        const instances = await getInstances(ctx.tenant.id, ctx.chat.id);
+
+        let text = "🚀 <b>Minhas Instâncias de WhatsApp</b>\n\n";
+
+        if (instances.length === 0) {
+            text += "Você ainda não conectou nenhum número.";
+        } else {
+            text += "<b>Suas instâncias conectadas:</b>\n\n";
+            for (const inst of instances) {
+                // Estado em cache (atualizado por webhook + reconciliação)
+                const statusIcon = inst.isConnected ? "✅" : "🔴";
+
+                text += `${statusIcon} <b>${inst.name}</b>\n`;
+                text += `ID: <code>${inst.id}</code>\n`;
+                text += `Status: ${inst.isConnected ? "Conectado" : "Desconectado"}\n\n`;
+            }
+        }
+
+        const buttons = [];
+        instances.forEach(inst => {
+            buttons.push([Markup.button.callback(`⚙️ Gerenciar ${inst.name}`, `inst_manage_${inst.id}`)]);
+        });
+
+        const limits = await checkInstanceLimits(ctx.tenant, session, ctx.chat.id);
+        if (limits.allowed) {
+            buttons.push([Markup.button.callback("➕ Conectar Novo Número", "inst_add_new")]);
+        } else {
+            text += `\n⚠️ <i>${limits.reason}</i>`;
+        }
+
+        buttons.push([Markup.button.callback("🔙 Voltar", "start")]);
+        await safeEdit(ctx, text, Markup.inlineKeyboard(buttons));
+    }
+
+    bot.action("cmd_instancias_menu", async (ctx) => {
+        await showInstances(ctx);
+    });
+
+    // 2. Iniciar Fluxo de Conexão
+    bot.action("inst_add_new", async (ctx) => {
+        const session = await getSession(ctx.tenant.id, ctx.chat.id);
+        const limits = await checkInstanceLimits(ctx.tenant, session, ctx.chat.id);
+        if (!limits.allowed) return ctx.answerCbQuery(limits.reason, { show_alert: true });
+
+        session.stage = "WA_WAITING_NAME";
+        await saveSession(ctx.tenant.id, ctx.chat.id, session);
+
+        await safeEdit(ctx,
+            "🔗 <b>Nova Conexão</b>\n\nDigite um <b>Nome</b> para identificar esta instância (ex: Vendas, Suporte):",
+            Markup.inlineKeyboard([[Markup.button.callback("❌ Cancelar", "cmd_instancias_menu")]])
+        );
+    });
+
+    // --- ACTIONS: Disparo em Massa ---
+    async function showMassMenu(ctx) {
+        const instances = await getInstances(ctx.tenant.id, ctx.chat.id);
+
+        let text = "📢 <b>Disparo em Massa</b>\n\n" +
+            "Envie mensagens personalizadas para sua lista de contatos usando suas instâncias de WhatsApp.\n\n" +
+            `⏱️ Intervalo entre envios: ${MASS_MIN_DELAY}-${MASS_MAX_DELAY}s\n` +
+            `🚦 Limite: ${MASS_RATE_PER_MINUTE} mensagens/min por instância`;
+
+        const buttons = [];
+        if (instances.length === 0) {
+            text += "\n\n⚠️ <i>Conecte uma instância antes de criar uma campanha.</i>";
+            buttons.push([Markup.button.callback("🚀 Minhas Instâncias", "cmd_instancias_menu")]);
+        } else {
+            buttons.push([Markup.button.callback("➕ Nova Campanha", "mass_new")]);
+        }
+        buttons.push([Markup.button.callback("📋 Minhas Campanhas", "mass_list")]);
+        buttons.push([Markup.button.callback("🔙 Voltar", "start")]);
+
+        await safeEdit(ctx, text, Markup.inlineKeyboard(buttons));
+    }
+
+    async function renderInstancePicker(ctx) {
+        const draft = ctx.session.massDraft || {};
+        const selected = draft.instanceIds || [];
+        const instances = await getInstances(ctx.tenant.id, ctx.chat.id);
+        const buttons = instances.map(inst => [
+            Markup.button.callback(`${selected.includes(inst.id) ? "☑️" : "⬜"} ${inst.name}`, `mass_toggle_${inst.id}`)
+        ]);
+        buttons.push([Markup.button.callback("🚀 Iniciar Disparo", "mass_confirm")]);
+        buttons.push([Markup.button.callback("❌ Cancelar", "mass_abort_draft")]);
+
+        const text = `📱 <b>Escolha as instâncias</b>\n\n` +
+            `👥 Contatos: <b>${(draft.contacts || []).length}</b>\n` +
+            `📎 Mídia: ${draft.media ? "Sim" : "Não"}\n\n` +
+            `<b>Prévia:</b>\n${renderTemplate(draft.message, draft.contacts?.[0]?.variables)}\n\n` +
+            `<i>Selecione uma ou mais instâncias (os envios são distribuídos entre elas):</i>`;
+
+        return { text, keyboard: Markup.inlineKeyboard(buttons) };
+    }
+
+    async function loadOwnCampaign(ctx, campaignId) {
+        const { data: campaign } = await supabase
+            .from('campaigns')
+            .select('*')
+            .eq('id', campaignId)
+            .eq('tenant_id', ctx.tenant.id)
+            .eq('chat_id', String(ctx.chat.id))
+            .single();
+        return campaign;
+    }
+
+    bot.action("cmd_shortcuts_disparos", async (ctx) => {
+        if (!(await userHasFeature(ctx.tenant, ctx.session, ctx.chat.id, "mass"))) {
+            return ctx.answerCbQuery("🔒 Recurso disponível apenas em planos com Disparo em Massa. Veja em 💎 Seu Plano.", { show_alert: true });
+        }
+        await showMassMenu(ctx);
+    });
+
+    bot.action("mass_new", async (ctx) => {
+        ctx.session.stage = "MASS_WAIT_CONTACTS";
+        ctx.session.massDraft = { contacts: [], message: "", media: null, instanceIds: [] };
+        await ctx.save();
+
+        await safeEdit(ctx,
+            "👥 <b>Nova Campanha (Passo 1/3)</b>\n\n" +
+            "Envie a lista de contatos:\n" +
+            "• Cole os números, um por linha; ou\n" +
+            "• Envie um arquivo <b>.csv</b>/<b>.txt</b> (ex: <code>numero,nome</code>).\n\n" +
+            "A primeira linha do CSV pode ser um cabeçalho: cada coluna vira uma variável (ex: <code>{nome}</code>).\n" +
+            `<i>Máximo de ${MASS_MAX_CONTACTS} contatos.</i>`,
+            Markup.inlineKeyboard([[Markup.button.callback("❌ Cancelar", "mass_abort_draft")]])
+        );
+    });
+
+    bot.action("mass_abort_draft", async (ctx) => {
+        ctx.session.stage = "READY";
+        ctx.session.massDraft = null;
+        await ctx.save();
+        await showMassMenu(ctx);
+    });
+
+    bot.action(/^mass_toggle_(.+)$/, async (ctx) => {
+        const instId = ctx.match[1];
+        const draft = ctx.session.massDraft;
+        if (!draft || ctx.session.stage !== "MASS_SELECT_INSTANCES") return ctx.answerCbQuery("Sessão expirada.");
+
+        draft.instanceIds = draft.instanceIds.includes(instId)
+            ? draft.instanceIds.filter(id => id !== instId)
+            : [...draft.instanceIds, instId];
+        await ctx.save();
+        await ctx.answerCbQuery();
+
+        const { text, keyboard } = await renderInstancePicker(ctx);
+        await safeEdit(ctx, text, keyboard);
+    });
+
+    bot.action("mass_confirm", async (ctx) => {
+        const draft = ctx.session.massDraft;
+        if (!draft || ctx.session.stage !== "MASS_SELECT_INSTANCES") return ctx.answerCbQuery("Sessão expirada.");
+        if (draft.instanceIds.length === 0) return ctx.answerCbQuery("Selecione pelo menos uma instância.", { show_alert: true });
+
+        await ctx.answerCbQuery("🚀 Criando campanha...");
+
+        const { data: campaign, error } = await supabase.from('campaigns').insert({
+            tenant_id: ctx.tenant.id,
+            chat_id: String(ctx.chat.id),
+            message: draft.message,
+            media: draft.media,
+            instance_ids: draft.instanceIds,
+            status: "running",
+            total_count: draft.contacts.length
+        }).select().single();
+
+        if (error) return ctx.reply(`❌ Erro ao criar campanha: ${error.message}`);
+
+        // Insere destinatários em lotes para não estourar o payload
+        for (let i = 0; i < draft.contacts.length; i += 500) {
+            const rows = draft.contacts.slice(i, i + 500).map(c => ({
+                campaign_id: campaign.id,
+                phone: c.phone,
+                variables: c.variables
+            }));
+            const { error: insErr } = await supabase.from('campaign_recipients').insert(rows);
+            if (insErr) {
+                await supabase.from('campaigns').delete().eq('id', campaign.id);
+                return ctx.reply(`❌ Erro ao salvar contatos: ${insErr.message}`);
+            }
+        }
+
+        ctx.session.stage = "READY";
+        ctx.session.massDraft = null;
+        await ctx.save();
+
+        const progressMsg = await ctx.reply(renderCampaignProgress(campaign), { parse_mode: "HTML", ...campaignControlButtons(campaign) });
+        campaign.progress_message_id = progressMsg.message_id;
+        await supabase.from('campaigns').update({ progress_message_id: progressMsg.message_id }).eq('id', campaign.id);
+
+        log(`Campanha #${campaign.id} iniciada (${campaign.total_count} contatos)`, ctx.tenant.name);
+        runCampaign(ctx.tenant, campaign.id);
+    });
+
+    bot.action("mass_list", async (ctx) => {
+        const { data: campaigns } = await supabase
+            .from('campaigns')
+            .select('*')
+            .eq('tenant_id', ctx.tenant.id)
+            .eq('chat_id', String(ctx.chat.id))
+            .order('id', { ascending: false })
+            .limit(10);
+
+        let text = "📋 <b>Minhas Campanhas</b>\n\n";
+        const buttons = [];
+        if (!campaigns || campaigns.length === 0) {
+            text += "Nenhuma campanha criada ainda.";
+        } else {
+            for (const c of campaigns) {
+                const done = c.sent_count + c.failed_count;
+                text += `#${c.id} • ${CAMPAIGN_STATUS_LABELS[c.status] || c.status} • ${done}/${c.total_count}\n`;
+                buttons.push([Markup.button.callback(`📢 Campanha #${c.id}`, `mass_view_${c.id}`)]);
+            }
+        }
+        buttons.push([Markup.button.callback("🔙 Voltar", "cmd_shortcuts_disparos")]);
+
+        await safeEdit(ctx, text, Markup.inlineKeyboard(buttons));
+    });
+
+    bot.action(/^mass_view_(\d+)$/, async (ctx) => {
+        const campaign = await loadOwnCampaign(ctx, ctx.match[1]);
+        if (!campaign) return ctx.answerCbQuery("Campanha não encontrada.");
+        await ctx.answerCbQuery();
+        await safeEdit(ctx, renderCampaignProgress(campaign), campaignControlButtons(campaign));
+    });
+
+    bot.action(/^mass_(pause|resume|cancel)_(\d+)$/, async (ctx) => {
+        const [, op, id] = ctx.match;
+        const campaign = await loadOwnCampaign(ctx, id);
+        if (!campaign) return ctx.answerCbQuery("Campanha não encontrada.");
+
+        const allowed = {
+            pause: ["running"],
+            resume: ["paused"],
+            cancel: ["running", "paused"]
+        };
+        if (!allowed[op].includes(campaign.status)) return ctx.answerCbQuery("Ação indisponível neste status.");
+
+        const newStatus = { pause: "paused", resume: "running", cancel: "cancelled" }[op];
+        const update = { status: newStatus, updated_at: new Date().toISOString() };
+        if (newStatus === "cancelled") update.finished_at = new Date().toISOString();
+        await supabase.from('campaigns').update(update).eq('id', campaign.id);
+
+        if (newStatus === "cancelled") {
+            await supabase.from('campaign_recipients').update({ status: "cancelled" }).eq('campaign_id', campaign.id).eq('status', 'pending');
+        }
+        if (newStatus === "running") {
+            runCampaign(ctx.tenant, campaign.id);
+        }
+
+        campaign.status = newStatus;
+        await ctx.answerCbQuery(CAMPAIGN_STATUS_LABELS[newStatus]);
+        await safeEdit(ctx, renderCampaignProgress(campaign), campaignControlButtons(campaign));
+    });
+
+    // Arquivos/Mídia enviados durante o wizard de disparo
+    bot.on(["document", "photo", "video"], async (ctx, next) => {
+        const stage = ctx.session?.stage;
+        if (stage !== "MASS_WAIT_CONTACTS" && stage !== "MASS_WAIT_MESSAGE") return next();
+
+        const msg = ctx.message;
+
+        if (stage === "MASS_WAIT_CONTACTS") {
+            if (!msg.document) return ctx.reply("❌ Envie a lista como texto ou arquivo .csv/.txt.");
+            try {
+                const { buffer } = await downloadTelegramFile(ctx.telegram, msg.document.file_id, { save: false });
+                return handleMassContacts(ctx, buffer.toString("utf8"));
+            } catch (e) {
+                return ctx.reply(`❌ Erro ao ler arquivo: ${e.message}`);
+            }
+        }
+
+        // MASS_WAIT_MESSAGE: mídia + legenda
+        let media;
+        try {
+            if (msg.photo) {
+                const { fileName } = await downloadTelegramFile(ctx.telegram, msg.photo[msg.photo.length - 1].file_id);
+                media = { file: fileName, mime: "image/jpeg", type: "photo" };
+            } else if (msg.video) {
+                const { fileName } = await downloadTelegramFile(ctx.telegram, msg.video.file_id);
+                media = { file: fileName, mime: msg.video.mime_type || "video/mp4", type: "video" };
+            } else {
+                const { fileName } = await downloadTelegramFile(ctx.telegram, msg.document.file_id);
+                media = { file: fileName, mime: msg.document.mime_type, type: "document", fileName: msg.document.file_name };
+            }
+        } catch (e) {
+            return ctx.reply(`❌ Erro ao baixar mídia: ${e.message}`);
+        }
+
+        ctx.session.massDraft.media = media;
+        ctx.session.massDraft.message = (msg.caption || "").trim();
+        ctx.session.stage = "MASS_SELECT_INSTANCES";
+        await ctx.save();
+
+        const { text, keyboard } = await renderInstancePicker(ctx);
+        return ctx.reply(text, { parse_mode: "HTML", ...keyboard });
+    });
+
+    async function handleMassContacts(ctx, rawText) {
+        const { contacts, columns } = parseContactList(rawText);
+        if (contacts.length === 0) {
+            return ctx.reply("❌ Nenhum número válido encontrado. Envie novamente ou toque em Cancelar.");
+        }
+
+        ctx.session.massDraft.contacts = contacts;
+        ctx.session.stage = "MASS_WAIT_MESSAGE";
+        await ctx.save();
+
+        const vars = columns.length ? columns.map(c => `<code>{${c}}</code>`).join(", ") : "nenhuma";
+        return ctx.reply(
+            `✅ <b>${contacts.length} contatos válidos!</b>\n\n` +
+            `✍️ <b>Passo 2/3:</b> Envie a mensagem da campanha.\n` +
+            `Variáveis disponíveis: ${vars}\n\n` +
+            `<i>Para enviar com mídia, mande uma foto, vídeo ou documento com a mensagem na legenda.</i>`,
+            { parse_mode: "HTML" }
+        );
+    }
+
+    // --- ACTIONS: Rodízio de Leads ---
+    async function showRotationMenu(ctx) {
+        let group = await getRotationGroup(ctx.tenant.id, ctx.chat.id);
+        if (!group) {
+            const { data, error } = await supabase.from('rotation_groups').insert({
+                tenant_id: ctx.tenant.id,
+                chat_id: String(ctx.chat.id),
+                active: false
+            }).select().single();
+            if (error) return ctx.reply(`❌ Erro: ${error.message}`);
+            group = data;
+        }
+
+        const instances = await getInstances(ctx.tenant.id, ctx.chat.id);
+        const eligibleIds = eligibleRotationMembers(group, instances).map(m => m.id);
+
+        let text = "🔄 <b>Rodízio de Leads</b>\n\n" +
+            "Cada novo contato que chegar nas suas instâncias é distribuído automaticamente entre os atendentes abaixo.\n\n" +
+            `📊 Status: ${group.active ? "✅ Ativo" : "⏸️ Desativado"}\n` +
+            `🎲 Estratégia: ${LEAD_STRATEGIES[group.strategy] || group.strategy}\n\n` +
+            "<b>Atendentes:</b>\n";
+
+        if (!group.members.length) {
+            text += "<i>Nenhum atendente cadastrado.</i>\n";
+        } else {
+            for (const m of group.members) {
+                const icon = eligibleIds.includes(m.id) ? "🟢" : "🔴";
+                const label = m.type === "instance" ? "Instância" : `Nº ${m.phone}`;
+                const weight = group.strategy === "weighted" ? ` • Peso ${m.weight || 1}` : "";
+                text += `${icon} <b>${escapeHtml(m.name)}</b> (${label})${weight}\n`;
+            }
+        }
+
+        const buttons = [
+            [Markup.button.callback(group.active ? "⏸️ Desativar" : "▶️ Ativar", "rot_toggle")],
+            [Markup.button.callback("🎲 Trocar Estratégia", "rot_strategy")],
+            [Markup.button.callback("📱 Adicionar Instância", "rot_add_inst"), Markup.button.callback("☎️ Adicionar Número", "rot_add_phone")]
+        ];
+        group.members.forEach(m => {
+            const row = [Markup.button.callback(`🗑️ ${m.name}`, `rot_del_${m.id}`)];
+            if (group.strategy === "weighted") row.push(Markup.button.callback(`⚖️ Peso ${m.name}`, `rot_weight_${m.id}`));
+            buttons.push(row);
+        });
+        buttons.push([Markup.button.callback("📜 Histórico de Leads", "rot_history")]);
+        buttons.push([Markup.button.callback("🔙 Voltar", "start")]);
+
+        if (instances.length === 0) text += "\n⚠️ <i>Conecte uma instância para receber leads.</i>";
+
+        await safeEdit(ctx, text, Markup.inlineKeyboard(buttons));
+    }
+
+    async function updateRotationGroup(ctx, fields) {
+        const { error } = await supabase
+            .from('rotation_groups')
+            .update(fields)
+            .eq('tenant_id', ctx.tenant.id)
+            .eq('chat_id', String(ctx.chat.id));
+        if (error) await ctx.reply(`❌ Erro: ${error.message}`);
+        return !error;
+    }
+
+    bot.action("cmd_rodizio", async (ctx) => {
+        if (!(await userHasFeature(ctx.tenant, ctx.session, ctx.chat.id, "rotation"))) {
+            return ctx.answerCbQuery("🔒 Recurso disponível apenas em planos com Rodízio de Leads. Veja em 💎 Seu Plano.", { show_alert: true });
+        }
+        await showRotationMenu(ctx);
+    });
+
+    bot.action("rot_toggle", async (ctx) => {
+        const group = await getRotationGroup(ctx.tenant.id, ctx.chat.id);
+        if (!group) return showRotationMenu(ctx);
+        if (!group.active && group.members.length === 0) {
+            return ctx.answerCbQuery("Adicione pelo menos um atendente primeiro.", { show_alert: true });
+        }
+        await updateRotationGroup(ctx, { active: !group.active });
+        await ctx.answerCbQuery(group.active ? "Rodízio desativado" : "Rodízio ativado");
+        await showRotationMenu(ctx);
+    });
+
+    bot.action("rot_strategy", async (ctx) => {
+        const group = await getRotationGroup(ctx.tenant.id, ctx.chat.id);
+        const buttons = Object.entries(LEAD_STRATEGIES).map(([key, label]) => [
+            Markup.button.callback(`${group?.strategy === key ? "✅ " : ""}${label}`, `rot_set_strategy_${key}`)
+        ]);
+        buttons.push([Markup.button.callback("🔙 Voltar", "cmd_rodizio")]);
+
+        await safeEdit(ctx,
+            "🎲 <b>Estratégia de Distribuição</b>\n\n" +
+            "🔁 <b>Sequencial:</b> um lead para cada atendente, em ordem.\n" +
+            "⚖️ <b>Por Peso:</b> atendentes com peso maior recebem mais leads.\n" +
+            `📉 <b>Menos Ocupado:</b> vai para quem recebeu menos leads nas últimas ${LEAD_BUSY_WINDOW_HOURS}h.`,
+            Markup.inlineKeyboard(buttons)
+        );
+    });
+
+    bot.action(/^rot_set_strategy_(round_robin|weighted|least_busy)$/, async (ctx) => {
+        await updateRotationGroup(ctx, { strategy: ctx.match[1] });
+        await ctx.answerCbQuery("Estratégia atualizada");
+        await showRotationMenu(ctx);
+    });
+
+    bot.action("rot_add_inst", async (ctx) => {
+        const group = await getRotationGroup(ctx.tenant.id, ctx.chat.id);
+        const used = (group?.members || []).filter(m => m.type === "instance").map(m => m.instanceId);
+        const available = (await getInstances(ctx.tenant.id, ctx.chat.id)).filter(i => !used.includes(i.id));
+
+        if (available.length === 0) return ctx.answerCbQuery("Nenhuma instância disponível para adicionar.", { show_alert: true });
+
+        const buttons = available.map(i => [Markup.button.callback(`📱 ${i.name}`, `rot_pick_inst_${i.id}`)]);
+        buttons.push([Markup.button.callback("🔙 Voltar", "cmd_rodizio")]);
+        await safeEdit(ctx, "📱 <b>Escolha a instância:</b>", Markup.inlineKeyboard(buttons));
+    });
+
+    bot.action(/^rot_pick_inst_(.+)$/, async (ctx) => {
+        const instId = ctx.match[1];
+        const inst = await getInstance(ctx.tenant.id, ctx.chat.id, instId);
+        const group = await getRotationGroup(ctx.tenant.id, ctx.chat.id);
+        if (!inst || !group) return ctx.answerCbQuery("Instância não encontrada.");
+
+        const members = [...group.members, {
+            id: `m${Date.now().toString(36)}`,
+            type: "instance",
+            instanceId: inst.id,
+            name: inst.name,
+            weight: 1
+        }];
+        await updateRotationGroup(ctx, { members });
+        await ctx.answerCbQuery("Instância adicionada");
+        await showRotationMenu(ctx);
+    });
+
+    bot.action("rot_add_phone", async (ctx) => {
+        ctx.session.stage = "ROT_WAIT_PHONE";
+        await ctx.save();
+        await safeEdit(ctx,
+            "☎️ <b>Adicionar Atendente por Número</b>\n\n" +
+            "Envie no formato:\n<code>numero nome [telegram_id]</code>\n\n" +
+            "Ex: <code>11999998888 Maria 123456789</code>\n" +
+            "<i>O Telegram ID é opcional: se informado, o atendente recebe o aviso direto no Telegram dele (precisa ter iniciado este bot).</i>",
+            Markup.inlineKeyboard([[Markup.button.callback("❌ Cancelar", "rot_abort")]])
+        );
+    });
+
+    bot.action("rot_abort", async (ctx) => {
+        ctx.session.stage = "READY";
+        ctx.session.temp_rot_member = null;
+        await ctx.save();
+        await showRotationMenu(ctx);
+    });
+
+    bot.action(/^rot_weight_(.+)$/, async (ctx) => {
+        ctx.session.stage = "ROT_WAIT_WEIGHT";
+        ctx.session.temp_rot_member = ctx.match[1];
+        await ctx.save();
+        await safeEdit(ctx, "⚖️ Digite o peso deste atendente (1 a 100):",
+            Markup.inlineKeyboard([[Markup.button.callback("❌ Cancelar", "rot_abort")]]));
+    });
+
+    bot.action(/^rot_del_(.+)$/, async (ctx) => {
+        const group = await getRotationGroup(ctx.tenant.id, ctx.chat.id);
+        if (!group) return ctx.answerCbQuery();
+        const members = group.members.filter(m => m.id !== ctx.match[1]);
+        const fields = { members };
+        if (members.length === 0) fields.active = false;
+        await updateRotationGroup(ctx, fields);
+        await ctx.answerCbQuery("Atendente removido");
+        await showRotationMenu(ctx);
+    });
+
+    bot.action("rot_history", async (ctx) => {
+        const group = await getRotationGroup(ctx.tenant.id, ctx.chat.id);
+        if (!group) return showRotationMenu(ctx);
+
+        const { data: rows } = await supabase
+            .from('lead_assignments')
+            .select('*')
+            .eq('group_id', group.id)
+            .order('assigned_at', { ascending: false })
+            .limit(20);
+
+        const since = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000).toISOString();
+        const { data: monthRows } = await supabase
+            .from('lead_assignments')
+            .select('member_name')
+            .eq('group_id', group.id)
+            .gte('assigned_at', since);
+
+        const totals = {};
+        (monthRows || []).forEach(r => { totals[r.member_name] = (totals[r.member_name] || 0) + 1; });
+
+        let text = "📜 <b>Histórico de Leads</b>\n\n<b>Últimos 30 dias:</b>\n";
+        const totalEntries = Object.entries(totals);
+        text += totalEntries.length ? totalEntries.map(([name, n]) => `• ${escapeHtml(name)}: ${n}`).join("\n") : "<i>Nenhum lead.</i>";
+
+        text += "\n\n<b>Últimas atribuições:</b>\n";
+        if (!rows || rows.length === 0) {
+            text += "<i>Nenhuma atribuição ainda.</i>";
+        } else {
+            text += rows.map(r => {
+                const when = new Date(r.assigned_at).toLocaleString("pt-BR");
+                return `${when} • ${escapeHtml(r.lead_name || r.lead_phone)} → <b>${escapeHtml(r.member_name)}</b>`;
+            }).join("\n");
+        }
+
+        await safeEdit(ctx, text, Markup.inlineKeyboard([[Markup.button.callback("🔙 Voltar", "cmd_rodizio")]]));
+    });
+
+    // --- ACTIONS: Afiliados (Usuário) ---
+    async function showAffiliateMenu(ctx) {
+        const summary = await getAffiliateSummary(ctx.tenant.id, ctx.chat.id);
+        const link = `https://t.me/${ctx.botInfo.username}?start=ref_${ctx.chat.id}`;
+        const pct = getAffiliateCommissionPct(ctx.tenant);
+
+        const { data: pending } = await supabase
+            .from('affiliate_payouts')
+            .select('amount')
+            .eq('tenant_id', ctx.tenant.id)
+            .eq('chat_id', String(ctx.chat.id))
+            .eq('status', 'pending');
+
+        let text = "🤝 <b>Programa de Afiliados</b>\n\n" +
+            `Indique amigos e ganhe <b>${pct}%</b> de cada pagamento que eles fizerem!\n\n` +
+            `🔗 <b>Seu link:</b>\n<code>${link}</code>\n\n` +
+            `👥 Indicados: <b>${summary.referralsCount}</b>\n` +
+            `💰 Saldo disponível: <b>${formatBRL(summary.balance)}</b>\n` +
+            `📈 Total ganho: <b>${formatBRL(summary.totalEarned)}</b>`;
+
+        if (pending && pending.length) {
+            const total = pending.reduce((sum, p) => sum + Number(p.amount), 0);
+            text += `\n⏳ Saque em análise: <b>${formatBRL(total)}</b>`;
+        }
+
+        await safeEdit(ctx, text, Markup.inlineKeyboard([
+            [Markup.button.callback("💸 Solicitar Saque", "aff_withdraw"), Markup.button.callback("📜 Extrato", "aff_statement")],
+            [Markup.button.callback("🔙 Voltar", "start")]
+        ]));
+    }
+
+    bot.action("cmd_afiliados", async (ctx) => {
+        await showAffiliateMenu(ctx);
+    });
+
+    bot.action("aff_statement", async (ctx) => {
+        const { data: entries } = await supabase
+            .from('affiliate_ledger')
+            .select('*')
+            .eq('tenant_id', ctx.tenant.id)
+            .eq('chat_id', String(ctx.chat.id))
+            .order('created_at', { ascending: false })
+            .limit(15);
+
+        const labels = { commission: "💰 Comissão", payout: "💸 Saque", payout_reversal: "↩️ Estorno de saque" };
+        let text = "📜 <b>Extrato de Afiliado</b>\n\n";
+        if (!entries || entries.length === 0) {
+            text += "<i>Nenhuma movimentação ainda.</i>";
+        } else {
+            text += entries.map(e => `${new Date(e.created_at).toLocaleDateString("pt-BR")} • ${labels[e.type] || e.type}: <b>${formatBRL(e.amount)}</b>`).join("\n");
+        }
+
+        await safeEdit(ctx, text, Markup.inlineKeyboard([[Markup.button.callback("🔙 Voltar", "cmd_afiliados")]]));
+    });
+
+    bot.action("aff_withdraw", async (ctx) => {
+        const summary = await getAffiliateSummary(ctx.tenant.id, ctx.chat.id);
+        if (summary.balance < AFFILIATE_MIN_PAYOUT) {
+            return ctx.answerCbQuery(`Saque mínimo: ${formatBRL(AFFILIATE_MIN_PAYOUT)}. Seu saldo: ${formatBRL(summary.balance)}.`, { show_alert: true });
+        }
+
+        ctx.session.stage = "AFF_WAIT_PIX_KEY";
+        await ctx.save();
+        await safeEdit(ctx,
+            `💸 <b>Solicitar Saque</b>\n\nValor: <b>${formatBRL(summary.balance)}</b>\n\nEnvie a sua <b>chave Pix</b> para receber:`,
+            Markup.inlineKeyboard([[Markup.button.callback("❌ Cancelar", "aff_abort")]])
+        );
+    });
+
+    bot.action("aff_abort", async (ctx) => {
+        ctx.session.stage = "READY";
+        await ctx.save();
+        await showAffiliateMenu(ctx);
+    });
+
+    // --- ACTIONS: Afiliados (Dono) ---
+    async function showOwnerAffiliates(ctx) {
+        const { data: payouts } = await supabase
+            .from('affiliate_payouts')
+            .select('*')
+            .eq('tenant_id', ctx.tenant.id)
+            .eq('status', 'pending')
+            .order('created_at');
+
+        let text = "🤝 <b>Afiliados (Gestão)</b>\n\n" +
+            `📊 Comissão atual: <b>${getAffiliateCommissionPct(ctx.tenant)}%</b>\n\n` +
+            "<b>Saques pendentes:</b>\n";
+
+        const buttons = [[Markup.button.callback("✏️ Alterar Comissão", "owner_aff_commission")]];
+        if (!payouts || payouts.length === 0) {
+            text += "<i>Nenhum saque pendente.</i>";
+        } else {
+            for (const p of payouts) {
+                text += `#${p.id} • Usuário <code>${p.chat_id}</code> • <b>${formatBRL(p.amount)}</b>\n   Pix: <code>${p.pix_key}</code>\n`;
+                buttons.push([
+                    Markup.button.callback(`✅ Pagar #${p.id}`, `owner_aff_ok_${p.id}`),
+                    Markup.button.callback(`❌ Recusar #${p.id}`, `owner_aff_no_${p.id}`)
+                ]);
+            }
+        }
+        buttons.push([Markup.button.callback("🔙 Voltar", "owner_menu")]);
+
+        await safeEdit(ctx, text, Markup.inlineKeyboard(buttons));
+    }
+
+    // --- CONSUMO DA IA (Relatório + Limites por Usuário) ---
+    async function showOwnerUsage(ctx) {
+        const tenant = ctx.tenant;
+        let today, month, top;
+        try {
+            [today, month, top] = await Promise.all([
+                getUsageTotals(startOfToday(), tenant.id),
+                getUsageTotals(startOfMonth(), tenant.id),
+                getTopUsageContacts(tenant.id, startOfMonth())
+            ]);
+        } catch (e) {
+            log(e.message, tenant.name);
+            return safeEdit(ctx, "⚠️ Não foi possível consultar o consumo agora. Tente novamente em instantes.",
+                Markup.inlineKeyboard([[Markup.button.callback("🔄 Tentar de novo", "owner_usage")], [Markup.button.callback("🔙 Voltar", "owner_menu")]]));
+        }
+
+        let text = "📈 <b>Consumo da IA</b>\n\n" +
+            `📅 <b>Hoje:</b> ${today.messages} respostas, ${today.tokens} tokens (~${formatUSD(today.cost)})\n` +
+            `🗓️ <b>Mês:</b> ${month.messages} respostas, ${month.tokens} tokens (~${formatUSD(month.cost)})\n\n` +
+            `<b>Limites diários por usuário:</b>\n` +
+            `✉️ Mensagens: ${tenant.user_daily_message_limit || "sem limite"}\n` +
+            `🔢 Tokens: ${tenant.user_daily_token_limit || "sem limite"}\n`;
+
+        if (top.length) {
+            text += "\n🏆 <b>Quem mais consumiu no mês:</b>\n";
+            for (const u of top) text += `• ${formatContactKey(u.contactKey)}: ${u.tokens} tokens (~${formatUSD(u.cost)})\n`;
+        }
+        text += "\n<i>Custo estimado pela tabela pública de preços do modelo.</i>";
+
+        const buttons = [
+            [Markup.button.callback("✉️ Limite de Mensagens", "owner_usage_cap_msgs"), Markup.button.callback("🔢 Limite de Tokens", "owner_usage_cap_tokens")],
+            [Markup.button.callback("🔙 Voltar", "owner_menu")]
+        ];
+        await safeEdit(ctx, text, Markup.inlineKeyboard(buttons));
+    }
+
+    bot.action("owner_usage", async (ctx) => {
+        if (!isOwner(ctx)) return;
+        await ctx.answerCbQuery();
+        await showOwnerUsage(ctx);
+    });
+
+    bot.action(/^owner_usage_cap_(msgs|tokens)$/, async (ctx) => {
+        if (!isOwner(ctx)) return;
+        await ctx.answerCbQuery();
+        const isMsgs = ctx.match[1] === "msgs";
+        ctx.session.stage = isMsgs ? "OWNER_WAIT_MSG_CAP" : "OWNER_WAIT_TOKEN_CAP";
+        await ctx.save();
+        await ctx.reply(isMsgs
+            ? "✉️ Quantas respostas da IA cada usuário pode receber por dia? (ex: 50)\nDigite 0 para sem limite."
+            : "🔢 Quantos tokens cada usuário pode consumir por dia? (ex: 20000)\nDigite 0 para sem limite.");
+    });
+
+    bot.action("owner_affiliates", async (ctx) => {
+        if (!isOwner(ctx)) return;
+        await showOwnerAffiliates(ctx);
+    });
+
+    bot.action("owner_aff_commission", async (ctx) => {
+        if (!isOwner(ctx)) return;
+        ctx.session.stage = "OWNER_WAIT_COMMISSION";
+        await ctx.save();
+        await ctx.reply("📊 Digite a nova porcentagem de comissão dos afiliados (0 a 100, ex: 15):");
+    });
+
+    bot.action(/^owner_aff_(ok|no)_(\d+)$/, async (ctx) => {
+        if (!isOwner(ctx)) return;
+        const [, decision, id] = ctx.match;
+
+        const { data: payout } = await supabase
+            .from('affiliate_payouts')
+            .select('*')
+            .eq('id', id)
+            .eq('tenant_id', ctx.tenant.id)
+            .single();
+        if (!payout || payout.status !== "pending") return ctx.answerCbQuery("Saque já processado.");
+
+        const approved = decision === "ok";
+        let result;
+        if (approved) {
+            result = await supabase
+                .from('affiliate_payouts')
+                .update({ status: "approved", decided_at: new Date().toISOString() })
+                .eq('id', id)
+                .eq('status', 'pending')
+                .select();
+        } else {
+            // Recusa e devolve o valor reservado ao saldo do afiliado na mesma transação
+            result = await supabase.rpc('reject_affiliate_payout', { p_tenant_id: ctx.tenant.id, p_payout_id: Number(id) });
+        }
+        if (result.error) return ctx.answerCbQuery(`❌ Erro: ${result.error.message}`, { show_alert: true });
+        if (!result.data || result.data.length === 0) return ctx.answerCbQuery("Saque já processado.");
+
+        notifyTenantUser(ctx.tenant, payout.chat_id, approved
+            ? `✅ <b>Saque aprovado!</b>\n${formatBRL(payout.amount)} será enviado para sua chave Pix.`
+            : `❌ <b>Saque recusado.</b>\nO valor de ${formatBRL(payout.amount)} voltou para o seu saldo.`);
+
+        await ctx.answerCbQuery(approved ? "Saque aprovado" : "Saque recusado");
+        await showOwnerAffiliates(ctx);
+    });
+
+    // --- ACTIONS: Planos (Usuário) ---
+    bot.action("cmd_planos_menu", async (ctx) => {
+        const plans = await getTenantPlans(ctx.tenant.id);
+        const session = ctx.session;
+        const max = session.whatsapp?.maxInstances || FREE_MAX_INSTANCES;
+
+        let text = "💎 <b>Seu Plano</b>\n\n";
+        if (session.isVip && session.subscriptionExpiry) {
+            text += `✅ Plano: <b>${session.plan?.name || "VIP"}</b>\n` +
+                `📅 Válido até: <b>${new Date(session.subscriptionExpiry).toLocaleDateString("pt-BR")}</b>\n`;
+        } else {
+            text += "🆓 Plano: <b>Gratuito</b>\n";
+        }
+        text += `📱 Instâncias: até <b>${max}</b>\n\n`;
+
+        const buttons = [];
+        if (plans.length === 0) {
+            text += "<i>Nenhum plano disponível no momento.</i>";
+        } else {
+            text += "<b>Planos disponíveis:</b>\n\n";
+            for (const plan of plans) {
+                const features = Object.keys(PLAN_FEATURES).filter(f => plan.features?.[f]).map(f => PLAN_FEATURES[f]);
+                text += `💎 <b>${plan.name}</b> — ${formatBRL(plan.price)}\n` +
+                    `   ⏳ ${plan.duration_days} dias • 📱 ${plan.max_instances} instância(s)\n` +
+                    (features.length ? `   ${features.join(" • ")}\n` : "") + "\n";
+                buttons.push([Markup.button.callback(`🛒 Assinar ${plan.name} (${formatBRL(plan.price)})`, `plan_buy_${plan.id}`)]);
+            }
+        }
+        buttons.push([Markup.button.callback("🔙 Voltar", "start")]);
+
+        await safeEdit(ctx, text, Markup.inlineKeyboard(buttons));
+    });
+
+    bot.action(/^plan_buy_(\d+)$/, async (ctx) => {
+        const plans = await getTenantPlans(ctx.tenant.id);
+        const plan = plans.find(p => String(p.id) === ctx.match[1]);
+        if (!plan) return ctx.answerCbQuery("Plano indisponível.");
+
+        await ctx.answerCbQuery("Gerando Pix...");
+        await ctx.reply("⏳ <b>Gerando cobrança...</b> Aguarde um momento.", { parse_mode: "HTML" });
+
+        try {
+            const charge = await createPlanCharge(ctx.tenant, ctx.chat.id, plan, ctx.from.first_name);
+
+            await ctx.reply(
+                `💎 <b>${plan.name}</b>\n` +
+                `Valor: ${formatBRL(plan.price)}\n` +
+                `Duração: ${plan.duration_days} dias\n\n` +
+                `Copie o código abaixo e pague no seu banco:`,
+                { parse_mode: "HTML" }
+            );
+            await ctx.reply(`<code>${charge.qrcode_text}</code>`, { parse_mode: "HTML" });
+            await ctx.reply("ℹ️ Assim que o pagamento for confirmado, seu plano será ativado automaticamente.");
+        } catch (e) {
+            log(`Erro cobrança plano [${ctx.tenant.name}]: ${e.message}`, "ERROR");
+            await ctx.reply(`❌ Erro ao gerar cobrança: ${e.message}`);
+        }
+    });
+
+    // --- ACTIONS: Planos (Dono) ---
+    async function showOwnerPlans(ctx) {
+        const plans = await getTenantPlans(ctx.tenant.id, false);
+
+        let text = "💎 <b>Planos à Venda</b>\n\n";
+        if (plans.length === 0) {
+            text += "<i>Nenhum plano cadastrado. Sem planos, todos os recursos ficam liberados para os usuários.</i>";
+        } else {
+            for (const plan of plans) {
+                const features = Object.keys(PLAN_FEATURES).filter(f => plan.features?.[f]).map(f => PLAN_FEATURES[f]);
+                text += `${plan.active ? "✅" : "⏸️"} <b>${plan.name}</b> — ${formatBRL(plan.price)} / ${plan.duration_days} dias\n` +
+                    `   📱 ${plan.max_instances} instância(s)${features.length ? " • " + features.join(" • ") : ""}\n`;
+            }
+        }
+
+        if (!ctx.tenant.syncpay_client_id || !ctx.tenant.syncpay_client_secret) {
+            text += "\n\n⚠️ <i>Configure o SyncPay para receber os pagamentos.</i>";
+        }
+
+        const buttons = [[Markup.button.callback("➕ Novo Plano", "owner_plan_new")]];
+        plans.forEach(plan => buttons.push([
+            Markup.button.callback(`${plan.active ? "⏸️ Pausar" : "▶️ Ativar"} ${plan.name}`, `owner_plan_toggle_${plan.id}`)
+        ]));
+        buttons.push([Markup.button.callback("🔙 Voltar", "owner_menu")]);
+
+        await safeEdit(ctx, text, Markup.inlineKeyboard(buttons));
+    }
+
+    function renderPlanFeaturePicker(draft) {
+        const buttons = Object.entries(PLAN_FEATURES).map(([key, label]) => [
+            Markup.button.callback(`${draft.features[key] ? "☑️" : "⬜"} ${label}`, `owner_plan_feat_${key}`)
+        ]);
+        buttons.push([Markup.button.callback("💾 Salvar Plano", "owner_plan_save")]);
+
+        const text = `💎 <b>Novo Plano (Passo 5/5)</b>\n\n` +
+            `Nome: <b>${draft.name}</b>\n` +
+            `Preço: <b>${formatBRL(draft.price)}</b>\n` +
+            `Duração: <b>${draft.duration_days} dias</b>\n` +
+            `Instâncias: <b>${draft.max_instances}</b>\n\n` +
+            `<i>Escolha os recursos incluídos:</i>`;
+
+        return { text, keyboard: Markup.inlineKeyboard(buttons) };
+    }
+
+    bot.action("owner_plans", async (ctx) => {
+        if (!isOwner(ctx)) return;
+        await showOwnerPlans(ctx);
+    });
+
+    bot.action("owner_plan_new", async (ctx) => {
+        if (!isOwner(ctx)) return;
+        ctx.session.stage = "OWNER_WAIT_PLAN_NAME";
+        ctx.session.temp_plan = { features: {} };
+        await ctx.save();
+        await ctx.reply("💎 <b>Novo Plano (Passo 1/5)</b>\n\nDigite o <b>nome</b> do plano (ex: Plano Pro):", { parse_mode: "HTML" });
+    });
+
+    bot.action(/^owner_plan_feat_(\w+)$/, async (ctx) => {
+        if (!isOwner(ctx)) return;
+        const draft = ctx.session.temp_plan;
+        if (!draft || ctx.session.stage !== "OWNER_WAIT_PLAN_FEATURES") return ctx.answerCbQuery("Sessão expirada.");
+
+        draft.features[ctx.match[1]] = !draft.features[ctx.match[1]];
+        await ctx.save();
+        await ctx.answerCbQuery();
+
+        const { text, keyboard } = renderPlanFeaturePicker(draft);
+        await safeEdit(ctx, text, keyboard);
+    });
+
+    bot.action("owner_plan_save", async (ctx) => {
+        if (!isOwner(ctx)) return;
+        const draft = ctx.session.temp_plan;
+        if (!draft || ctx.session.stage !== "OWNER_WAIT_PLAN_FEATURES") return ctx.answerCbQuery("Sessão expirada.");
+
+        const { error } = await supabase.from('tenant_plans').insert({
+            tenant_id: ctx.tenant.id,
+            name: draft.name,
+            price: draft.price,
+            duration_days: draft.duration_days,
+            max_instances: draft.max_instances,
+            features: draft.features
+        });
+        if (error) return ctx.reply(`❌ Erro: ${error.message}`);
+
+        ctx.session.stage = "READY";
+        ctx.session.temp_plan = null;
+        await ctx.save();
+
+        await ctx.answerCbQuery("✅ Plano criado!");
+        await showOwnerPlans(ctx);
+    });
+
+    bot.action(/^owner_plan_toggle_(\d+)$/, async (ctx) => {
+        if (!isOwner(ctx)) return;
+        const plans = await getTenantPlans(ctx.tenant.id, false);
+        const plan = plans.find(p => String(p.id) === ctx.match[1]);
+        if (!plan) return ctx.answerCbQuery("Plano não encontrado.");
+
+        await supabase.from('tenant_plans').update({ active: !plan.active }).eq('id', plan.id);
+        await ctx.answerCbQuery(plan.active ? "Plano pausado" : "Plano ativado");
+        await showOwnerPlans(ctx);
+    });
+
+    bot.action("cmd_suporte", async (ctx) => {
+        await ctx.answerCbQuery();
+        const name = [ctx.from.first_name, ctx.from.last_name].filter(Boolean).join(" ") +
+            (ctx.from.username ? ` @${ctx.from.username}` : "");
+
+        const { ticket, created } = await openSupportTicket(ctx.tenant, {
+            contactKey: `tg:${ctx.chat.id}`,
+            channel: "telegram",
+            customerName: name.trim()
+        });
+
+        await ctx.reply(created
+            ? `✅ <b>Atendimento #${ticket.id} aberto!</b>\n\nEnvie sua mensagem que um atendente vai responder por aqui.\nPara encerrar, use /encerrar.`
+            : `ℹ️ Você já tem o atendimento <b>#${ticket.id}</b> aberto. É só mandar sua mensagem.\nPara encerrar, use /encerrar.`,
+            { parse_mode: "HTML" });
+    });
+
+    bot.start(async (ctx) => {
+        // Deep link de afiliado: /start ref_<chatId>
+        const payload = ctx.startPayload || "";
+        if (payload.startsWith("ref_")) {
+            const attributed = await attributeReferral(ctx.tenant, ctx.session, ctx.chat.id, payload.slice(4));
+            if (attributed) await ctx.save();
+        }
+
+        // Se for o dono, mostra o menu de usuário mas com opção de ir pro Admin
+        await renderUserMenu(ctx);
+        if (!isOwner(ctx)) await markSeatOnboarded(ctx.tenant, ctx.chat.id);
+    });
+
+    // Botões "🔙 Voltar" apontam para o menu inicial
+    bot.action("start", async (ctx) => {
+        await ctx.answerCbQuery();
+        await renderUserMenu(ctx);
+    });
+
+    // Mantido comando /admin direto
+    bot.command("admin", async (ctx) => {
+        if (!isOwner(ctx)) return ctx.reply("⛔ Acesso restrito ao dono do bot.");
+        await renderOwnerDashboard(ctx);
+    });
+
+    bot.command("id", (ctx) => {
+        ctx.reply(`🆔 ID: <code>${ctx.chat.id}</code>`, { parse_mode: "HTML" });
+    });
+
+    bot.command("reset", async (ctx) => {
+        await resetConversation(ctx.tenant.id, `tg:${ctx.chat.id}`);
+        await ctx.reply("🔄 Conversa reiniciada! A IA esqueceu o histórico anterior.");
+    });
+
+    // -- Lógica de Chat da IA & Wizards --
+    bot.on("text", async (ctx) => {
+        // 1. Processar Wizards (Sessão)
+        if (ctx.session?.stage && ctx.session.stage !== "READY") {
+            const stage = ctx.session.stage;
+            const text = ctx.message.text.trim();
+
+            if (stage === "WA_WAITING_NAME") {
+                // Revalida o limite (pode ter mudado desde que o wizard começou)
+                const limits = await checkInstanceLimits(ctx.tenant, ctx.session, ctx.chat.id);
+                if (!limits.allowed) {
+                    ctx.session.stage = "READY";
+                    await ctx.save();
+                    return ctx.reply(`⚠️ ${limits.reason}`);
+                }
+
+                await ctx.reply("⏳ Criando instância e gerando QR Code...");
+
+                // --- Lógica Wuzapi (Modelo Reference: venux-personal-server) ---
+                const newInstId = `user_${ctx.chat.id}_${Date.now().toString().slice(-6)}`; // ID único curto
+
+                // 1. Criar Usuário Wuzapi definindo o Token manualmente
+                console.log(`[DEBUG] Criando user Wuzapi: ${newInstId}`);
+
+                const createRes = await callWuzapi("/admin/users", "POST", {
+                    name: newInstId,
+                    token: newInstId // Definindo o token igual ao ID para controle total
+                });
+
+                console.log(`[DEBUG] Wuzapi Create User Res:`, JSON.stringify(createRes));
+
+                if (createRes.success) {
+                    // 2. Configurar Webhook Específico para este User/Instância
+                    const webhookSecret = generateInstanceSecret();
+                    const specificWebhook = buildInstanceWebhook(ctx.tenant.id, ctx.chat.id, webhookSecret);
+                    await callWuzapi("/webhook", "POST", {
+                        webhook: specificWebhook,
+                        events: ["All"]
+                    }, newInstId); // Usa newInstId como token
+
+                    // 3. Salvar na tabela de instâncias (Estado: DISCONNECTED / CONNECTING)
+                    ctx.session.stage = "READY";
+                    await ctx.save();
+
+                    try {
+                        await createInstance(ctx.tenant.id, ctx.chat.id, {
+                            id: newInstId, // Token e ID são o mesmo
+                            wuzapiId: createRes.data?.id || newInstId,
+                            token: newInstId,
+                            name: text, // Nome dado pelo usuário
+                            webhook: specificWebhook,
+                            webhookSecret
+                        });
+                    } catch (e) {
+                        // Não deixa usuário órfão no Wuzapi
+                        await callWuzapi(`/admin/users/${createRes.data?.id || newInstId}`, "DELETE");
+                        return ctx.reply(`❌ Erro ao salvar instância: ${e.message}`);
+                    }
+
+                    // 4. Mostrar menu de sucesso e opções de conexão
+                    await ctx.reply(`✅ Instância <b>${text}</b> criada com sucesso!`, {
+                        parse_mode: "HTML",
+                        ...Markup.inlineKeyboard([
+                            [Markup.button.callback("📷 Gerar QR Code", `inst_manage_${newInstId}`)], // Vai pro menu de gestão que tem o QR
+                            [Markup.button.callback("🔙 Voltar", "cmd_instancias_menu")]
+                        ])
+                    });
+
+                } else {
+                    console.log(`[ERROR WUZAPI] ${JSON.stringify(createRes)}`);
+                    ctx.session.stage = "READY";
+                    await ctx.save();
+                    await ctx.reply(`❌ Erro ao comunicar com API: ${createRes.text || createRes.message || JSON.stringify(createRes)}`);
+                }
+                return;
             }
-        })
-    });
 
-    if (!chargeRes.ok) {
-        const err = await chargeRes.text();
-        throw new Error(`Erro ao gerar Pix: ${err.substring(0, 500)}...`);
-    }
+            // --- DISPARO EM MASSA ---
+            if (stage === "MASS_WAIT_CONTACTS") {
+                return handleMassContacts(ctx, ctx.message.text);
+            }
 
-    const data = await chargeRes.json();
-    // Retorna formato unificado
-    return {
-        id: data.identifier,
-        qrcode_text: data.pix_code,
-        qrcode_image_url: null // API não retorna imagem direta, apenas o código
-    };
-}
+            if (stage === "MASS_WAIT_MESSAGE") {
+                ctx.session.massDraft.message = text;
+                ctx.session.massDraft.media = null;
+                ctx.session.stage = "MASS_SELECT_INSTANCES";
+                await ctx.save();
 
-// -- SaaS Bot Factory --
-async function startTenantBot(tenant) {
-    if (activeBots.has(tenant.id)) {
-        log(`Bot já está rodando. Reiniciando...`, tenant.name);
-        try { activeBots.get(tenant.id).stop(); } catch (e) { }
-    }
+                const { text: pickerText, keyboard } = await renderInstancePicker(ctx);
+                return ctx.reply(pickerText, { parse_mode: "HTML", ...keyboard });
+            }
 
-    // Load initial user count
-    const initialUserCount = await getTenantUserCount(tenant.id);
-    tenant.activeUserCount = initialUserCount;
+            if (stage === "MASS_SELECT_INSTANCES") {
+                return ctx.reply("👆 Selecione as instâncias nos botões acima e toque em <b>Iniciar Disparo</b>.", { parse_mode: "HTML" });
+            }
 
-    log(`Iniciando Bot [${tenant.name}]... (Usuários: ${initialUserCount}/${tenant.max_users || 10})`, "SYSTEM");
+            // --- RODÍZIO DE LEADS ---
+            if (stage === "ROT_WAIT_PHONE") {
+                const [rawPhone, ...rest] = text.split(/\s+/);
+                const phone = normalizePhone(rawPhone);
+                if (!phone) return ctx.reply("❌ Número inválido. Envie no formato: numero nome [telegram_id]");
+
+                let telegramChatId = null;
+                if (rest.length > 1 && /^-?\d{5,}$/.test(rest[rest.length - 1])) telegramChatId = rest.pop();
+                const name = rest.join(" ") || phone;
+
+                const group = await getRotationGroup(ctx.tenant.id, ctx.chat.id);
+                const members = [...(group?.members || []), {
+                    id: `m${Date.now().toString(36)}`,
+                    type: "phone",
+                    phone,
+                    name,
+                    weight: 1,
+                    telegramChatId
+                }];
+                await supabase.from('rotation_groups').update({ members }).eq('id', group.id);
+
+                ctx.session.stage = "READY";
+                await ctx.save();
+                await ctx.reply(`✅ Atendente <b>${escapeHtml(name)}</b> adicionado!`, { parse_mode: "HTML" });
+                return showRotationMenu(ctx);
+            }
 
-    const bot = new Telegraf(tenant.telegram_token);
+            if (stage === "ROT_WAIT_WEIGHT") {
+                const weight = parseInt(text);
+                if (isNaN(weight) || weight < 1 || weight > 100) return ctx.reply("❌ Digite um número de 1 a 100.");
 
-    // Inject Tenant Context Middleware
-    bot.use(async (ctx, next) => {
-        ctx.tenant = tenant;
+                const group = await getRotationGroup(ctx.tenant.id, ctx.chat.id);
+                const members = (group?.members || []).map(m => m.id === ctx.session.temp_rot_member ? { ...m, weight } : m);
+                await supabase.from('rotation_groups').update({ members }).eq('id', group.id);
 
-        // -- VALIDAÇÃO DE VENCIMENTO --
-        if (tenant.expiration_date) {
-            const now = new Date();
-            const expiration = new Date(tenant.expiration_date);
-            if (now > expiration && String(ctx.chat.id) !== tenant.owner_chat_id) {
-                return ctx.reply("🚫 <b>Seu plano venceu!</b>\nEntre em contato com o suporte para renovar.", { parse_mode: "HTML" });
+                ctx.session.stage = "READY";
+                ctx.session.temp_rot_member = null;
+                await ctx.save();
+                return showRotationMenu(ctx);
             }
-        }
 
-        // -- VALIDAÇÃO DE LIMITE DE USUÁRIOS --
-        // Se for o dono, sempre libera
-        if (String(ctx.chat.id) !== tenant.owner_chat_id) {
-            const cacheKey = `${tenant.id}_${ctx.chat.id}`;
-            const isCached = sessionCache.has(cacheKey);
-
-            // Se não está no cache (potencial novo usuário na sessão atual do servidor)
-            if (!isCached) {
-                // Verifica se já está no banco (usuário antigo retornando)
-                const existsInDb = await checkUserExists(tenant.id, ctx.chat.id);
-
-                if (!existsInDb) {
-                    // NOVO USUÁRIO REAL
-                    const maxUsers = tenant.max_users || 10;
-                    if (tenant.activeUserCount >= maxUsers) {
-                        return ctx.reply(`🚫 <b>Limite de Usuários Atingido!</b>\n\nEste bot atingiu o limite máximo de ${maxUsers} usuários simultâneos contratados.\nEntre em contato com o administrador.`, { parse_mode: "HTML" });
-                    }
-                    // Se passou, incrementa (será salvo no saveSession depois)
-                    tenant.activeUserCount++;
-                    log(`[${tenant.name}] Novo usuário! Total: ${tenant.activeUserCount}/${maxUsers}`, "INFO");
+            // --- SAQUE DE AFILIADO ---
+            if (stage === "AFF_WAIT_PIX_KEY") {
+                ctx.session.stage = "READY";
+                await ctx.save();
+
+                // Saldo conferido e debitado no banco, numa transação só (duas mensagens juntas não sacam duas vezes)
+                const { data: rows, error } = await supabase.rpc('request_affiliate_payout', {
+                    p_tenant_id: ctx.tenant.id,
+                    p_chat_id: String(ctx.chat.id),
+                    p_pix_key: text.substring(0, 140),
+                    p_min_amount: AFFILIATE_MIN_PAYOUT
+                });
+                if (error) return ctx.reply(`❌ Erro: ${error.message}`);
+
+                const payout = rows?.[0];
+                if (!payout) {
+                    return ctx.reply(`❌ Saldo insuficiente para saque (mínimo ${formatBRL(AFFILIATE_MIN_PAYOUT)}).`);
                 }
+                const amount = Number(payout.amount);
+
+                notifyTenantUser(ctx.tenant, ctx.tenant.owner_chat_id,
+                    `💸 <b>Novo pedido de saque de afiliado</b>
+
+Usuário: <code>${ctx.chat.id}</code>
+Valor: <b>${formatBRL(amount)}</b>
+
+Aprove em /admin → Afiliados.`);
+
+                return ctx.reply(`✅ <b>Saque solicitado!</b>
+Valor: ${formatBRL(amount)}
+Você será avisado quando for processado.`, { parse_mode: "HTML" });
             }
+
+            // ... Outros wizards (Owner, etc) ...
         }
 
-        ctx.session = await getSession(tenant.id, ctx.chat.id);
+        // --- Lógica Original de IA (Se não for wizard) ---
+        // Se for comando, ignora
+        if (ctx.message.text.startsWith("/")) return;
 
-        ctx.save = async () => {
-            await saveSession(tenant.id, ctx.chat.id, ctx.session); // Save session state
-        };
+        // Atendimento humano aberto: IA pausada, a mensagem vai para o suporte
+        const openTicket = await getOpenTicket(ctx.tenant.id, `tg:${ctx.chat.id}`);
+        if (openTicket) {
+            return forwardToSupport(ctx.tenant, openTicket, { text: ctx.message.text })
+                .catch(e => log(`Erro ao encaminhar ticket #${openTicket.id}: ${e.message}`, ctx.tenant.name));
+        }
 
-        return next();
-    });
+        // Se não tiver IA configurada
+        if (!getAIClient(ctx.tenant)) {
+            // Se for o dono, avisa como configurar. Se for usuário comum, diz que está em manutenção.
+            if (String(ctx.chat.id) === String(ctx.tenant.owner_chat_id)) {
+                return ctx.reply("⚠️ <b>IA Não Configurada.</b>\nUse /admin para adicionar sua API Key.", { parse_mode: "HTML" });
+            } else {
+                return ctx.reply("🤖 O administrador ainda não ativou minha inteligência.");
+            }
+        }
 
-    // Definir Menu de Comandos do Bot (Para o Tenant e Usuários)
-    bot.telegram.setMyCommands([
-        { command: "start", description: "Iniciar atendimento" },
-        { command: "admin", description: "Painel do Dono (Configurações)" },
-        { command: "id", description: "Ver meu ID do Telegram" }
-    ]);
+        // Limite diário por usuário (o dono não tem limite)
+        if (!isOwner(ctx)) {
+            const quota = await checkUsageQuota(ctx.tenant, `tg:${ctx.chat.id}`);
+            if (!quota.allowed) return ctx.reply(`⚠️ ${quota.reason}`);
+        }
 
-    // --- OWNER DASHBOARD ---
-    const isOwner = (ctx) => String(ctx.chat.id) === String(ctx.tenant.owner_chat_id);
+        try {
+            await ctx.sendChatAction("typing");
+            const answer = await generateAIReply(ctx.tenant, ctx.message.text, `tg:${ctx.chat.id}`);
+            ctx.reply(answer);
+        } catch (e) {
+            log(`Erro IA [${ctx.tenant.name}]: ${e.message}`, "ERROR");
+            ctx.reply("❌ Ocorreu um erro ao processar sua mensagem.");
+        }
+    });
 
-    async function renderOwnerDashboard(ctx) {
-        if (!isOwner(ctx)) return;
+    // --- IA com Mídia (Áudio, Foto e Documento) ---
+    // Registrado depois dos wizards de mídia (disparo, base de conhecimento), que chamam next() fora do seu estágio
+    bot.on(["voice", "audio", "photo", "document"], async (ctx, next) => {
+        if (ctx.session?.stage && ctx.session.stage !== "READY") return next();
+
+        const openTicket = await getOpenTicket(ctx.tenant.id, `tg:${ctx.chat.id}`);
+        if (openTicket) {
+            return forwardToSupport(ctx.tenant, openTicket, {
+                text: ctx.message.caption || "[📎 mídia]",
+                copyFrom: { chatId: ctx.chat.id, messageId: ctx.message.message_id }
+            }).catch(e => log(`Erro ao encaminhar ticket #${openTicket.id}: ${e.message}`, ctx.tenant.name));
+        }
 
-        const tenant = ctx.tenant;
+        if (!getAIClient(ctx.tenant)) {
+            return ctx.reply("🤖 O administrador ainda não ativou minha inteligência.");
+        }
 
-        let status = tenant.is_active ? "✅ Ativo" : "❌ Inativo (Banido)";
-        if (tenant.expiration_date && new Date() > new Date(tenant.expiration_date)) {
-            status = "🚫 Vencido (Bloqueado)";
+        const contactKey = `tg:${ctx.chat.id}`;
+        if (!isOwner(ctx)) {
+            const quota = await checkUsageQuota(ctx.tenant, contactKey);
+            if (!quota.allowed) return ctx.reply(`⚠️ ${quota.reason}`);
         }
 
-        const syncPayStatus = (tenant.syncpay_client_id && tenant.syncpay_client_secret) ? "✅ Configurado" : "⚠️ Pendente";
+        const msg = ctx.message;
+        let media;
+        if (msg.voice || msg.audio) {
+            const file = msg.voice || msg.audio;
+            media = { kind: "voice", fileId: file.file_id, size: file.file_size, mime: file.mime_type || "audio/ogg", fileName: file.file_name || "audio.ogg" };
+        } else if (msg.photo) {
+            const photo = msg.photo[msg.photo.length - 1];
+            media = { kind: "image", fileId: photo.file_id, size: photo.file_size, mime: "image/jpeg" };
+        } else {
+            const doc = msg.document;
+            const isImage = (doc.mime_type || "").startsWith("image/");
+            media = { kind: isImage ? "image" : "document", fileId: doc.file_id, size: doc.file_size, mime: doc.mime_type || "", fileName: doc.file_name };
+        }
 
-        // Status da IA
-        const aiKeyStatus = tenant.openai_api_key ? "✅ Própria (Ativa)" : "🔴 Não Configurada (IA Off)";
-        const aiModel = tenant.openai_model || DEFAULT_MODEL;
+        if (media.size > MEDIA_MAX_FILE_SIZE) return ctx.reply("❌ Arquivo muito grande (máx 20MB).");
 
-        const maxUsers = tenant.max_users || 10;
-        const currentUsers = tenant.activeUserCount || 0;
+        try {
+            await ctx.sendChatAction("typing");
+            const { buffer } = await downloadTelegramFile(ctx.telegram, media.fileId, { save: false });
+            const answer = await generateMediaReply(ctx.tenant, contactKey, { ...media, buffer, caption: msg.caption });
+            if (answer) await ctx.reply(answer);
+        } catch (e) {
+            log(`Erro IA (mídia) [${ctx.tenant.name}]: ${e.message}`, "ERROR");
+            ctx.reply("❌ Não consegui processar este arquivo. Envie áudio, foto, PDF, DOCX ou TXT.");
+        }
+    });
 
-        const text = `👑 <b>Painel do Dono (${tenant.name})</b>\n\n` +
-            `📊 <b>Status:</b> ${status}\n` +
-            `👥 <b>Usuários:</b> ${currentUsers}/${maxUsers}\n` +
-            `💳 <b>Pagamento (SyncPay):</b> ${syncPayStatus}\n` +
-            `🧠 <b>Inteligência Artificial:</b>\n` +
-            `   ├ Key: ${aiKeyStatus}\n` +
-            `   └ Modelo: ${aiModel}\n` +
-            `🔑 <b>Token Bot:</b> ...${tenant.telegram_token.slice(-5)}\n\n` +
-            `<i>Configure suas credenciais abaixo:</i>`;
+    // --- Handler de Gerenciamento de Instância (NOVO) ---
+    async function renderInstanceManage(ctx, inst) {
+        let text = `⚙️ <b>Gerenciar Instância: ${inst.name}</b>\n\n`;
+        text += `ID: <code>${inst.id}</code>\n`;
+        text += `Status: ${formatInstanceStatus(inst)}\n\n`;
 
-        const buttons = [
-            [Markup.button.callback("💳 Configurar SyncPay", "owner_setup_syncpay")],
-            [Markup.button.callback("🧠 Configurar IA", "owner_setup_ai")],
-            [Markup.button.callback("🎭 Personalizar Prompt", "owner_setup_prompt")],
-            [Markup.button.callback("💸 Renovar Assinatura", "owner_renew_sub")],
-            [Markup.button.callback("🔄 Recarregar Bot", "owner_reload_bot")]
-        ];
+        const buttons = [];
+        if (!inst.isConnected) {
+            buttons.push([Markup.button.callback("📷 Gerar QR Code", `wa_qr_${inst.id}`)]);
+        }
+        buttons.push([Markup.button.callback("🔄 Verificar Agora", `inst_refresh_${inst.id}`)]);
+        buttons.push([Markup.button.callback("🗑️ Deletar Instância", `wa_del_${inst.id}`)]);
+        buttons.push([Markup.button.callback("🔙 Voltar", "cmd_instancias_menu")]);
 
-        await ctx.reply(text, { parse_mode: "HTML", ...Markup.inlineKeyboard(buttons) });
+        await safeEdit(ctx, text, Markup.inlineKeyboard(buttons));
     }
 
-    bot.command("admin", async (ctx) => {
-        if (!isOwner(ctx)) return ctx.reply("⛔ Acesso restrito ao dono do bot.");
-        await renderOwnerDashboard(ctx);
-    });
+    bot.action(/^inst_manage_(.+)$/, async (ctx) => {
+        const instId = ctx.match[1];
+        const inst = await getInstance(ctx.tenant.id, ctx.chat.id, instId);
 
-    bot.action("owner_menu", async (ctx) => {
-        if (!isOwner(ctx)) return;
-        await ctx.answerCbQuery();
-        await renderOwnerDashboard(ctx);
-    });
+        if (!inst) return ctx.reply("❌ Instância não encontrada.");
 
-    // --- SETUP SYNCPAY ---
-    bot.action("owner_setup_syncpay", async (ctx) => {
-        if (!isOwner(ctx)) return;
-        ctx.session.stage = "OWNER_WAIT_SYNCPAY_ID";
-        await ctx.save();
-        await ctx.reply("💳 <b>Configuração SyncPay (Passo 1/2)</b>\n\nPor favor, envie o seu <b>Client ID</b> da SyncPay:", { parse_mode: "HTML" });
-    });
+        // Instâncias antigas não têm segredo no webhook: gera e re-registra no Wuzapi
+        await ensureInstanceSecret(inst);
 
-    // --- SETUP IA ---
-    bot.action("owner_setup_ai", async (ctx) => {
-        if (!isOwner(ctx)) return;
-        ctx.session.stage = "OWNER_WAIT_OPENAI_KEY";
-        await ctx.save();
-        await ctx.reply(
-            "⚠️ <b>Atenção:</b> Para a IA funcionar, você precisa usar a <b>SUA</b> API Key.\n\n" +
-            "Envie agora a sua chave (começa com sk-...).\n" +
-            "Se não enviar, a inteligência do bot ficará desligada.",
-            { parse_mode: "HTML" }
-        );
+        await renderInstanceManage(ctx, inst);
     });
 
-    // --- SETUP PROMPT ---
-    bot.action("owner_setup_prompt", async (ctx) => {
-        if (!isOwner(ctx)) return;
-        ctx.session.stage = "OWNER_WAIT_PROMPT";
-        await ctx.save();
-        await ctx.reply(
-            "🎭 <b>Personalizar Personalidade (Prompt)</b>\n\n" +
-            "Como você quer que o bot aja? (Vendedor, Suporte, Amigo...)\n\n" +
-            "<i>Atual:</i> " + (ctx.tenant.system_prompt || 'Padrão') + "\n\n" +
-            "Envie o novo texto de instrução agora:",
-            { parse_mode: "HTML" }
-        );
-    });
+    // Consulta manual ao Wuzapi (o menu normalmente usa o estado em cache)
+    bot.action(/^inst_refresh_(.+)$/, async (ctx) => {
+        const instId = ctx.match[1];
+        const inst = await getInstance(ctx.tenant.id, ctx.chat.id, instId);
+        if (!inst) return ctx.answerCbQuery("❌ Instância não encontrada.");
 
-    bot.action("owner_reload_bot", async (ctx) => {
-        if (!isOwner(ctx)) return;
-        await ctx.answerCbQuery("🔄 Reiniciando...", { show_alert: true });
-        // Recarrega do banco para pegar mudanças de API Key/Model confirmadas
-        try {
-            const { data } = await supabase.from('tenants').select('*').eq('id', tenant.id).single();
-            if (data) {
-                Object.assign(tenant, data); // Atualiza objeto em memória
-                await ctx.reply("✅ Configurações recarregadas com sucesso!");
-                return renderOwnerDashboard(ctx);
-            }
-        } catch (e) {
-            await ctx.reply("❌ Erro ao recarregar.");
+        const statusRes = await callWuzapi(`/session/status`, "GET", null, inst.token);
+        if (statusRes.error) {
+            return ctx.answerCbQuery("⚠️ Wuzapi não respondeu. Mostrando último estado conhecido.", { show_alert: true });
         }
+
+        const connected = Boolean(statusRes.success) && isWuzapiOnline(statusRes.data);
+        await applyInstanceStatus(ctx.tenant, ctx.chat.id, inst, {
+            connected,
+            jid: statusRes.data?.jid || null,
+            error: connected ? null : "Desconectado"
+        });
+
+        await ctx.answerCbQuery(connected ? "✅ Conectado" : "🔴 Desconectado");
+        await renderInstanceManage(ctx, inst);
     });
 
-    // Capture Text Handling for Wizard
-    bot.on("text", async (ctx, next) => {
-        // Ignorar se não for dono
-        if (!isOwner(ctx)) return next();
+    // --- Handler de QR Code (NOVO) ---
+    bot.action(/^wa_qr_(.+)$/, async (ctx) => {
+        const instId = ctx.match[1];
+        const inst = await getInstance(ctx.tenant.id, ctx.chat.id, instId);
+        if (!inst) return ctx.answerCbQuery("❌ Instância não encontrada.");
 
-        const text = ctx.message.text;
+        await ctx.answerCbQuery("⏳ Gerando QR Code...");
 
-        // Se for comando (começa com /), deixa passar para os handlers de comando
-        // EXCETO /cancelar, que queremos que resete o wizard aqui mesmo
-        if (text.startsWith("/") && text !== "/cancelar") {
-            return next();
-        }
+        // Link assinado (curta duração) para abrir o QR em outro aparelho
+        const linkButton = Markup.inlineKeyboard([
+            [Markup.button.url("🌐 Abrir QR em outro aparelho", buildQrLink(ctx.tenant.id, ctx.chat.id, instId))]
+        ]);
 
-        if (text === "/cancelar") {
-            ctx.session.stage = "READY";
-            await ctx.save();
-            await ctx.reply("❌ Operação cancelada.");
-            return renderOwnerDashboard(ctx);
-        }
+        // 1. Iniciar Sessão (Wuzapi requirement)
+        await callWuzapi("/session/connect", "POST", { Immediate: true }, inst.token);
 
-        const stage = ctx.session.stage;
+        // 2. Pegar QR
+        await new Promise(r => setTimeout(r, 1500)); // Esperar Wuzapi iniciar processo
+        const res = await callWuzapi("/session/qr", "GET", null, inst.token);
 
-        // --- SYNCPAY FLOW ---
-        if (stage === "OWNER_WAIT_SYNCPAY_ID") {
-            ctx.session.temp_sync_id = ctx.message.text.trim();
-            ctx.session.stage = "OWNER_WAIT_SYNCPAY_SECRET";
-            await ctx.save();
-            return ctx.reply("💳 <b>Passo 2/2</b>\n\nAgora envie o seu <b>Client Secret</b> da SyncPay:", { parse_mode: "HTML" });
+        if (res.data && res.data.QRCode) {
+            const qrBase64 = res.data.QRCode.split(",")[1];
+            await ctx.replyWithPhoto({ source: Buffer.from(qrBase64, "base64") }, {
+                caption: "📷 <b>Escaneie para conectar</b>\n\nSe este é o mesmo celular do WhatsApp, abra o link abaixo em outro aparelho (válido por 10 min).",
+                parse_mode: "HTML",
+                ...linkButton
+            });
+        } else {
+            console.log(`[QR FAIL] Res: ${JSON.stringify(res)}`);
+            await ctx.reply("❌ Falha ao gerar QR Code aqui. Tente pelo link abaixo ou novamente em alguns segundos.", linkButton);
         }
+    });
 
-        if (stage === "OWNER_WAIT_SYNCPAY_SECRET") {
-            const secret = ctx.message.text.trim();
-            const clientId = ctx.session.temp_sync_id;
-
-            // Salvar no Banco SaaS (Tabela tenants)
-            const { error } = await supabase
-                .from('tenants')
-                .update({
-                    syncpay_client_id: clientId,
-                    syncpay_client_secret: secret
-                })
-                .eq('id', ctx.tenant.id);
 
-            if (error) return ctx.reply(`❌ Erro: ${error.message}`);
+    // --- Handler de Deletar Instância (NOVO) ---
+    bot.action(/^wa_del_(.+)$/, async (ctx) => {
+        const instId = ctx.match[1];
+        const inst = await getInstance(ctx.tenant.id, ctx.chat.id, instId);
+        if (!inst) return ctx.answerCbQuery("❌ Instância não encontrada.");
 
-            ctx.session.stage = "READY";
-            ctx.session.temp_sync_id = null;
-            await ctx.save();
+        // Deletar no Wuzapi
+        await callWuzapi(`/admin/users/${inst.wuzapiId || inst.id}`, "DELETE");
 
-            // Atualizar memória
-            ctx.tenant.syncpay_client_id = clientId;
-            ctx.tenant.syncpay_client_secret = secret;
+        // Remover da tabela local
+        await deleteInstance(inst.id);
 
-            await ctx.reply("✅ SyncPay configurado!", { parse_mode: "HTML" });
-            return renderOwnerDashboard(ctx);
-        }
+        await ctx.answerCbQuery("🗑️ Instância removida!");
+        await showInstances(ctx);
+    });
 
-        // --- OPENAI FLOW ---
-        if (stage === "OWNER_WAIT_OPENAI_KEY") {
-            const key = ctx.message.text.trim();
-            if (!key.startsWith("sk-")) return ctx.reply("❌ Key inválida. Deve começar com 'sk-'. Tente novamente ou /cancelar.");
+    // Falha ao subir (ou polling derrubado): token recusado fica marcado; outros erros (409, rede)
+    // tiram o bot do mapa para o supervisor tentar de novo no próximo ciclo
+    const onLaunchError = (err) => {
+        log(`Erro ao iniciar bot: ${err.message}`, tenant.name);
+        recordBotError(tenant, err);
+        if (activeBots.get(String(tenant.id)) !== bot) return; // Já foi substituído/parado
+        health.status = "error";
+        if (isTokenRejected(err)) return markTokenInvalid(tenant, err);
+        activeBots.delete(String(tenant.id));
+        if (CLUSTER_ENABLED) return; // O lease continua nosso: o ciclo do cluster sobe de novo
+        activeTenants.delete(String(tenant.id));
+    };
 
-            // Salva a Key e pergunta o modelo
-            ctx.session.temp_openai_key = key;
-            ctx.session.stage = "OWNER_WAIT_OPENAI_MODEL";
-            await ctx.save();
+    if (TELEGRAM_MODE === "webhook") {
+        // Updates chegam pela rota /telegram/:tenantId/:secret (setWebhook substitui o polling de outra instância)
+        bot.telegram.setWebhook(telegramWebhookUrl(tenant), { secret_token: telegramWebhookSecret(tenant) }).then(() => {
+            health.status = "online";
+            log(`Bot Online (webhook)! 🚀`, tenant.name);
+        }).catch(onLaunchError);
+    } else {
+        // launch() em polling remove o webhook antes (troca de modo webhook -> polling);
+        // a promise só resolve quando o polling para, então o "online" vem do callback
+        bot.launch(() => {
+            health.status = "online";
+            log(`Bot Online! 🚀`, tenant.name);
+        }).catch(onLaunchError);
+    }
 
-            const buttons = [
-                [Markup.button.callback("GPT-4o Mini (Padrão)", "set_model_4o_mini")],
-                [Markup.button.callback("GPT-4o (Potente)", "set_model_4o")],
-                [Markup.button.callback("GPT-3.5 Turbo (Antigo)", "set_model_35")]
-            ];
+    activeBots.set(String(tenant.id), bot);
 
-            return ctx.reply("🤖 <b>Escolha o Modelo de IA:</b>", { parse_mode: "HTML", ...Markup.inlineKeyboard(buttons) });
-        }
+    resumeRunningCampaigns(tenant).catch(e => log(`Erro ao retomar campanhas: ${e.message}`, tenant.name));
+    resumeOwnerBroadcasts(tenant).catch(e => log(`Erro ao retomar transmissões: ${e.message}`, tenant.name));
+}
 
-        // --- PROMPT FLOW ---
-        if (stage === "OWNER_WAIT_PROMPT") {
-            const prompt = ctx.message.text.trim();
+// -- Loaders --
+async function loadTenants() {
+    // Em cluster, quem decide o que roda aqui é a divisão de leases
+    if (CLUSTER_ENABLED) return runClusterTick().catch(e => log(`Cluster: erro no ciclo: ${e.message}`, "ERROR"));
 
-            const { error } = await supabase.from('tenants').update({ system_prompt: prompt }).eq('id', ctx.tenant.id);
+    log("Carregando Tenants...", "SYSTEM");
+    let tenants;
+    try {
+        tenants = await storage.tenants.listActive();
+    } catch (error) {
+        log(`Erro fatal ao carregar tenants: ${error.message}`, "SYSTEM");
+        return;
+    }
 
-            if (error) return ctx.reply(`❌ Erro: ${error.message}`);
+    if (!tenants || tenants.length === 0) {
+        log("Nenhum tenant ativo encontrado.", "SYSTEM");
+        return;
+    }
 
-            ctx.tenant.system_prompt = prompt; // Atualiza memória rápida
-            ctx.session.stage = "READY";
-            await ctx.save();
+    for (const tenant of tenants) {
+        if (isTenantRunnable(tenant)) startTenantBot(tenant).catch(e => log(`Erro ao iniciar bot: ${e.message}`, tenant.name));
+        else log(`Bot não iniciado: token marcado como inválido em ${new Date(tenant.token_invalid_at).toLocaleString("pt-BR")}`, tenant.name);
+    }
+}
 
-            await ctx.reply("✅ <b>Personalidade definida!</b>\nA IA agora seguirá suas novas instruções.", { parse_mode: "HTML" });
-            return renderOwnerDashboard(ctx);
+// -- Supervisor de Tenants --
+// Acompanha a tabela tenants (diff por polling, funciona nos dois drivers) e aplica só o que mudou:
+// sobe, para ou reconfigura o bot afetado em vez de reiniciar todos.
+const TENANT_SYNC_INTERVAL = (parseInt(process.env.TENANT_SYNC_INTERVAL) || 30) * 1000;
+const tenantFingerprints = new Map(); // String(tenantId) -> JSON da última linha vista
+
+// Alinha o bot deste processo com a linha atual do tenant (row já lida evita uma consulta)
+async function syncTenant(tenantId, row) {
+    const fresh = row !== undefined ? row : await storage.tenants.get(tenantId);
+    const key = String(tenantId);
+    if (fresh) tenantFingerprints.set(key, JSON.stringify(fresh));
+    else tenantFingerprints.delete(key);
+
+    const live = activeTenants.get(key);
+    const running = activeBots.has(key);
+    const tenant = decryptTenant(fresh ? { ...fresh } : null);
+
+    if (!isTenantRunnable(tenant)) {
+        if (running) {
+            log(`Supervisor: parando bot (${!tenant ? "removido" : !tenant.is_active ? "bloqueado" : "token inválido"})`, live?.name || key);
+            // Token inválido: deleteWebhook também falharia
+            await stopTenantBot(tenantId, { disable: !tenant?.token_invalid_at });
+        } else if (CLUSTER_ENABLED) {
+            publishClusterEvent({ type: "tenant", tenantId }); // Se roda em outra réplica, ela para
         }
+        return;
+    }
 
-        return next();
-    });
+    if (!running || !live) return startTenantBot(tenant);
 
-    // --- MODEL SELECTION ACTIONS ---
-    const saveModel = async (ctx, modelName) => {
-        const key = ctx.session.temp_openai_key;
-        if (!key) return ctx.reply("❌ Sessão expirada. Comece de novo.");
+    // Token trocado exige um Telegraf novo; o resto vale no objeto compartilhado com os handlers
+    if (live.telegram_token !== tenant.telegram_token) {
+        log("Supervisor: token alterado, reiniciando bot", tenant.name);
+        return startTenantBot(tenant);
+    }
 
-        const { error } = await supabase
-            .from('tenants')
-            .update({
-                openai_api_key: key,
-                openai_model: modelName
-            })
-            .eq('id', ctx.tenant.id);
+    const raisedLimit = (tenant.max_users || 10) > (live.max_users || 10);
+    Object.assign(live, tenant);
+    if (raisedLimit) await promoteWaitlist(live);
+}
 
-        if (error) return ctx.reply(`❌ Erro ao salvar: ${error.message}`);
+async function runTenantSupervisor() {
+    const seen = new Set();
+    for (let offset = 0; ; offset += 500) {
+        const rows = await storage.tenants.scan({ offset, limit: 500 });
+        for (const row of rows) {
+            const key = String(row.id);
+            seen.add(key);
+            const running = activeBots.has(key);
+            const changed = tenantFingerprints.get(key) !== JSON.stringify(row);
+
+            // Em cluster, tenant que roda em outra réplica é aplicado por ela (e quem sobe é a divisão de leases)
+            if (CLUSTER_ENABLED && !running) {
+                tenantFingerprints.set(key, JSON.stringify(row));
+                continue;
+            }
+            // Sem mudança: só sobe de novo quem caiu
+            if (!changed && (running || !isTenantRunnable(row))) continue;
 
-        ctx.session.stage = "READY";
-        ctx.session.temp_openai_key = null;
-        await ctx.save();
+            await syncTenant(row.id, row).catch(e => log(`Supervisor: erro ao aplicar tenant ${key}: ${e.message}`, "ERROR"));
+        }
+        if (rows.length < 500) break;
+    }
 
-        // Atualizar memória
-        ctx.tenant.openai_api_key = key;
-        ctx.tenant.openai_model = modelName;
+    // Apagados da tabela
+    for (const key of [...tenantFingerprints.keys()]) {
+        if (!seen.has(key)) await syncTenant(key, null).catch(e => log(`Supervisor: erro ao remover tenant ${key}: ${e.message}`, "ERROR"));
+    }
+}
 
-        await ctx.reply(`✅ <b>IA Configurada!</b>\nModelo: ${modelName}`, { parse_mode: "HTML" });
-        return renderOwnerDashboard(ctx);
-    };
+function startTenantSupervisor() {
+    setInterval(() => {
+        runTenantSupervisor().catch(e => log(`Supervisor: erro no ciclo: ${e.message}`, "ERROR"));
+    }, TENANT_SYNC_INTERVAL);
+}
 
-    // --- RENOVAÇÃO DE ASSINATURA ---
-    bot.action("owner_renew_sub", async (ctx) => {
-        if (!isOwner(ctx)) return;
-        await ctx.answerCbQuery("Gerando Pix...");
-        await ctx.reply("⏳ <b>Gerando cobrança...</b> Aguarde um momento.", { parse_mode: "HTML" });
+// -- Super Admin API (Para você criar clientes) --
+app.post("/admin/create-tenant", rateLimit("admin", 30), requireAdminAuth, async (req, res) => {
+    const { name, telegram_token, syncpay_id, syncpay_secret } = req.body;
 
-        try {
-            const charge = await generateSubscriptionCharge(ctx.tenant);
+    // Calcula data de vcto (30 dias padrão)
+    const expirationDate = new Date();
+    expirationDate.setDate(expirationDate.getDate() + 30);
 
-            const pixCode = charge.qrcode_text;
-            // const qrImage = charge.qrcode_image_url; // Removido a pedido
+    const { data, error } = await supabase.from('tenants').insert(encryptTenantFields({
+        name,
+        telegram_token,
+        syncpay_client_id: syncpay_id,
+        syncpay_client_secret: syncpay_secret,
+        is_active: true,
+        expiration_date: expirationDate
+    })).select().single();
 
-            // Envia Copia e Cola
-            await ctx.reply(
-                `💰 <b>Renovação de Assinatura</b>\n` +
-                `Valor: R$ ${charge.value.toFixed(2).replace('.', ',')}\n` +
-                `Cliente: <b>${ctx.tenant.name}</b>\n\n` +
-                `Copie o código abaixo e pague no seu banco:`,
-                { parse_mode: "HTML" }
-            );
-            await ctx.reply(`<code>${pixCode}</code>`, { parse_mode: "HTML" });
+    if (error) return res.status(400).json({ error: error.message });
 
-            await ctx.reply("ℹ️ Assim que o pagamento for confirmado, seu plano será renovado automaticamente por +30 dias.");
+    syncTenant(data.id, data).catch(e => log(`Erro ao iniciar bot: ${e.message}`, data.name));
+    return res.json({ success: true, tenant: maskTenant(data) });
+});
 
-        } catch (e) {
-            log(`Erro renovação [${ctx.tenant.name}]: ${e.message}`, "ERROR");
-            await ctx.reply(`❌ Erro ao gerar cobrança: ${e.message}`);
-        }
-    });
+// Painel de receita/clientes em JSON (mesmos números do 📊 Estatísticas do Master Bot)
+app.get("/admin/stats", rateLimit("admin", 30), requireAdminAuth, async (req, res) => {
+    try {
+        const stats = await buildRevenueStats();
+        delete stats.tenant_list; // Lista completa fica no CSV
+        return res.json(stats);
+    } catch (e) {
+        log(`Erro em /admin/stats: ${e.message}`, "ERROR");
+        return res.status(500).json({ error: e.message });
+    }
+});
 
-    bot.action("set_model_4o_mini", (ctx) => saveModel(ctx, "gpt-4o-mini"));
-    bot.action("set_model_4o", (ctx) => saveModel(ctx, "gpt-4o"));
-    bot.action("set_model_35", (ctx) => saveModel(ctx, "gpt-3.5-turbo"));
+// Exportação CSV: ?type=tenants (padrão) | payments
+app.get("/admin/stats/export", rateLimit("admin", 30), requireAdminAuth, async (req, res) => {
+    const type = req.query.type === "payments" ? "payments" : "tenants";
+    try {
+        const csv = await buildStatsCsv(type);
+        res.set("Content-Type", "text/csv; charset=utf-8");
+        res.set("Content-Disposition", `attachment; filename="${type}_${new Date().toISOString().slice(0, 10)}.csv"`);
+        return res.send("\uFEFF" + csv); // BOM para o Excel reconhecer UTF-8
+    } catch (e) {
+        log(`Erro em /admin/stats/export: ${e.message}`, "ERROR");
+        return res.status(500).json({ error: e.message });
+    }
+});
 
+// -- Webhook MESTRE (Recebe pagamentos das assinaturas) --
+const PAID_STATUSES = ["completed", "PAID", "RECEIVED"];
 
-    // --- END USER DASHBOARD ---
-    async function renderUserMenu(ctx) {
-        const session = await getSession(ctx.tenant.id, ctx.chat.id);
-        const userFirstName = ctx.from.first_name || "Parceiro";
+app.post("/webhook/master", rateLimit("webhook", 120), requireWebhookToken(() => "master"), async (req, res) => {
+    // SyncPay envia o payload dentro de "data"
+    const payload = req.body.data || req.body;
+    const { id, status } = payload;
 
-        const text = `👋 <b>Olá, ${userFirstName}! Bem-vindo ao Sistema</b> 🚀\n\n` +
-            `Automação de WhatsApp com IA e Rodízio de Leads.\n\n` +
-            `👇 <b>Escolha uma opção no menu abaixo:</b>`;
+    log(`[Webhook Master] Recebido! Status: ${status} | ID: ${id}`, "SYSTEM");
 
-        const buttons = [
-            [Markup.button.callback("🚀 Minhas Instâncias", "cmd_instancias_menu")],
-            [Markup.button.callback("📢 Disparo em Massa", "cmd_shortcuts_disparos"), Markup.button.callback("🤝 Afiliados", "cmd_afiliados")],
-            [Markup.button.callback("💎 Seu Plano (Ativo)", "cmd_planos_menu"), Markup.button.callback("👤 Suporte / Ajuda", "cmd_suporte")]
-        ];
+    if (!id) return res.status(400).json({ error: "Charge id missing" });
 
-        // Se tiver tutoriais configurados no futuro
-        // buttons.push([Markup.button.callback("📺 Área de Tutoriais", "cmd_tutoriais")]);
+    try {
+        // Só aceitamos cobranças que nós mesmos emitimos (registradas em generateSubscriptionCharge)
+        const { data: payment } = await supabase
+            .from('payments')
+            .select('*')
+            .eq('id', String(id))
+            .single();
 
-        if (String(ctx.chat.id) === String(ctx.tenant.owner_chat_id)) {
-            buttons.push([Markup.button.callback("👑 Painel Admin (Dono)", "owner_menu")]);
+        if (!payment) {
+            auditRejected(req, "unknown_charge", { id });
+            return res.status(404).json({ error: "Charge not found" });
         }
 
-        await safeEdit(ctx, text, Markup.inlineKeyboard(buttons));
-    }
+        // Verificar status de sucesso (SyncPay usa 'completed' para Pix pago)
+        // Aceitamos PAID, RECEIVED (outros gateways) ou COMPLETED (SyncPay)
+        if (!PAID_STATUSES.includes(status)) {
+            await recordPaymentStatus(payment, status, payload);
+            return res.json({ ignored: true, reason: `Status ${status} not eligible` });
+        }
 
-    // --- ACTIONS: Gestão de Instâncias (Wuzapi) ---
+        // Idempotência: renovação e "pago" gravados juntos no banco; retries de cobrança já paga não renovam de novo
+        const { data: renewedUntil, error: renewError } = await supabase.rpc('renew_tenant_subscription', {
+            p_payment_id: payment.id,
+            p_days: 30,
+            p_payload: payload
+        });
+        if (renewError) throw new Error(renewError.message); // Nada gravado: o retry do gateway renova
+        if (!renewedUntil) {
+            log(`[Webhook Master] Cobrança ${id} já processada. Ignorando.`, "SYSTEM");
+            return res.json({ success: true, duplicate: true });
+        }
 
-    // 1. Menu de Instâncias
-    async function showInstances(ctx) {
-        const session = await getSession(ctx.tenant.id, ctx.chat.id);
-        const instances = session.whatsapp?.instances || [];
+        const tenantId = payment.tenant_id;
+        const { data: tenant } = await supabase.from('tenants').select('*').eq('id', tenantId).single();
+        const newExpiration = new Date(renewedUntil).toISOString();
 
-        let text = "🚀 <b>Minhas Instâncias de WhatsApp</b>\n\n";
+        log(`[Webhook Master] 💰 Assinatura renovada! Tenant: ${tenant.name} (${tenant.id}) até ${new Date(newExpiration).toLocaleDateString("pt-BR")}`, "SYSTEM");
 
-        if (instances.length === 0) {
-            text += "Você ainda não conectou nenhum número.";
-        } else {
-            text += "<b>Suas instâncias conectadas:</b>\n\n";
-            for (const inst of instances) {
-                // Check status rapidinho
-                const statusRes = await callWuzapi(`/session/status`, "GET", null, inst.token);
-                const isOnline = statusRes.success && (statusRes.data?.loggedIn || statusRes.data?.status === "LoggedIn");
-                const statusIcon = isOnline ? "✅" : "🔴";
+        // Atualiza o bot em memória (ou sobe de novo se estava bloqueado)
+        await syncTenant(tenant.id);
 
-                text += `${statusIcon} <b>${inst.name}</b>\n`;
-                text += `ID: <code>${inst.id}</code>\n`;
-                text += `Status: ${isOnline ? "Conectado" : "Desconectado"}\n\n`;
+        // 4. Notificar via Telegram (Se bot estiver rodando)
+        if (activeBots.has(String(tenant.id))) {
+            const botInstance = activeBots.get(String(tenant.id));
+            if (tenant.owner_chat_id) {
+                botInstance.telegram.sendMessage(
+                    tenant.owner_chat_id,
+                    `✅ <b>Pagamento Confirmado!</b>\n\nSua assinatura foi renovada com sucesso.\nNovo vencimento: <b>${new Date(newExpiration).toLocaleDateString("pt-BR")}</b>`,
+                    { parse_mode: "HTML" }
+                ).catch(e => log(`Erro ao notificar tenant: ${e.message}`, "ERROR"));
             }
         }
 
-        const buttons = [];
-        instances.forEach(inst => {
-            buttons.push([Markup.button.callback(`⚙️ Gerenciar ${inst.name}`, `inst_manage_${inst.id}`)]);
-        });
-
-        const max = session.whatsapp?.maxInstances || 1;
-        if (instances.length < max) {
-            buttons.push([Markup.button.callback("➕ Conectar Novo Número", "inst_add_new")]);
-        } else {
-            text += `\n⚠️ <i>Você atingiu o limite de ${max} instâncias.</i>`;
-        }
+        return res.json({ success: true, new_expiration: newExpiration });
 
-        buttons.push([Markup.button.callback("🔙 Voltar", "start")]);
-        await safeEdit(ctx, text, Markup.inlineKeyboard(buttons));
+    } catch (e) {
+        log(`[Webhook Master] Erro processamento: ${e.message}`, "ERROR");
+        return res.status(500).json({ error: e.message });
     }
+});
 
-    bot.action("cmd_instancias_menu", async (ctx) => {
-        await showInstances(ctx);
-    });
+// -- Webhook TENANT (Pagamentos dos planos dos usuários finais) --
+app.post("/webhook/tenant/:tenantId", rateLimit("webhook", 120), requireWebhookToken(req => `tenant:${req.params.tenantId}`), async (req, res) => {
+    const { tenantId } = req.params;
+    const payload = req.body.data || req.body;
+    const { id, status } = payload;
 
-    // 2. Iniciar Fluxo de Conexão
-    bot.action("inst_add_new", async (ctx) => {
-        const session = await getSession(ctx.tenant.id, ctx.chat.id);
-        session.stage = "WA_WAITING_NAME";
-        await saveSession(ctx.tenant.id, ctx.chat.id, session);
+    log(`[Webhook Tenant ${tenantId}] Recebido! Status: ${status} | ID: ${id}`, "SYSTEM");
 
-        await safeEdit(ctx,
-            "🔗 <b>Nova Conexão</b>\n\nDigite um <b>Nome</b> para identificar esta instância (ex: Vendas, Suporte):",
-            Markup.inlineKeyboard([[Markup.button.callback("❌ Cancelar", "cmd_instancias_menu")]])
-        );
-    });
+    if (status !== "completed" && status !== "PAID" && status !== "RECEIVED") {
+        return res.json({ ignored: true, reason: `Status ${status} not eligible` });
+    }
 
-    bot.action("cmd_shortcuts_disparos", (ctx) => ctx.reply("📢 Menu de Disparos em breve!"));
-    bot.action("cmd_afiliados", (ctx) => ctx.reply("🤝 Área de Afiliados em breve!"));
-    bot.action("cmd_planos_menu", (ctx) => ctx.reply("💎 Área de Planos em breve!"));
-    bot.action("cmd_suporte", (ctx) => ctx.reply("👤 Suporte em breve!"));
+    try {
+        const { data: order } = await supabase
+            .from('plan_orders')
+            .select('*')
+            .eq('id', String(id))
+            .eq('tenant_id', tenantId)
+            .single();
 
-    bot.start(async (ctx) => {
-        // Se for o dono, mostra o menu de usuário mas com opção de ir pro Admin
-        await renderUserMenu(ctx);
-    });
+        if (!order) {
+            auditRejected(req, "unknown_charge", { id, tenantId });
+            return res.status(404).json({ error: "Order not found" });
+        }
 
-    // Mantido comando /admin direto
-    bot.command("admin", async (ctx) => {
-        if (!isOwner(ctx)) return ctx.reply("⛔ Acesso restrito ao dono do bot.");
-        await renderOwnerDashboard(ctx);
-    });
+        if (order.status !== "pending") return res.json({ success: true, duplicate: true });
 
-    bot.command("id", (ctx) => {
-        ctx.reply(`🆔 ID: <code>${ctx.chat.id}</code>`, { parse_mode: "HTML" });
-    });
+        const tenant = await resolveTenant(tenantId);
+        const { data: plan } = await supabase.from('tenant_plans').select('*').eq('id', order.plan_id).single();
+        if (!tenant || !plan) return res.status(404).json({ error: "Tenant or plan not found" });
 
-    // -- Lógica de Chat da IA & Wizards --
-    bot.on("text", async (ctx) => {
-        // 1. Processar Wizards (Sessão)
-        if (ctx.session?.stage && ctx.session.stage !== "READY") {
-            const stage = ctx.session.stage;
-            const text = ctx.message.text.trim();
+        // Primeiro aplica (idempotente por pedido) e credita a comissão (única por referência); só então marca
+        // como pago. Se algo falhar no meio, o pedido segue pendente e o retry do gateway completa o resto.
+        const session = await applyPlanToSession(tenant, order.chat_id, plan, order.id);
+        await creditAffiliateCommission(tenant, order.chat_id, order.amount, order.id);
 
-            if (stage === "WA_WAITING_NAME") {
-                await ctx.reply("⏳ Criando instância e gerando QR Code...");
+        const { data: updated, error: markError } = await supabase
+            .from('plan_orders')
+            .update({ status: "paid", paid_at: new Date().toISOString(), raw: payload })
+            .eq('id', order.id)
+            .eq('status', 'pending')
+            .select();
+        if (markError) throw new Error(markError.message);
 
-                // --- Lógica Wuzapi (Modelo Reference: venux-personal-server) ---
-                const newInstId = `user_${ctx.chat.id}_${Date.now().toString().slice(-6)}`; // ID único curto
+        // Outro retry simultâneo já marcou (e avisou)
+        if (!updated || updated.length === 0) {
+            return res.json({ success: true, duplicate: true });
+        }
 
-                // 1. Criar Usuário Wuzapi definindo o Token manualmente
-                console.log(`[DEBUG] Criando user Wuzapi: ${newInstId}`);
+        log(`💎 Plano ${plan.name} ativado para ${order.chat_id} até ${new Date(session.subscriptionExpiry).toLocaleDateString("pt-BR")}`, tenant.name);
 
-                const createRes = await callWuzapi("/admin/users", "POST", {
-                    name: newInstId,
-                    token: newInstId // Definindo o token igual ao ID para controle total
-                });
+        notifyTenantUser(tenant, order.chat_id,
+            `✅ <b>Pagamento Confirmado!</b>\n\nPlano <b>${plan.name}</b> ativado.\n` +
+            `Válido até: <b>${new Date(session.subscriptionExpiry).toLocaleDateString("pt-BR")}</b>\n` +
+            `Instâncias liberadas: <b>${plan.max_instances}</b>`);
+        notifyTenantUser(tenant, tenant.owner_chat_id,
+            `💰 <b>Nova venda!</b>\nPlano <b>${plan.name}</b> (${formatBRL(order.amount)}) pago pelo usuário <code>${order.chat_id}</code>.`);
 
-                console.log(`[DEBUG] Wuzapi Create User Res:`, JSON.stringify(createRes));
+        return res.json({ success: true });
+    } catch (e) {
+        log(`[Webhook Tenant ${tenantId}] Erro processamento: ${e.message}`, "ERROR");
+        return res.status(500).json({ error: e.message });
+    }
+});
 
-                if (createRes.success) {
-                    // 2. Configurar Webhook Específico para este User/Instância
-                    const specificWebhook = `${WEBHOOK_BASE}/webhook/wuzapi/${ctx.tenant.id}/${ctx.chat.id}`;
-                    await callWuzapi("/webhook", "POST", {
-                        webhook: specificWebhook,
-                        events: ["All"]
-                    }, newInstId); // Usa newInstId como token
+// -- Página de Conexão (QR em outro aparelho) --
+const QR_LINK_TTL = 10 * 60 * 1000;
+// Sem WEBHOOK_SECRET os links valem só até o próximo restart (chave aleatória em memória)
+const LINK_SIGNING_SECRET = WEBHOOK_SECRET || crypto.randomBytes(32).toString("hex");
 
-                    // 3. Salvar na Sessão (Estado: DISCONNECTED / CONNECTING)
-                    const session = await getSession(ctx.tenant.id, ctx.chat.id);
-                    if (!session.whatsapp) session.whatsapp = { instances: [] };
-                    if (!session.whatsapp.instances) session.whatsapp.instances = [];
+function signQrLink(tenantId, chatId, instId) {
+    const payload = Buffer.from(JSON.stringify({ t: tenantId, c: String(chatId), i: instId, exp: Date.now() + QR_LINK_TTL })).toString("base64url");
+    const sig = crypto.createHmac("sha256", LINK_SIGNING_SECRET).update(payload).digest("base64url");
+    return `${payload}.${sig}`;
+}
 
-                    const newInstance = {
-                        id: newInstId, // Token e ID são o mesmo
-                        wuzapiId: createRes.data?.id || newInstId,
-                        token: newInstId,
-                        name: text, // Nome dado pelo usuário
-                        isConnected: false,
-                        webhook: specificWebhook
-                    };
+function verifyQrLink(token, instId) {
+    const [payload, sig] = String(token || "").split(".");
+    if (!payload || !sig) return null;
 
-                    session.whatsapp.instances.push(newInstance);
-                    session.stage = "READY";
-                    await saveSession(ctx.tenant.id, ctx.chat.id, session);
+    const expected = crypto.createHmac("sha256", LINK_SIGNING_SECRET).update(payload).digest("base64url");
+    if (!safeEqual(sig, expected)) return null;
 
-                    // 4. Mostrar menu de sucesso e opções de conexão
-                    await ctx.reply(`✅ Instância <b>${text}</b> criada com sucesso!`, {
-                        parse_mode: "HTML",
-                        ...Markup.inlineKeyboard([
-                            [Markup.button.callback("📷 Gerar QR Code", `inst_manage_${newInstId}`)], // Vai pro menu de gestão que tem o QR
-                            [Markup.button.callback("🔙 Voltar", "cmd_instancias_menu")]
-                        ])
-                    });
+    try {
+        const data = JSON.parse(Buffer.from(payload, "base64url").toString("utf8"));
+        if (data.i !== instId || Date.now() > data.exp) return null;
+        return data;
+    } catch (e) {
+        return null;
+    }
+}
 
-                } else {
-                    console.log(`[ERROR WUZAPI] ${JSON.stringify(createRes)}`);
-                    ctx.session.stage = "READY";
-                    await ctx.save();
-                    await ctx.reply(`❌ Erro ao comunicar com API: ${createRes.text || createRes.message || JSON.stringify(createRes)}`);
-                }
-                return;
-            }
+function buildQrLink(tenantId, chatId, instId) {
+    return `${WEBHOOK_BASE}/connect?id=${encodeURIComponent(instId)}&t=${signQrLink(tenantId, chatId, instId)}`;
+}
 
-            // ... Outros wizards (Owner, etc) ...
-        }
+// Resolve a instância a partir do link assinado (null = link inválido/expirado)
+async function resolveQrLinkInstance(req) {
+    const link = verifyQrLink(req.query.t, req.params.id);
+    if (!link) return null;
+    if (!(await checkUserExists(link.t, link.c))) return null;
 
-        // --- Lógica Original de IA (Se não for wizard) ---
-        // Se for comando, ignora
-        if (ctx.message.text.startsWith("/")) return;
+    const inst = await getInstance(link.t, link.c, link.i);
+    if (!inst) return null;
 
-        const openai = getOpenAI(ctx.tenant);
-        // ... resta da lógica da IA ... (Mantendo código anterior)
+    return { link, inst };
+}
 
+app.get("/connect", (req, res) => {
+    res.sendFile(path.join(__dirname, "qr-client.html"));
+});
 
-        // Se não tiver OpenAI configurada
-        if (!openai) {
-            // Se for o dono, avisa como configurar. Se for usuário comum, diz que está em manutenção.
-            if (String(ctx.chat.id) === String(ctx.tenant.owner_chat_id)) {
-                return ctx.reply("⚠️ <b>IA Não Configurada.</b>\nUse /admin para adicionar sua API Key.", { parse_mode: "HTML" });
-            } else {
-                return ctx.reply("🤖 O administrador ainda não ativou minha inteligência.");
-            }
+app.get("/api/instance/:id/qr-proxy", rateLimit("qr", 60), async (req, res) => {
+    try {
+        const resolved = await resolveQrLinkInstance(req);
+        if (!resolved) {
+            auditRejected(req, "invalid_qr_link");
+            return res.status(401).json({ error: "Link inválido ou expirado" });
         }
 
-        const model = ctx.tenant.openai_model || DEFAULT_MODEL;
-        const systemPrompt = ctx.tenant.system_prompt || "Você é um assistente útil e inteligente.";
+        let qr = await callWuzapi("/session/qr", "GET", null, resolved.inst.token);
+        if (!qr.data?.QRCode) {
+            // Sessão ainda não iniciada no Wuzapi: inicia e tenta de novo no próximo polling
+            await callWuzapi("/session/connect", "POST", { Immediate: true }, resolved.inst.token);
+            qr = await callWuzapi("/session/qr", "GET", null, resolved.inst.token);
+        }
 
-        try {
-            await ctx.sendChatAction("typing");
+        return res.json({ qrImage: qr.data?.QRCode || null });
+    } catch (e) {
+        log(`[QR Proxy] Erro: ${e.message}`, "ERROR");
+        return res.status(500).json({ error: "Erro interno" });
+    }
+});
 
-            const response = await openai.chat.completions.create({
-                model: model,
-                messages: [
-                    { role: "system", content: systemPrompt },
-                    { role: "user", content: ctx.message.text }
-                ],
-            });
+app.get("/api/instance/:id/status-proxy", rateLimit("qr", 60), async (req, res) => {
+    try {
+        const resolved = await resolveQrLinkInstance(req);
+        if (!resolved) return res.status(401).json({ error: "Link inválido ou expirado" });
 
-            ctx.reply(response.choices[0].message.content);
-        } catch (e) {
-            log(`Erro OpenAI [${ctx.tenant.name}]: ${e.message}`, "ERROR");
-            ctx.reply("❌ Ocorreu um erro ao processar sua mensagem.");
+        const statusRes = await callWuzapi(`/session/status`, "GET", null, resolved.inst.token);
+        const isOnline = statusRes.success && (statusRes.data?.loggedIn || statusRes.data?.status === "LoggedIn");
+
+        if (isOnline && !resolved.inst.isConnected) {
+            const tenant = await resolveTenant(resolved.link.t);
+            if (tenant) {
+                await applyInstanceStatus(tenant, resolved.link.c, resolved.inst, {
+                    connected: true,
+                    jid: statusRes.data?.jid || null
+                });
+            }
         }
-    });
 
-    // --- Handler de Gerenciamento de Instância (NOVO) ---
-    bot.action(/^inst_manage_(.+)$/, async (ctx) => {
-        const instId = ctx.match[1];
-        const session = await getSession(ctx.tenant.id, ctx.chat.id);
-        const inst = session.whatsapp?.instances.find(i => i.id === instId);
+        return res.json({ status: isOnline ? "CONNECTED" : "DISCONNECTED" });
+    } catch (e) {
+        log(`[Status Proxy] Erro: ${e.message}`, "ERROR");
+        return res.status(500).json({ error: "Erro interno" });
+    }
+});
+
+// -- Status das Instâncias (Push via Webhook + Reconciliação em Background) --
+// Menus leem o estado salvo na instância; o Wuzapi só é consultado pelo reconciliador
+const INSTANCE_RECONCILE_INTERVAL = 2 * 60 * 1000;
+const INSTANCE_LAST_SEEN_THROTTLE = 5 * 60 * 1000; // Evita gravar no banco a cada mensagem
 
-        if (!inst) return ctx.reply("❌ Instância não encontrada.");
+// Wuzapi usa camelCase em /admin/users e PascalCase em /session/status
+function isWuzapiOnline(data) {
+    if (!data) return false;
+    const loggedIn = data.loggedIn || data.LoggedIn || data.status === "LoggedIn";
+    return Boolean(loggedIn) && data.connected !== false && data.Connected !== false;
+}
 
-        // Check Status Real-time
-        const statusRes = await callWuzapi(`/session/status`, "GET", null, instId);
-        const isOnline = statusRes.success && (statusRes.data?.loggedIn || statusRes.data?.status === "LoggedIn");
+function formatInstanceStatus(inst) {
+    const icon = inst.isConnected ? "✅" : "🔴";
+    let text = `${icon} ${inst.isConnected ? "Conectado" : "Desconectado"}`;
+    if (inst.jid) text += `\n📱 Número: <code>${String(inst.jid).split("@")[0].split(":")[0]}</code>`;
+    if (inst.lastSeenAt) text += `\n🕒 Visto por último: ${new Date(inst.lastSeenAt).toLocaleString("pt-BR")}`;
+    if (!inst.isConnected && inst.lastError) text += `\n⚠️ Último erro: ${inst.lastError}`;
+    return text;
+}
 
-        let text = `⚙️ <b>Gerenciar Instância: ${inst.name}</b>\n\n`;
-        text += `ID: <code>${instId}</code>\n`;
-        text += `Status: ${isOnline ? "✅ Conectado" : "🔴 Desconectado"}\n\n`;
+// Aplica um novo estado e avisa o dono da instância apenas nas transições
+async function applyInstanceStatus(tenant, chatId, inst, { connected, jid = null, error = null }) {
+    const wasConnected = inst.isConnected === true;
+    const now = new Date().toISOString();
 
-        const buttons = [];
-        if (!isOnline) {
-            buttons.push([Markup.button.callback("📷 Gerar QR Code", `wa_qr_${instId}`)]);
-        }
-        buttons.push([Markup.button.callback("🗑️ Deletar Instância", `wa_del_${instId}`)]);
-        buttons.push([Markup.button.callback("🔙 Voltar", "cmd_instancias_menu")]);
+    const fields = { isConnected: connected, statusUpdatedAt: now };
+    if (jid) {
+        fields.jid = jid;
+        fields.phone = String(jid).split("@")[0].split(":")[0];
+    }
+    if (connected) {
+        fields.lastSeenAt = now;
+        fields.lastError = null;
+    } else if (error) {
+        fields.lastError = error;
+    }
 
-        await safeEdit(ctx, text, Markup.inlineKeyboard(buttons));
-    });
+    await updateInstance(inst, fields);
 
-    // --- Handler de QR Code (NOVO) ---
-    bot.action(/^wa_qr_(.+)$/, async (ctx) => {
-        const instId = ctx.match[1];
-        await ctx.answerCbQuery("⏳ Gerando QR Code...");
+    if (!wasConnected && connected) {
+        notifyTenantUser(tenant, chatId, `✅ <b>WhatsApp conectado!</b>\nInstância: <b>${inst.name}</b>`);
+    } else if (wasConnected && !connected) {
+        log(`Instância ${inst.name} caiu (${error || "desconectada"})`, tenant.name);
+        notifyTenantUser(tenant, chatId,
+            `🔴 <b>WhatsApp desconectado!</b>\nInstância: <b>${inst.name}</b>\n` +
+            (error ? `Motivo: ${error}\n` : "") +
+            `Gere um novo QR Code em Minhas Instâncias.`);
+    }
+}
 
-        // 1. Iniciar Sessão (Wuzapi requirement)
-        await callWuzapi("/session/connect", "POST", { Immediate: true }, instId);
+// Atividade recebida (mensagem) também prova que a instância está online
+async function touchInstance(tenant, chatId, inst) {
+    if (!inst.isConnected) return applyInstanceStatus(tenant, chatId, inst, { connected: true });
 
-        // 2. Pegar QR
-        await new Promise(r => setTimeout(r, 1500)); // Esperar Wuzapi iniciar processo
-        const res = await callWuzapi("/session/qr", "GET", null, instId);
+    const lastSeen = inst.lastSeenAt ? new Date(inst.lastSeenAt).getTime() : 0;
+    if (Date.now() - lastSeen < INSTANCE_LAST_SEEN_THROTTLE) return;
+    await updateInstance(inst, { lastSeenAt: new Date().toISOString() });
+}
 
-        if (res.data && res.data.QRCode) {
-            const qrBase64 = res.data.QRCode.split(",")[1];
-            await ctx.replyWithPhoto({ source: Buffer.from(qrBase64, "base64") }, {
-                caption: "📷 <b>Escaneie para conectar</b>\n\n_O status atualizará em instantes._",
-                parse_mode: "HTML"
-            });
-        } else {
-            console.log(`[QR FAIL] Res: ${JSON.stringify(res)}`);
-            await ctx.reply("❌ Falha ao gerar QR Code. Tente novamente em alguns segundos.");
+// Confere o estado real de todas as instâncias com uma única chamada ao Wuzapi
+async function reconcileInstanceStatuses() {
+    const usersRes = await callWuzapi("/admin/users");
+    if (!usersRes.success || !Array.isArray(usersRes.data)) {
+        log(`Reconciliação: Wuzapi indisponível (${usersRes.message || usersRes.text || "sem dados"})`, "SYSTEM");
+        return;
+    }
+    const wuzapiByToken = new Map(usersRes.data.map(u => [u.token, u]));
+
+    for (let from = 0; ; from += 1000) {
+        const { data: rows, error } = await supabase
+            .from('whatsapp_instances')
+            .select('*')
+            .order('created_at')
+            .range(from, from + 999);
+        if (error || !rows || rows.length === 0) break;
+
+        for (const row of rows) {
+            // Só reconcilia tenants com bot rodando (os demais não têm a quem avisar)
+            const tenant = activeTenants.get(String(row.tenant_id));
+            if (!tenant) continue;
+
+            const inst = instanceFromRow(row);
+            const user = wuzapiByToken.get(inst.token);
+            if (user && !inst.webhookSecret) await ensureInstanceSecret(inst);
+            const connected = isWuzapiOnline(user);
+            const jid = user?.jid || null;
+            const error = user ? null : "Instância não encontrada no Wuzapi";
+
+            if (connected !== Boolean(inst.isConnected) || (jid && jid !== inst.jid) || (error && error !== inst.lastError)) {
+                await applyInstanceStatus(tenant, inst.chatId, inst, { connected, jid, error });
+            }
         }
-    });
 
-    // --- Handler de Deletar Instância (NOVO) ---
-    bot.action(/^wa_del_(.+)$/, async (ctx) => {
-        const instId = ctx.match[1];
+        if (rows.length < 1000) break;
+    }
+}
 
-        // Deletar no Wuzapi
-        await callWuzapi(`/admin/users/${instId}`, "DELETE");
+function startInstanceReconciler() {
+    setInterval(() => {
+        reconcileInstanceStatuses().catch(e => log(`Reconciliação: erro: ${e.message}`, "ERROR"));
+    }, INSTANCE_RECONCILE_INTERVAL);
+}
 
-        // Remover da sessão local
-        const session = await getSession(ctx.tenant.id, ctx.chat.id);
-        session.whatsapp.instances = session.whatsapp.instances.filter(i => i.id !== instId);
-        await saveSession(ctx.tenant.id, ctx.chat.id, session);
+// -- Webhook TELEGRAM (Bots dos tenants em TELEGRAM_MODE=webhook) --
+app.post("/telegram/:tenantId/:secret", async (req, res) => {
+    const tenantId = req.params.tenantId; // Mesma chave do activeBots (id numérico ou UUID)
+    const header = req.get("x-telegram-bot-api-secret-token");
+    const tenant = activeTenants.get(tenantId) || (CLUSTER_ENABLED ? await resolveTenant(tenantId).catch(() => null) : null);
+    if (!tenant) return res.sendStatus(404);
+
+    const expected = telegramWebhookSecret(tenant);
+    if (!safeEqual(req.params.secret, expected) || !safeEqual(header, expected)) {
+        auditRejected(req, "invalid_telegram_secret", { tenant_id: tenantId });
+        return res.sendStatus(401);
+    }
 
-        await ctx.answerCbQuery("🗑️ Instância removida!");
-        await showInstances(ctx);
-    });
+    // Responde já: IA/uploads podem demorar mais que o timeout do Telegram (que reenviaria o update)
+    const bot = activeBots.get(tenantId);
+    if (bot) {
+        res.sendStatus(200);
+        return bot.handleUpdate(req.body).catch(e => log(`Erro no update: ${e.message}`, tenant.name));
+    }
 
-    bot.launch().then(() => {
-        log(`Bot Online! 🚀`, tenant.name);
-    }).catch(err => {
-        log(`Erro ao iniciar bot: ${err.message}`, tenant.name);
-    });
+    // Bot roda em outra réplica: encaminha pelo barramento; sem Redis, 503 faz o Telegram tentar de novo
+    if (CLUSTER_ENABLED && clusterBus.driver === "redis") {
+        publishClusterEvent({ type: "telegram_update", tenantId, update: req.body });
+        return res.sendStatus(200);
+    }
+    return res.sendStatus(503);
+});
 
-    activeBots.set(tenant.id, bot);
+// -- Webhook WUZAPI (Eventos do WhatsApp por Tenant/Usuário) --
+// Wuzapi pode enviar JSON puro ou form com o campo "jsonData" (string)
+function parseWuzapiPayload(body) {
+    let raw = body || {};
+    if (typeof raw.jsonData === "string") {
+        try { raw = { ...raw, ...JSON.parse(raw.jsonData) }; } catch (e) { }
+    }
+
+    const type = raw.type || (typeof raw.event === "string" ? raw.event : null);
+    const event = (raw.event && typeof raw.event === "object") ? raw.event : (raw.data || {});
+
+    return { type, event, raw };
 }
 
-// -- Loaders --
-async function loadTenants() {
-    log("Carregando Tenants...", "SYSTEM");
-    const { data: tenants, error } = await supabase
-        .from('tenants')
-        .select('*') // Agora já traz expiration_date
-        .eq('is_active', true);
+function extractWhatsAppMessage(event) {
+    const info = event.Info || event.info || {};
+    const msg = event.Message || event.message || {};
+
+    const jid = info.Chat || info.Sender || event.RemoteJID || "";
+    const documentMsg = msg.documentMessage || msg.documentWithCaptionMessage?.message?.documentMessage;
+    const text = msg.conversation ||
+        msg.extendedTextMessage?.text ||
+        msg.imageMessage?.caption ||
+        msg.videoMessage?.caption ||
+        documentMsg?.caption ||
+        event.Body || "";
+
+    // Mídia suportada pela IA (o conteúdo é baixado depois via Wuzapi)
+    let media = null;
+    if (msg.audioMessage) media = { kind: "voice", endpoint: "downloadaudio", info: msg.audioMessage };
+    else if (msg.imageMessage) media = { kind: "image", endpoint: "downloadimage", info: msg.imageMessage };
+    else if (documentMsg) media = { kind: "document", endpoint: "downloaddocument", info: documentMsg };
 
-    if (error) {
-        log(`Erro fatal ao carregar tenants: ${error.message}`, "SYSTEM");
-        return;
+    return {
+        jid,
+        phone: String(jid).split("@")[0].split(":")[0],
+        fromMe: Boolean(info.IsFromMe ?? event.FromMe),
+        isGroup: Boolean(info.IsGroup) || String(jid).endsWith("@g.us") || String(jid) === "status@broadcast",
+        pushName: info.PushName || "",
+        text: String(text).trim(),
+        media
+    };
+}
+
+// Baixa a mídia de uma mensagem: usa o base64 do webhook quando o Wuzapi envia, senão /chat/download*
+async function downloadWhatsAppMedia(inst, media, raw) {
+    const mime = media.info.mimetype || media.info.Mimetype || "";
+    if (typeof raw?.base64 === "string" && raw.base64) {
+        return { buffer: Buffer.from(raw.base64.replace(/^data:.*?;base64,/, ""), "base64"), mime: raw.mimeType || mime };
     }
 
-    if (!tenants || tenants.length === 0) {
-        log("Nenhum tenant ativo encontrado.", "SYSTEM");
-        return;
+    const res = await callWuzapi(`/chat/${media.endpoint}`, "POST", {
+        Url: media.info.URL || media.info.url,
+        DirectPath: media.info.directPath,
+        MediaKey: media.info.mediaKey,
+        Mimetype: mime,
+        FileEncSHA256: media.info.fileEncSHA256,
+        FileSHA256: media.info.fileSHA256,
+        FileLength: Number(media.info.fileLength) || 0
+    }, inst.token);
+
+    const dataUrl = res.data?.Data || res.data?.data;
+    if (!res.success || typeof dataUrl !== "string") {
+        throw new Error(`Wuzapi não retornou a mídia (${res.message || res.text || "sem dados"})`);
     }
+    return { buffer: Buffer.from(dataUrl.replace(/^data:.*?;base64,/, ""), "base64"), mime: res.data?.Mimetype || mime };
+}
 
-    for (const tenant of tenants) {
-        startTenantBot(tenant);
+// Resolve tenant em memória (bot rodando) ou busca no banco
+async function resolveTenant(tenantId) {
+    if (activeTenants.has(String(tenantId))) return activeTenants.get(String(tenantId));
+    return decryptTenant(await storage.tenants.get(tenantId));
+}
+
+// Notifica o usuário dono da instância pelo bot do tenant (se estiver rodando)
+function notifyTenantUser(tenant, chatId, text) {
+    const botInstance = activeBots.get(String(tenant.id));
+    if (!botInstance) {
+        // Bot rodando em outra réplica (ex: webhook do Wuzapi caiu aqui): ela entrega
+        if (CLUSTER_ENABLED) publishClusterEvent({ type: "notify", tenantId: tenant.id, chatId: String(chatId), text });
+        return;
     }
+    botInstance.telegram.sendMessage(chatId, text, { parse_mode: "HTML" })
+        .catch(e => log(`Erro ao notificar ${chatId}: ${e.message}`, tenant.name));
 }
 
-// -- Super Admin API (Para você criar clientes) --
-app.post("/admin/create-tenant", async (req, res) => {
-    const { name, telegram_token, syncpay_id, syncpay_secret } = req.body;
+// Valida o segredo da URL e identifica tenant/instância (null = rejeitado)
+async function authenticateWuzapiWebhook(tenantId, chatId, secret) {
+    if (!secret) return null;
 
-    // Calcula data de vcto (30 dias padrão)
-    const expirationDate = new Date();
-    expirationDate.setDate(expirationDate.getDate() + 30);
+    const tenant = await resolveTenant(tenantId);
+    if (!tenant) return null;
 
-    const { data, error } = await supabase.from('tenants').insert({
-        name,
-        telegram_token,
-        syncpay_client_id: syncpay_id,
-        syncpay_client_secret: syncpay_secret,
-        is_active: true,
-        expiration_date: expirationDate
-    }).select().single();
+    const instances = await getInstances(tenant.id, chatId);
+    const inst = instances.find(i => i.webhookSecret && safeEqual(i.webhookSecret, secret));
+    if (!inst) return null;
 
-    if (error) return res.status(400).json({ error: error.message });
+    return { tenant, inst };
+}
 
-    startTenantBot(data);
-    return res.json({ success: true, tenant: data });
-});
+async function handleWuzapiEvent({ tenant, inst }, chatId, payload) {
+    const { type, event, raw } = parseWuzapiPayload(payload);
+    if (!type) return;
 
-// -- Webhook MESTRE (Recebe pagamentos das assinaturas) --
-// -- Webhook MESTRE (Recebe pagamentos das assinaturas) --
-app.post("/webhook/master", async (req, res) => {
-    // SyncPay envia o payload dentro de "data"
-    const payload = req.body.data || req.body;
-    const { id, status, client } = payload;
+    switch (type) {
+        case "Connected": {
+            const jid = event.jid || event.JID || null;
+            await applyInstanceStatus(tenant, chatId, inst, { connected: true, jid });
+            break;
+        }
 
-    log(`[Webhook Master] Recebido! Status: ${status} | ID: ${id}`, "SYSTEM");
+        case "Disconnected":
+        case "LoggedOut":
+        case "ConnectFailure":
+        case "TemporaryBan": {
+            const reasons = {
+                Disconnected: "Conexão perdida",
+                LoggedOut: "Sessão encerrada no celular",
+                ConnectFailure: "Falha ao conectar",
+                TemporaryBan: "Número temporariamente banido"
+            };
+            await applyInstanceStatus(tenant, chatId, inst, { connected: false, error: reasons[type] });
+            break;
+        }
 
-    // Verificar status de sucesso (SyncPay usa 'completed' para Pix pago)
-    // Aceitamos PAID, RECEIVED (outros gateways) ou COMPLETED (SyncPay)
-    if (status !== "completed" && status !== "PAID" && status !== "RECEIVED") {
-        return res.json({ ignored: true, reason: `Status ${status} not eligible` });
-    }
+        case "QR": {
+            log(`[Wuzapi] Novo QR gerado para ${inst.name}`, tenant.name);
+            break;
+        }
 
-    // Tentar extrair Tenant ID do Email do Cliente (estratégia sem banco)
-    // Email enviado: "tenant_{ID}@venux.com"
-    let tenantId = null;
-    if (client && client.email) {
-        const match = client.email.match(/tenant_(\d+)@/);
-        if (match) tenantId = match[1];
-    }
+        case "ReadReceipt": {
+            // Sem ação por enquanto (apenas confirmação de leitura)
+            break;
+        }
 
-    // Fallback: Tentar external_id (se enviado no futuro)
-    if (!tenantId && payload.external_id && payload.external_id.startsWith("SUB_")) {
-        tenantId = payload.external_id.split("SUB_")[1];
-    }
+        case "Message": {
+            const msg = extractWhatsAppMessage(event);
+            await touchInstance(tenant, chatId, inst);
+            if (msg.fromMe || msg.isGroup || !msg.phone) return;
 
-    if (!tenantId) {
-        log(`[Webhook Master] ID do Tenant não identificado no payload.`, "ERROR");
-        console.log("Payload recebido:", JSON.stringify(payload, null, 2));
-        return res.status(400).json({ error: "Tenant ID not found in payload" });
-    }
+            // Tenant bloqueado ou vencido não responde
+            if (!tenant.is_active || getBillingState(tenant) === "expired") return;
 
-    try {
-        // 1. Buscar Tenant Atual
-        const { data: tenant, error: fetchError } = await supabase
-            .from('tenants')
-            .select('*')
-            .eq('id', tenantId)
-            .single();
+            await assignLeadIfNew(tenant, chatId, inst, msg)
+                .catch(e => log(`Erro no rodízio de leads: ${e.message}`, tenant.name));
 
-        if (fetchError || !tenant) {
-            log(`[Webhook Master] Tenant não encontrado no Banco: ${tenantId}`, "ERROR");
-            return res.status(404).json({ error: "Tenant not found" });
-        }
+            if (!msg.text && !msg.media) return;
 
-        // 2. Calcular Nova Data (+30 dias a partir de agora ou da data atual se ainda não venceu)
-        let baseDate = new Date();
-        if (tenant.expiration_date && new Date(tenant.expiration_date) > baseDate) {
-            baseDate = new Date(tenant.expiration_date);
-        }
+            const contactKey = `wa:${inst.id}:${msg.phone}`;
 
-        baseDate.setDate(baseDate.getDate() + 30);
-        const newExpiration = baseDate.toISOString();
+            // Atendimento humano: com ticket aberto a IA fica pausada; pedido de "atendente" abre um ticket
+            const openTicket = await getOpenTicket(tenant.id, contactKey);
+            if (openTicket) {
+                await forwardToSupport(tenant, openTicket, { text: msg.text || "[📎 mídia recebida no WhatsApp]" })
+                    .catch(e => log(`Erro ao encaminhar ticket #${openTicket.id}: ${e.message}`, tenant.name));
+                return;
+            }
+            // Sem o bot aqui nem cluster, ninguém leria o ticket: a IA segue respondendo
+            if (msg.text && HANDOFF_RE.test(msg.text) && (activeBots.has(String(tenant.id)) || CLUSTER_ENABLED)) {
+                const { ticket } = await openSupportTicket(tenant, {
+                    contactKey,
+                    channel: "whatsapp",
+                    customerName: msg.pushName ? `${msg.pushName} +${msg.phone}` : `+${msg.phone}`
+                });
+                await forwardToSupport(tenant, ticket, { text: msg.text })
+                    .catch(e => log(`Erro ao encaminhar ticket #${ticket.id}: ${e.message}`, tenant.name));
+                await callWuzapi("/chat/send/text", "POST", {
+                    Phone: msg.phone,
+                    Body: "👤 Certo! Vou chamar um atendente. Aguarde que já vamos te responder por aqui."
+                }, inst.token);
+                return;
+            }
 
-        // 3. Atualizar Banco
-        await supabase
-            .from('tenants')
-            .update({
-                expiration_date: newExpiration,
-                is_active: true // Reativa se estiver bloqueado
-            })
-            .eq('id', tenantId);
+            if (!getAIClient(tenant)) {
+                log(`[Wuzapi] Mensagem recebida mas IA não configurada`, tenant.name);
+                return;
+            }
 
-        log(`[Webhook Master] 💰 Assinatura renovada! Tenant: ${tenant.name} (${tenant.id}) até ${new Date(newExpiration).toLocaleDateString("pt-BR")}`, "SYSTEM");
+            if (!msg.media && msg.text.toLowerCase() === "/reset") {
+                await resetConversation(tenant.id, contactKey);
+                await callWuzapi("/chat/send/text", "POST", { Phone: msg.phone, Body: "🔄 Conversa reiniciada." }, inst.token);
+                return;
+            }
 
-        // 4. Notificar via Telegram (Se bot estiver rodando)
-        if (activeBots.has(tenant.id)) {
-            const botInstance = activeBots.get(tenant.id);
-            if (tenant.owner_chat_id) {
-                botInstance.telegram.sendMessage(
-                    tenant.owner_chat_id,
-                    `✅ <b>Pagamento Confirmado!</b>\n\nSua assinatura foi renovada com sucesso.\nNovo vencimento: <b>${new Date(newExpiration).toLocaleDateString("pt-BR")}</b>`,
-                    { parse_mode: "HTML" }
-                ).catch(e => log(`Erro ao notificar tenant: ${e.message}`, "ERROR"));
+            const quota = await checkUsageQuota(tenant, contactKey);
+            if (!quota.allowed) {
+                if (quota.notify) await callWuzapi("/chat/send/text", "POST", { Phone: msg.phone, Body: `⚠️ ${quota.reason}` }, inst.token);
+                return;
+            }
+
+            try {
+                let answer;
+                if (msg.media) {
+                    const { buffer, mime } = await downloadWhatsAppMedia(inst, msg.media, raw);
+                    answer = await generateMediaReply(tenant, contactKey, {
+                        kind: msg.media.kind,
+                        buffer,
+                        mime,
+                        fileName: msg.media.info.fileName || msg.media.info.title,
+                        caption: msg.text
+                    });
+                } else {
+                    answer = await generateAIReply(tenant, msg.text, contactKey);
+                }
+                if (!answer) return;
+
+                const sendRes = await callWuzapi("/chat/send/text", "POST", {
+                    Phone: msg.phone,
+                    Body: answer
+                }, inst.token);
+
+                if (!sendRes.success) {
+                    log(`[Wuzapi] Falha ao responder ${msg.phone}: ${sendRes.message || sendRes.text || JSON.stringify(sendRes)}`, tenant.name);
+                }
+            } catch (e) {
+                log(`Erro IA WhatsApp [${tenant.name}]: ${e.message}`, "ERROR");
             }
+            break;
         }
 
-        return res.json({ success: true, new_expiration: newExpiration });
+        default:
+            break;
+    }
+}
 
+app.post("/webhook/wuzapi/:tenantId/:chatId", rateLimit("wuzapi", 600), async (req, res) => {
+    const { tenantId, chatId } = req.params;
+
+    let auth;
+    try {
+        auth = await authenticateWuzapiWebhook(tenantId, chatId, req.query.secret);
     } catch (e) {
-        log(`[Webhook Master] Erro processamento: ${e.message}`, "ERROR");
-        return res.status(500).json({ error: e.message });
+        log(`[Wuzapi] Erro autenticando webhook: ${e.message}`, "ERROR");
+        return res.status(500).json({ error: "Internal error" });
+    }
+
+    if (!auth) {
+        auditRejected(req, "invalid_instance_secret", { tenantId, chatId });
+        return res.status(401).json({ error: "Unauthorized" });
     }
+
+    // Responde rápido para o Wuzapi não reenviar; processa em background
+    res.json({ received: true });
+
+    handleWuzapiEvent(auth, chatId, req.body).catch(e => {
+        log(`[Wuzapi] Erro processando evento: ${e.message}`, "ERROR");
+    });
 });
 
 // -- MASTER ADMIN BOT (Gerenciador do SaaS) --
 const MASTER_TOKEN = process.env.MASTER_BOT_TOKEN;
 const MASTER_ADMIN_ID = process.env.MASTER_ADMIN_ID;
 
-if (MASTER_TOKEN) {
+function launchMasterBot() {
+    masterBotInstance?.launch()
+        .then(() => log("👑 Master Bot Online!", "SYSTEM"))
+        .catch(e => log(`Erro ao iniciar Master Bot: ${e.message}`, "ERROR"));
+}
+
+if (MASTER_TOKEN && !CLI_COMMAND) {
     const masterBot = new Telegraf(MASTER_TOKEN);
+    masterBotInstance = masterBot;
 
     // Middleware de Segurança (Só você pode usar)
     masterBot.use((ctx, next) => {
@@ -1043,6 +6791,12 @@ if (MASTER_TOKEN) {
         return next();
     });
 
+    // Sem catch, um erro num handler derrubaria o polling do Master Bot
+    masterBot.catch((err, ctx) => {
+        log(`Master Bot: erro no update: ${err.message}`, "ERROR");
+        ctx.reply(`❌ Erro: ${err.message}`).catch(() => { });
+    });
+
     // Wizard Simples com Session em Memória para o Master
     const masterSessions = new Map(); // chatId -> { stage, data }
 
@@ -1055,6 +6809,10 @@ if (MASTER_TOKEN) {
                 ...Markup.inlineKeyboard([
                     [Markup.button.callback("👥 Gerenciar Clientes", "list_tenants")],
                     [Markup.button.callback("➕ Novo Cliente", "new_tenant_start")],
+                    [Markup.button.callback("📱 Instâncias (Todas)", "master_instances")],
+                    [Markup.button.callback("📈 Consumo de IA", "master_usage")],
+                    [Markup.button.callback("📊 Estatísticas", "master_stats")],
+                    [Markup.button.callback("🩺 Saúde dos Bots", "master_health")],
                     [Markup.button.callback("💲 Alterar Preço Global", "cmd_set_global_price")]
                 ])
             }
@@ -1078,6 +6836,251 @@ if (MASTER_TOKEN) {
         });
     });
 
+    // --- INSTÂNCIAS (Visão Global + Órfãs) ---
+    // Compara a tabela whatsapp_instances com os usuários existentes no Wuzapi.
+    // Só usuários "user_*" (criados por este SaaS) podem ser órfãos; o resto do Wuzapi não é nosso.
+    // Sem a tabela (erro na consulta) não dá para comparar: tudo pareceria órfão.
+    async function findOrphanInstances() {
+        const usersRes = await callWuzapi("/admin/users");
+        if (!usersRes.success || !Array.isArray(usersRes.data)) return null;
+
+        const { data: rows, error } = await supabase.from('whatsapp_instances').select('id, token');
+        if (error) {
+            log(`Órfãs: erro ao ler whatsapp_instances: ${error.message}`, "ERROR");
+            return null;
+        }
+        const known = new Set(rows.map(r => r.token));
+        const wuzapiTokens = new Set(usersRes.data.map(u => u.token));
+
+        return {
+            onlyWuzapi: usersRes.data.filter(u => String(u.name || "").startsWith("user_") && !known.has(u.token)), // Criadas no Wuzapi sem registro local
+            onlyDb: rows.filter(r => !wuzapiTokens.has(r.token)) // Registro local sem usuário no Wuzapi
+        };
+    }
+    const pendingOrphanCleanup = new Map(); // chatId -> { wuzapiIds, dbIds } mostrados na confirmação
+
+    masterBot.action("master_instances", async (ctx) => {
+        await ctx.answerCbQuery("⏳ Consultando Wuzapi...");
+        const [{ data: tenants }, { data: rows }, orphans] = await Promise.all([
+            supabase.from('tenants').select('id, name, max_instances').order('id'),
+            supabase.from('whatsapp_instances').select('tenant_id, status'),
+            findOrphanInstances()
+        ]);
+
+        let msg = `📱 <b>Instâncias de WhatsApp</b>\n\nTotal: <b>${(rows || []).length}</b>\n\n`;
+        for (const t of tenants || []) {
+            const own = (rows || []).filter(r => String(r.tenant_id) === String(t.id));
+            if (own.length === 0 && !t.max_instances) continue;
+            const online = own.filter(r => r.status === "connected").length;
+            msg += `🏢 <b>${t.name}</b>: ${own.length}${t.max_instances ? `/${t.max_instances}` : ""} (✅ ${online} online)\n`;
+        }
+
+        const buttons = [];
+        if (!orphans) {
+            msg += `\n⚠️ Wuzapi ou banco indisponível: não foi possível verificar órfãs.`;
+        } else {
+            msg += `\n👻 Órfãs no Wuzapi (sem registro): <b>${orphans.onlyWuzapi.length}</b>`;
+            msg += `\n🗂️ Registros sem usuário no Wuzapi: <b>${orphans.onlyDb.length}</b>`;
+            if (orphans.onlyWuzapi.length || orphans.onlyDb.length) {
+                buttons.push([Markup.button.callback("🧹 Limpar Órfãs", "master_inst_cleanup")]);
+            }
+        }
+        buttons.push([Markup.button.callback("🔄 Atualizar", "master_instances")]);
+
+        await ctx.editMessageText(msg, { parse_mode: "HTML", ...Markup.inlineKeyboard(buttons) })
+            .catch(() => ctx.reply(msg, { parse_mode: "HTML", ...Markup.inlineKeyboard(buttons) }));
+    });
+
+    // 1º clique: lista o que será apagado e pede confirmação
+    masterBot.action("master_inst_cleanup", async (ctx) => {
+        await ctx.answerCbQuery("⏳ Verificando...");
+        const orphans = await findOrphanInstances();
+        if (!orphans) return ctx.reply("⚠️ Wuzapi ou banco indisponível. Tente novamente mais tarde.");
+        if (!orphans.onlyWuzapi.length && !orphans.onlyDb.length) return ctx.reply("✅ Nenhuma órfã encontrada.");
+
+        pendingOrphanCleanup.set(ctx.chat.id, {
+            wuzapiIds: orphans.onlyWuzapi.map(u => String(u.id)),
+            dbIds: orphans.onlyDb.map(r => String(r.id))
+        });
+
+        const list = (items, fmt) => items.slice(0, 30).map(fmt).join("\n") + (items.length > 30 ? `\n… e mais ${items.length - 30}` : "");
+        let msg = "🧹 <b>Confirmar limpeza</b>\n\nSerão apagados:\n";
+        if (orphans.onlyWuzapi.length) msg += `\n👻 <b>Usuários do Wuzapi (${orphans.onlyWuzapi.length}):</b>\n` + list(orphans.onlyWuzapi, u => `• <code>${escapeHtml(u.name)}</code>`) + "\n";
+        if (orphans.onlyDb.length) msg += `\n🗂️ <b>Registros da tabela (${orphans.onlyDb.length}):</b>\n` + list(orphans.onlyDb, r => `• <code>${escapeHtml(r.id)}</code>`) + "\n";
+
+        await ctx.reply(msg, {
+            parse_mode: "HTML",
+            ...Markup.inlineKeyboard([
+                [Markup.button.callback("✅ Confirmar limpeza", "master_inst_cleanup_confirm")],
+                [Markup.button.callback("❌ Cancelar", "master_inst_cleanup_cancel")]
+            ])
+        });
+    });
+
+    masterBot.action("master_inst_cleanup_cancel", async (ctx) => {
+        pendingOrphanCleanup.delete(ctx.chat.id);
+        await ctx.answerCbQuery("Cancelado.");
+        await ctx.editMessageText("❌ Limpeza cancelada.").catch(() => { });
+    });
+
+    // 2º clique: reconfere e apaga só o que continua órfão E estava na lista confirmada
+    masterBot.action("master_inst_cleanup_confirm", async (ctx) => {
+        const pending = pendingOrphanCleanup.get(ctx.chat.id);
+        pendingOrphanCleanup.delete(ctx.chat.id);
+        if (!pending) return ctx.answerCbQuery("⚠️ Confirmação expirada. Abra a limpeza de novo.");
+
+        await ctx.answerCbQuery("⏳ Limpando...");
+        const orphans = await findOrphanInstances();
+        if (!orphans) return ctx.reply("⚠️ Wuzapi ou banco indisponível. Nada foi apagado.");
+
+        const wuzapiTargets = orphans.onlyWuzapi.filter(u => pending.wuzapiIds.includes(String(u.id)));
+        const dbTargets = orphans.onlyDb.filter(r => pending.dbIds.includes(String(r.id)));
+
+        let removedWuzapi = 0;
+        for (const u of wuzapiTargets) {
+            const res = await callWuzapi(`/admin/users/${u.id}`, "DELETE");
+            if (res.success !== false && !res.error) removedWuzapi++;
+        }
+        for (const r of dbTargets) await deleteInstance(r.id);
+
+        log(`Limpeza de órfãs: ${removedWuzapi} no Wuzapi, ${dbTargets.length} na tabela`, "SYSTEM");
+        await ctx.reply(`🧹 <b>Limpeza concluída</b>\n\n👻 Removidas do Wuzapi: ${removedWuzapi}\n🗂️ Registros apagados: ${dbTargets.length}`, { parse_mode: "HTML" });
+    });
+
+    // --- ESTATÍSTICAS (Receita, Clientes, Pagamentos) ---
+    const moreInCsv = (list) => list.length > STATS_LIST_LIMIT ? `<i>… e mais ${list.length - STATS_LIST_LIMIT} no CSV de clientes.</i>\n` : "";
+
+    masterBot.action("master_stats", async (ctx) => {
+        await ctx.answerCbQuery("⏳ Calculando...");
+        const stats = await buildRevenueStats();
+        const c = stats.tenants;
+
+        let msg = "📊 <b>Estatísticas do SaaS</b>\n\n" +
+            `💰 <b>MRR:</b> ${formatBRL(stats.mrr)}\n` +
+            `🏢 <b>Clientes:</b> ${c.total} (✅ ${c.active} ativos | ⚠️ ${c.grace} carência | ⌛ ${c.expired} vencidos | 🚫 ${c.blocked} bloqueados)\n\n` +
+            "<b>📅 Por mês (renovações / receita / churn):</b>\n";
+        for (const m of stats.months) {
+            msg += `${m.month}: ${m.renewals} / ${formatBRL(m.revenue)} / ${m.churned}\n`;
+        }
+
+        msg += `\n<b>⏰ Vencendo em ${STATS_EXPIRING_DAYS} dias:</b>\n`;
+        if (stats.upcoming_expirations.length === 0) msg += "<i>Nenhum</i>\n";
+        for (const t of stats.upcoming_expirations.slice(0, STATS_LIST_LIMIT)) {
+            msg += `• ${escapeHtml(t.name)} — ${new Date(t.expiration_date).toLocaleDateString("pt-BR")} (${formatBRL(t.price)})\n`;
+        }
+        msg += moreInCsv(stats.upcoming_expirations);
+
+        msg += "\n<b>👥 Usuários por cliente:</b>\n";
+        for (const t of stats.users_by_tenant.slice(0, STATS_LIST_LIMIT)) msg += `• ${escapeHtml(t.name)}: ${t.users}/${t.max_users}\n`;
+        msg += moreInCsv(stats.users_by_tenant);
+
+        msg += "\n<b>💳 Últimos pagamentos:</b>\n";
+        if (stats.recent_payments.length === 0) msg += "<i>Nenhum</i>\n";
+        for (const p of stats.recent_payments.slice(0, 10)) {
+            const icon = p.status === "paid" ? "✅" : "⏳";
+            msg += `${icon} ${new Date(p.created_at).toLocaleDateString("pt-BR")} ${escapeHtml(p.tenant_name || `ID ${p.tenant_id}`)} — ${formatBRL(p.amount)}\n`;
+        }
+
+        const buttons = Markup.inlineKeyboard([
+            [Markup.button.callback("📄 CSV Clientes", "master_csv_tenants"), Markup.button.callback("📄 CSV Pagamentos", "master_csv_payments")],
+            [Markup.button.callback("🔄 Atualizar", "master_stats")]
+        ]);
+        msg = truncateLines(msg, "<i>… lista completa no CSV.</i>");
+        await ctx.editMessageText(msg, { parse_mode: "HTML", ...buttons })
+            .catch(() => ctx.reply(msg, { parse_mode: "HTML", ...buttons }));
+    });
+
+    masterBot.action(/^master_csv_(tenants|payments)$/, async (ctx) => {
+        const type = ctx.match[1];
+        await ctx.answerCbQuery("⏳ Gerando CSV...");
+        const csv = await buildStatsCsv(type);
+        await ctx.replyWithDocument({
+            source: Buffer.from("\uFEFF" + csv, "utf8"),
+            filename: `${type === "payments" ? "pagamentos" : "clientes"}_${new Date().toISOString().slice(0, 10)}.csv`
+        });
+    });
+
+    // --- CONSUMO DE IA (Todos os Clientes) ---
+    masterBot.action("master_usage", async (ctx) => {
+        await ctx.answerCbQuery();
+        let tenants, today, month;
+        try {
+            [{ data: tenants }, today, month] = await Promise.all([
+                supabase.from('tenants').select('id, name').order('id'),
+                getUsageTotals(startOfToday()),
+                getUsageTotals(startOfMonth())
+            ]);
+        } catch (e) {
+            log(e.message, "ERROR");
+            return ctx.editMessageText("⚠️ Não foi possível consultar o consumo agora.", {
+                ...Markup.inlineKeyboard([[Markup.button.callback("🔄 Atualizar", "master_usage")]])
+            }).catch(() => { });
+        }
+
+        let msg = "📈 <b>Consumo de IA (Todos os Clientes)</b>\n\n" +
+            `📅 Hoje: ${today.messages} respostas, ${today.tokens} tokens (~${formatUSD(today.cost)})\n` +
+            `🗓️ Mês: ${month.messages} respostas, ${month.tokens} tokens (~${formatUSD(month.cost)})\n\n`;
+
+        const names = new Map((tenants || []).map(t => [String(t.id), t.name]));
+        const ranking = [...month.byTenant.entries()].sort((a, b) => b[1].tokens - a[1].tokens);
+        for (const [id, u] of ranking) {
+            const t = today.byTenant.get(id);
+            msg += `🏢 <b>${names.get(id) || `ID ${id}`}</b>: mês ${u.tokens} tokens (~${formatUSD(u.cost)})` +
+                (t ? ` | hoje ${t.tokens}` : "") + "\n";
+        }
+        if (ranking.length === 0) msg += "<i>Nenhum consumo registrado neste mês.</i>";
+
+        await ctx.editMessageText(msg, {
+            parse_mode: "HTML",
+            ...Markup.inlineKeyboard([[Markup.button.callback("🔄 Atualizar", "master_usage")]])
+        }).catch(() => { });
+    });
+
+    // --- SAÚDE DOS BOTS (status, último update, erros, tokens recusados) ---
+    function describeBotHealth(t) {
+        if (t.token_invalid_at) {
+            return `🔑 Token inválido desde ${new Date(t.token_invalid_at).toLocaleString("pt-BR")}` +
+                (t.token_error ? ` (<code>${escapeHtml(t.token_error)}</code>)` : "");
+        }
+        if (!t.is_active) return "🚫 Bloqueado";
+
+        const h = botHealth.get(String(t.id));
+        if (!h) return CLUSTER_ENABLED ? "☁️ Rodando em outra réplica" : "⚪ Parado (o supervisor tenta subir de novo)";
+
+        const icon = { online: "🟢", starting: "🟡", error: "🔴" }[h.status] || "⚪";
+        let line = `${icon} ${h.status} (${h.mode}) desde ${h.startedAt.toLocaleString("pt-BR")}\n` +
+            `   📨 ${h.updates} updates | último: ${h.lastUpdateAt ? h.lastUpdateAt.toLocaleString("pt-BR") : "nenhum"}\n` +
+            `   ⚠️ ${h.errors} erros`;
+        if (h.lastError) line += ` | último: ${h.lastErrorAt.toLocaleString("pt-BR")} <code>${escapeHtml(h.lastError)}</code>`;
+        return line;
+    }
+
+    masterBot.action("master_health", async (ctx) => {
+        await ctx.answerCbQuery();
+        const { data: tenants } = await supabase.from('tenants').select('id, name, is_active, token_invalid_at, token_error').order('id');
+
+        let msg = "🩺 <b>Saúde dos Bots</b>\n";
+        if (CLUSTER_ENABLED) msg += `<i>Métricas dos bots desta réplica (${activeBots.size} de ${(tenants || []).filter(isTenantRunnable).length} ativos).</i>\n`;
+        msg += "\n";
+        for (const t of tenants || []) msg += `🏢 <b>${escapeHtml(t.name)}</b>\n${describeBotHealth(t)}\n\n`;
+        if (!tenants || tenants.length === 0) msg += "<i>Nenhum cliente.</i>";
+
+        const buttons = (tenants || []).filter(t => t.token_invalid_at).map(t =>
+            [Markup.button.callback(`🔁 Tentar de novo: ${t.name}`.substring(0, 60), `master_health_retry_${t.id}`)]);
+        buttons.push([Markup.button.callback("🔄 Atualizar", "master_health")]);
+
+        await ctx.editMessageText(truncateLines(msg, "<i>… lista cortada pelo limite do Telegram.</i>"), { parse_mode: "HTML", ...Markup.inlineKeyboard(buttons) })
+            .catch(() => { });
+    });
+
+    // Token corrigido no BotFather (ou falso positivo): limpa a marca e sobe o bot de novo
+    masterBot.action(/^master_health_retry_(.+)$/, async (ctx) => {
+        const id = ctx.match[1];
+        await storage.tenants.update(id, { token_invalid_at: null, token_error: null });
+        await syncTenant(id);
+        await ctx.answerCbQuery("🔁 Bot reiniciado. Confira a saúde em alguns segundos.");
+    });
+
     // --- LOGICA DE PREÇO GLOBAL ---
     masterBot.action("cmd_set_global_price", async (ctx) => {
         const currentPrice = await getGlobalPrice();
@@ -1097,18 +7100,23 @@ if (MASTER_TOKEN) {
         const price = t.subscription_price ? `R$ ${t.subscription_price.toFixed(2)} (Fixo)` : `Padrão (Global)`;
         const status = t.is_active ? "Ativo" : "Bloqueado";
         const limits = t.max_users || 10;
+        const instCount = await countTenantInstances(t.id);
+        const health = describeBotHealth(t);
 
         const msg = `🏢 <b>Cliente:</b> ${t.name}\n` +
             `🆔 ID: ${t.id}\n` +
             `📊 Status: ${status}\n` +
             `👥 Usuários: ${limits} max\n` +
+            `📱 Instâncias: ${instCount}${t.max_instances ? `/${t.max_instances}` : " (sem limite)"}\n` +
             `💲 Preço: ${price}\n` +
-            `📅 Vence em: ${vcto}`;
+            `📅 Vence em: ${vcto}\n\n` +
+            `🩺 <b>Bot:</b> ${health}`;
 
         await ctx.editMessageText(msg, {
             parse_mode: "HTML",
             ...Markup.inlineKeyboard([
                 [Markup.button.callback("👥 Alterar Limite", `cmd_limit_${id}`)],
+                [Markup.button.callback("📱 Limite de Instâncias", `cmd_inst_limit_${id}`)],
                 [Markup.button.callback("💲 Definir Preço Fixo", `cmd_price_${id}`)],
                 [Markup.button.callback("📅 Renovar Assinatura", `cmd_renew_${id}`)],
                 [Markup.button.callback(t.is_active ? "🚫 Bloquear" : "✅ Desbloquear", `cmd_toggle_active_${id}`)],
@@ -1126,6 +7134,13 @@ if (MASTER_TOKEN) {
         await ctx.reply(`👥 <b>Alterar Limite de Usuários (Cliente ID ${id})</b>\n\nDigite o novo número máximo de usuários (ex: 50):`, { parse_mode: "HTML" });
     });
 
+    // 0.1 LIMITE DE INSTÂNCIAS (teto somado de todos os usuários do cliente)
+    masterBot.action(/cmd_inst_limit_(.+)/, async (ctx) => {
+        const id = ctx.match[1];
+        masterSessions.set(ctx.chat.id, { stage: "WAIT_INST_LIMIT_VALUE", data: { id } });
+        await ctx.reply(`📱 <b>Limite de Instâncias (Cliente ID ${id})</b>\n\nDigite o máximo de instâncias de WhatsApp somando todos os usuários (ex: 20).\nPara remover o limite, digite 0.`, { parse_mode: "HTML" });
+    });
+
     // 1. PREÇO
     masterBot.action(/cmd_price_(.+)/, async (ctx) => {
         const id = ctx.match[1];
@@ -1148,16 +7163,8 @@ if (MASTER_TOKEN) {
 
         await supabase.from('tenants').update({ is_active: newState }).eq('id', id);
 
-        // Se bloqueou, para o bot
-        if (!newState && activeBots.has(parseInt(id))) {
-            activeBots.get(parseInt(id)).stop();
-            activeBots.delete(parseInt(id));
-        }
-        // Se desbloqueou, teria que reiniciar (loadTenants cuida disso se reiniciar server, ou podemos forçar start aqui)
-        if (newState) {
-            const { data: updatedTenant } = await supabase.from('tenants').select('*').eq('id', id).single();
-            startTenantBot(updatedTenant);
-        }
+        // Bloqueou: para o bot (e remove o webhook); desbloqueou: sobe só ele
+        await syncTenant(id);
 
         ctx.reply(`✅ Cliente <b>${t.name}</b> foi ${newState ? "Desbloqueado" : "Bloqueado"}.`, { parse_mode: "HTML" });
         // Retorna para lista chamando a action (trick)
@@ -1191,6 +7198,7 @@ if (MASTER_TOKEN) {
         }
 
         if (session.stage === "WAIT_TOKEN") {
+            await ctx.deleteMessage().catch(() => { }); // Token não fica no histórico do chat
             if (!text.includes(":")) return ctx.reply("❌ Token inválido. Tente novamente:");
             session.data.telegram_token = text;
             session.stage = "WAIT_OWNER_ID";
@@ -1201,20 +7209,20 @@ if (MASTER_TOKEN) {
             session.data.owner_chat_id = text;
             ctx.reply("⏳ Criando tenant...");
 
-            const { data, error } = await supabase.from('tenants').insert({
+            const { data, error } = await supabase.from('tenants').insert(encryptTenantFields({
                 name: session.data.name,
                 telegram_token: session.data.telegram_token,
                 owner_chat_id: session.data.owner_chat_id,
                 is_active: true,
                 expiration_date: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000)
-            }).select().single();
+            })).select().single();
 
             if (error) {
                 masterSessions.delete(ctx.chat.id);
                 return ctx.reply(`❌ Erro: ${error.message}`);
             }
 
-            startTenantBot(data);
+            syncTenant(data.id, data).catch(e => log(`Erro ao iniciar bot: ${e.message}`, data.name));
             masterSessions.delete(ctx.chat.id);
             return ctx.reply(`✅ <b>Sucesso!</b>\nCliente <b>${data.name}</b> criado.`);
         }
@@ -1226,18 +7234,29 @@ if (MASTER_TOKEN) {
 
             await supabase.from('tenants').update({ max_users: limit }).eq('id', session.data.id);
 
-            // Atualizar tenant em memória se estiver rodando
-            if (activeBots.has(parseInt(session.data.id))) {
-                // Reiniciar para pegar limite novo
-                const { data: updatedTenant } = await supabase.from('tenants').select('*').eq('id', session.data.id).single();
-                startTenantBot(updatedTenant);
-            }
+            // Aplica no bot rodando sem reiniciar (e chama a fila se o limite aumentou)
+            await syncTenant(session.data.id);
 
             masterSessions.delete(ctx.chat.id);
-            loadTenants();
             return ctx.reply(`✅ Limite atualizado para <b>${limit} usuários</b>`, { parse_mode: "HTML" });
         }
 
+        // --- WIZARD: LIMITE DE INSTÂNCIAS ---
+        if (session.stage === "WAIT_INST_LIMIT_VALUE") {
+            const limit = parseInt(text);
+            if (isNaN(limit) || limit < 0) return ctx.reply("❌ Valor inválido. Digite um número inteiro.");
+
+            const finalLimit = limit === 0 ? null : limit;
+            const { error } = await supabase.from('tenants').update({ max_instances: finalLimit }).eq('id', session.data.id);
+            if (error) return ctx.reply(`❌ Erro: ${error.message}`);
+
+            // Atualiza o tenant em memória (não precisa reiniciar o bot)
+            await syncTenant(session.data.id);
+
+            masterSessions.delete(ctx.chat.id);
+            return ctx.reply(`✅ Limite de instâncias: <b>${finalLimit ? finalLimit : "sem limite"}</b>`, { parse_mode: "HTML" });
+        }
+
         // --- WIZARD: ALTERAR PREÇO FIXO ---
         if (session.stage === "WAIT_PRICE_VALUE") {
             const price = parseFloat(text.replace(",", "."));
@@ -1248,7 +7267,7 @@ if (MASTER_TOKEN) {
 
             await supabase.from('tenants').update({ subscription_price: finalPrice }).eq('id', session.data.id);
             masterSessions.delete(ctx.chat.id);
-            loadTenants();
+            await syncTenant(session.data.id);
             return ctx.reply(`✅ Preço atualizado para <b>${finalPrice ? "R$ " + finalPrice.toFixed(2) : "PADRÃO (Global)"}</b>`, { parse_mode: "HTML" });
         }
 
@@ -1257,9 +7276,11 @@ if (MASTER_TOKEN) {
             const price = parseFloat(text.replace(",", "."));
             if (isNaN(price)) return ctx.reply("❌ Valor inválido.");
 
-            const { error } = await supabase.from('system_config').upsert({ key: 'default_price', value: String(price) });
-
-            if (error) return ctx.reply(`❌ Erro: ${error.message}`);
+            try {
+                await storage.config.set('default_price', price);
+            } catch (e) {
+                return ctx.reply(`❌ Erro: ${e.message}`);
+            }
 
             masterSessions.delete(ctx.chat.id);
             return ctx.reply(`✅ <b>Preço Global Atualizado!</b>\nNovo valor: R$ ${price.toFixed(2)}\n\n(Clientes sem preço fixo pagarão este valor na próxima renovação).`, { parse_mode: "HTML" });
@@ -1277,23 +7298,80 @@ if (MASTER_TOKEN) {
 
             await supabase.from('tenants').update({ expiration_date: newDate, is_active: true }).eq('id', session.data.id);
             masterSessions.delete(ctx.chat.id);
-            loadTenants();
+            await syncTenant(session.data.id); // Se estava bloqueado, sobe só este bot
             return ctx.reply(`✅ Renovado por +${days} dias.\nNovo vencimento: <b>${newDate.toLocaleDateString("pt-BR")}</b>`, { parse_mode: "HTML" });
         }
     });
 
+    // Depois de trocar SECRETS_MASTER_KEY (antiga em SECRETS_PREVIOUS_KEYS): recriptografa todos os tenants
+    masterBot.command("rotacionar_chaves", async (ctx) => {
+        await ctx.reply("🔐 Recriptografando segredos dos tenants...");
+        try {
+            const r = await rotateTenantSecrets({ force: true });
+            await ctx.reply(`✅ <b>Rotação concluída</b>\nTenants: ${r.tenants}\nCampos: ${r.fields}\nFalhas: ${r.failed}` +
+                (r.failed ? "\n\n⚠️ Veja o log (SECURITY). Rode de novo após corrigir as chaves." : "\n\nJá pode remover as chaves antigas de SECRETS_PREVIOUS_KEYS."), { parse_mode: "HTML" });
+        } catch (e) {
+            await ctx.reply(`❌ ${e.message}`);
+        }
+    });
+
     masterBot.command("meu_id", (ctx) => ctx.reply(`🆔 Seu ID: <code>${ctx.chat.id}</code>`, { parse_mode: "HTML" }));
 
-    masterBot.launch().then(() => log("👑 Master Bot Online!", "SYSTEM"));
+    if (!CLUSTER_ENABLED) launchMasterBot(); // Em cluster, só o líder faz polling
+}
+
+// -- CLI --
+// npm run migrate                                   -> aplica migrations/*.sql pendentes (driver postgres)
+// npm run import-sessions -- sessions.json <tenantId> [--overwrite]
+async function runCli(command, args) {
+    if (command === "migrate") return storage.migrate();
+
+    if (command === "import-sessions") {
+        const [file, tenantId] = args.filter(a => !a.startsWith("--"));
+        if (!file || !tenantId) throw new Error("Uso: import-sessions <arquivo.json> <tenantId> [--overwrite]");
+        if (storage.driver === "postgres") await storage.migrate();
+        const r = await importLegacySessions(file, tenantId, { overwrite: args.includes("--overwrite") });
+        log(`Importação: ${r.imported} sessão(ões) importada(s), ${r.skipped} ignorada(s).`, "SYSTEM");
+        return;
+    }
+
+    throw new Error(`Comando desconhecido: ${command} (use migrate ou import-sessions)`);
 }
 
 // -- Startup --
-app.listen(PORT, "0.0.0.0", () => {
-    log(`SaaS Server rodando em: http://0.0.0.0:${PORT}`, "SYSTEM");
-    loadTenants();
-});
+if (CLI_COMMAND) {
+    runCli(CLI_COMMAND, process.argv.slice(3))
+        .then(() => process.exit(0))
+        .catch(e => {
+            log(`Erro: ${e.message}`, "SYSTEM");
+            process.exit(1);
+        });
+} else {
+    app.listen(PORT, "0.0.0.0", () => {
+        log(`SaaS Server rodando em: http://0.0.0.0:${PORT}`, "SYSTEM");
+        initClusterBus();
+        // No Postgres local, o schema (migrations/) é aplicado antes de tudo
+        // Instâncias antigas (JSON da sessão) vão para a tabela antes dos bots subirem
+        // Segredos em texto puro (ou sob chave antiga) são criptografados antes também
+        (storage.driver === "postgres" ? storage.migrate() : Promise.resolve())
+            .then(() => migrateSessionInstances())
+            .then(() => backfillInstanceSecrets())
+            .catch(e => log(`Erro na migração: ${e.message}`, "ERROR"))
+            .then(() => SECRET_KEYS.current && rotateTenantSecrets())
+            .catch(e => log(`Erro ao criptografar segredos: ${e.message}`, "ERROR"))
+            .finally(() => CLUSTER_ENABLED ? startClusterCoordinator() : loadTenants());
+        startTenantSupervisor(); // Mudanças na tabela tenants (painel, SQL direto, outra réplica) sem reiniciar tudo
+
+        startBillingScheduler();
+        startInstanceReconciler();
+        startMediaSweeper();
+        startSeatSweeper();
+    });
+}
 
 // Graceful Stop
 process.once('SIGINT', () => {
-    activeBots.forEach((bot) => bot.stop('SIGINT'));
+    activeBots.forEach((bot) => {
+        try { bot.stop('SIGINT'); } catch (e) { } // Modo webhook: nada a parar (o webhook continua registrado)
+    });
 });